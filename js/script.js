@@ -3,8 +3,39 @@
  * ================================
  * 
  * This file contains all interactive functionality for the art studio website:
- * - Gallery modal system for viewing artwork
- * - Shopping cart with localStorage persistence
+ * - Toast notifications and confirmation dialogs shared by all features
+ * - Gallery lightbox with keyboard, swipe and screen reader support
+ * - Gallery filter chips, sorting and search, kept in the URL
+ * - Deep links to single works (gallery.html#work/<id>)
+ * - Product catalog rendered from data/catalog.json
+ * - Shopping cart with versioned localStorage persistence, synced across tabs
+ * - Product options (size, frame, finish...) with price modifiers and SKUs;
+ *   each combination is its own cart line
+ * - Stock counts and limited editions: low-stock and sold-out cards, cart
+ *   quantities capped at stock, and a stock re-check before payment
+ * - Shareable cart links rebuilt against the catalog
+ * - Wishlist hearts on gallery works and products, with "Buy Print" in the
+ *   lightbox for works sold as prints
+ * - App cards, progress bars and roadmaps rendered from data/apps.json
+ * - Tarot reading demo with a seeded shuffle and a local journal
+ * - Coloring demo shared live between tabs through an operation log
+ * - Prices formatted with Intl.NumberFormat in a selectable display currency
+ * - Promo codes defined in the catalog (percent, fixed, buy-x-get-y, free shipping)
+ * - Physical and digital products: shipping from zone and weight tables, tax
+ *   lines by country, and download links for digital items after checkout
+ * - Multi-step checkout with pluggable payment providers (mock included)
+ * - Order history kept on the device, with printable receipts and JSON export
+ * - Contact and newsletter forms: validation, error summary, JSON submission
+ *   and an offline outbox
+ * - Offline support through a service worker (sw.js), with update notices
+ * - "Your data" section listing, exporting and erasing everything the site
+ *   stores in the browser (features register their keys)
+ * - Storage consent banner: optional data is only saved once the visitor
+ *   allows it, and erased again if they withdraw
+ * - Shared header and footer rendered from one navigation config
+ * - Header search over a prebuilt index (data/search-index.json) of works,
+ *   products, apps and legal headings, grouped by section
+ * - Dark, light and high-contrast themes (applied early by js/theme-init.js)
  * - Mobile navigation toggle
  * - Active navigation highlighting
  * - Smooth scrolling for anchor links
@@ -15,656 +46,10735 @@
 
 'use strict';
 
+// ============================================================================
+// SITE PATHS
+// ============================================================================
+
+/**
+ * Base URL of the site, derived from this script's own URL (js/script.js) so
+ * pages in apps/ and legal/ resolve shared files the same way as root pages.
+ */
+const SITE_ROOT = document.currentScript
+    ? new URL('../', document.currentScript.src).href
+    : new URL('./', window.location.href).href;
+
+/**
+ * Resolves a path relative to the site root.
+ * @param {string} path - Root-relative path, e.g. 'data/catalog.json'
+ * @returns {string} Absolute URL
+ */
+function siteUrl(path) {
+    return new URL(path, SITE_ROOT).href;
+}
+
+/**
+ * Returns the current page's path relative to the site root, e.g.
+ * 'legal/contact.html'. Directory URLs map to their index.html.
+ *
+ * @returns {string}
+ */
+function getSitePagePath() {
+    const rootPath = new URL(SITE_ROOT).pathname;
+    let path = window.location.pathname;
+
+    path = path.indexOf(rootPath) === 0 ? path.slice(rootPath.length) : path.split('/').pop();
+
+    if (path === '' || path.slice(-1) === '/') {
+        path += 'index.html';
+    }
+
+    try {
+        return decodeURIComponent(path);
+    } catch (error) {
+        return path;
+    }
+}
+
+/**
+ * Converts a root-relative path into a link relative to the current page,
+ * e.g. 'store.html' becomes '../store.html' on pages in apps/ or legal/.
+ *
+ * @param {string} path - Root-relative path
+ * @returns {string}
+ */
+function siteRelativeUrl(path) {
+    const depth = getSitePagePath().split('/').length - 1;
+    return new Array(depth + 1).join('../') + path;
+}
+
 // ============================================================================
 // GLOBAL CART STATE
 // ============================================================================
 
 /**
- * Global cart array containing items as objects: {name, price, id}
- * This is populated from localStorage on page load
+ * Global cart array containing one line per product: {id, quantity}
+ * where id is the catalog product ID. Names and prices are always looked up
+ * in the catalog rather than stored with the cart.
+ * This is populated from storage on page load and replaced when another tab
+ * changes the cart
  */
 let cart = [];
 
 // ============================================================================
-// GALLERY MODAL SYSTEM
+// UI NOTIFICATIONS (TOASTS & DIALOGS)
 // ============================================================================
 
 /**
- * Opens the modal with a full-size image and optional caption.
- * Expected DOM elements:
- *   - #modal-overlay: The modal background/container
- *   - #modal-image: The <img> element inside the modal
- *   - #modal-caption: The caption text element (optional)
- *   - #modal-close: The close button
- * 
- * @param {string} imageSrc - URL/path to the full-size image
- * @param {string} [caption] - Optional caption text for the image
+ * How long toasts stay on screen, in milliseconds. Toasts with an action
+ * (such as Undo) stay longer so there is time to use it.
  */
-function openModal(imageSrc, caption) {
-    const modalOverlay = document.getElementById('modal-overlay');
-    const modalImage = document.getElementById('modal-image');
-    const modalCaption = document.getElementById('modal-caption');
+const TOAST_DURATION = 4000;
+const TOAST_ACTION_DURATION = 6000;
 
-    // Validate required elements exist
-    if (!modalOverlay) {
-        console.warn('Modal overlay (#modal-overlay) not found');
-        return;
-    }
-    if (!modalImage) {
-        console.warn('Modal image (#modal-image) not found');
-        return;
-    }
+/**
+ * Most toasts shown at once; the oldest is dismissed to make room.
+ */
+const MAX_TOASTS = 3;
 
-    // Set the image source
-    modalImage.src = imageSrc;
+/**
+ * Selector for elements that can receive keyboard focus.
+ */
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
 
-    // Set caption if provided and element exists
-    if (modalCaption) {
-        if (caption) {
-            modalCaption.textContent = caption;
-            modalCaption.style.display = 'block';
-        } else {
-            modalCaption.style.display = 'none';
-        }
+/**
+ * Returns the focusable, visible, enabled elements inside a container.
+ *
+ * @param {HTMLElement} container - Element to search
+ * @returns {Array<HTMLElement>}
+ */
+function getFocusableElements(container) {
+    return Array.prototype.filter.call(container.querySelectorAll(FOCUSABLE_SELECTOR), function(element) {
+        return !element.disabled && !element.closest('[hidden]');
+    });
+}
+
+/**
+ * Keeps Tab and Shift+Tab cycling inside a container (a modal dialog), so
+ * keyboard users cannot wander into the page behind it.
+ *
+ * @param {KeyboardEvent} event - The Tab keydown event
+ * @param {HTMLElement} container - Element focus must stay within
+ */
+function trapFocus(event, container) {
+    const focusable = getFocusableElements(container);
+
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
     }
 
-    // Show the modal
-    modalOverlay.style.display = 'flex';
-    
-    // Prevent background scrolling while modal is open
-    document.body.style.overflow = 'hidden';
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
 
-    // Focus the close button for accessibility
-    const closeButton = document.getElementById('modal-close');
-    if (closeButton) {
-        closeButton.focus();
+    if (event.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        event.preventDefault();
+        first.focus();
     }
 }
 
 /**
- * Closes the modal and restores normal page behavior.
- * Clears the image source to prevent flash of old image on next open.
+ * Returns the page's toast container, creating it on first use.
+ * The container is an aria-live region so new toasts are announced.
+ *
+ * @returns {HTMLElement}
  */
-function closeModal() {
-    const modalOverlay = document.getElementById('modal-overlay');
-    const modalImage = document.getElementById('modal-image');
+function getToastRegion() {
+    let region = document.getElementById('toast-region');
 
-    if (!modalOverlay) {
-        console.warn('Modal overlay (#modal-overlay) not found');
-        return;
+    if (!region) {
+        region = document.createElement('div');
+        region.id = 'toast-region';
+        region.className = 'toast-region';
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-relevant', 'additions');
+        document.body.appendChild(region);
     }
 
-    // Hide the modal
-    modalOverlay.style.display = 'none';
-    
-    // Restore background scrolling
-    document.body.style.overflow = '';
+    return region;
+}
 
-    // Clear the image source to prevent showing old image briefly on next open
-    if (modalImage) {
-        modalImage.src = '';
+/**
+ * Removes a toast and clears its timer.
+ * @param {HTMLElement} toast - Toast element from showToast()
+ */
+function dismissToast(toast) {
+    if (toast.dismissTimer) {
+        clearTimeout(toast.dismissTimer);
+    }
+    if (toast.parentNode) {
+        toast.parentNode.removeChild(toast);
     }
 }
 
 /**
- * Sets up gallery click handlers for elements with .gallery-item class.
- * Expected data attributes:
- *   - data-full: URL to full-size image
- *   - data-caption: (optional) Caption text for the image
+ * Shows a short message in the toast region. Any site feature can use this
+ * for its own feedback.
+ *
+ * @param {string} message - Text to show
+ * @param {Object} [options]
+ * @param {string} [options.type='info'] - 'info', 'success' or 'error';
+ *     errors are announced immediately
+ * @param {Object} [options.action] - Optional button as {label, onClick}
+ * @param {number} [options.duration] - Milliseconds before auto-dismiss
+ * @param {boolean} [options.persistent=false] - Stay until dismissed
+ * @returns {HTMLElement} The toast element (pass to dismissToast() to close it early)
  */
-function initGalleryModal() {
-    const galleryItems = document.querySelectorAll('.gallery-item');
+function showToast(message, options) {
+    const settings = options || {};
+    const type = settings.type || 'info';
+    const region = getToastRegion();
 
-    if (galleryItems.length === 0) {
-        // No gallery on this page - that's fine, no warning needed
-        return;
+    // Drop the oldest toasts so the stack never grows past MAX_TOASTS
+    while (region.children.length >= MAX_TOASTS) {
+        dismissToast(region.firstElementChild);
     }
 
-    galleryItems.forEach(function(item) {
-        item.addEventListener('click', function() {
-            const fullImageSrc = item.getAttribute('data-full');
-            const caption = item.getAttribute('data-caption');
+    const toast = document.createElement('div');
+    toast.className = 'toast toast-' + type;
+    if (type === 'error') {
+        toast.setAttribute('role', 'alert');
+    }
 
-            if (fullImageSrc) {
-                openModal(fullImageSrc, caption);
-            } else {
-                console.warn('Gallery item missing data-full attribute', item);
-            }
+    const text = document.createElement('p');
+    text.className = 'toast-message';
+    text.textContent = message;
+    toast.appendChild(text);
+
+    if (settings.action) {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'toast-action';
+        actionButton.textContent = settings.action.label;
+        actionButton.addEventListener('click', function() {
+            dismissToast(toast);
+            settings.action.onClick();
         });
+        toast.appendChild(actionButton);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'toast-close';
+    closeButton.setAttribute('aria-label', 'Dismiss notification');
+    closeButton.innerHTML = '<span aria-hidden="true">&times;</span>';
+    closeButton.addEventListener('click', function() {
+        dismissToast(toast);
     });
+    toast.appendChild(closeButton);
+
+    region.appendChild(toast);
+
+    if (!settings.persistent) {
+        const duration = settings.duration || (settings.action ? TOAST_ACTION_DURATION : TOAST_DURATION);
+        toast.dismissTimer = setTimeout(function() {
+            dismissToast(toast);
+        }, duration);
+    }
 
-    // Set up modal close handlers
-    setupModalCloseHandlers();
+    return toast;
 }
 
 /**
- * Sets up all the ways to close the modal:
- * - Clicking the close button
- * - Clicking outside the image (on the overlay)
- * - Pressing the Escape key
+ * Shows a modal confirmation dialog in place of window.confirm().
+ * Focus is trapped inside the dialog and returned to the previously focused
+ * element when it closes. Escape and clicking the backdrop cancel.
+ *
+ * @param {Object} options
+ * @param {string} options.title - Dialog heading
+ * @param {string} [options.message] - Supporting text
+ * @param {string} [options.confirmLabel='Confirm'] - Confirm button text
+ * @param {string} [options.cancelLabel='Cancel'] - Cancel button text
+ * @param {boolean} [options.destructive=false] - Style confirm as a danger
+ *     action and focus Cancel first
+ * @returns {Promise<boolean>} Resolves true if confirmed, false otherwise
  */
-function setupModalCloseHandlers() {
-    const modalOverlay = document.getElementById('modal-overlay');
-    const closeButton = document.getElementById('modal-close');
+function showConfirmDialog(options) {
+    return new Promise(function(resolve) {
+        const returnFocus = document.activeElement;
+        const dialogId = 'dialog-' + Date.now().toString(36);
 
-    // Close button click
-    if (closeButton) {
-        closeButton.addEventListener('click', closeModal);
-    }
+        const backdrop = document.createElement('div');
+        backdrop.className = 'dialog-backdrop';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'dialog';
+        dialog.setAttribute('role', 'alertdialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', dialogId + '-title');
+
+        const title = document.createElement('h2');
+        title.className = 'dialog-title';
+        title.id = dialogId + '-title';
+        title.textContent = options.title;
+        dialog.appendChild(title);
+
+        if (options.message) {
+            const message = document.createElement('p');
+            message.className = 'dialog-message';
+            message.id = dialogId + '-message';
+            message.textContent = options.message;
+            dialog.setAttribute('aria-describedby', message.id);
+            dialog.appendChild(message);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'dialog-actions';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'btn btn-secondary';
+        cancelButton.textContent = options.cancelLabel || 'Cancel';
+
+        const confirmButton = document.createElement('button');
+        confirmButton.type = 'button';
+        confirmButton.className = 'btn ' + (options.destructive ? 'btn-danger' : 'btn-primary');
+        confirmButton.textContent = options.confirmLabel || 'Confirm';
+
+        actions.appendChild(cancelButton);
+        actions.appendChild(confirmButton);
+        dialog.appendChild(actions);
+        backdrop.appendChild(dialog);
+
+        function close(result) {
+            document.removeEventListener('keydown', handleKeydown, true);
+            backdrop.parentNode.removeChild(backdrop);
+            document.body.style.overflow = '';
 
-    // Click outside image closes modal
-    if (modalOverlay) {
-        modalOverlay.addEventListener('click', function(event) {
-            // Only close if clicking the overlay itself, not the image
-            if (event.target === modalOverlay) {
-                closeModal();
+            if (returnFocus && typeof returnFocus.focus === 'function') {
+                returnFocus.focus();
             }
-        });
-    }
 
-    // Escape key closes modal (focus trap for accessibility)
-    document.addEventListener('keydown', function(event) {
-        if (event.key === 'Escape') {
-            const modalOverlay = document.getElementById('modal-overlay');
-            if (modalOverlay && modalOverlay.style.display === 'flex') {
-                closeModal();
+            resolve(result);
+        }
+
+        function handleKeydown(event) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                close(false);
+            } else if (event.key === 'Tab') {
+                trapFocus(event, dialog);
             }
         }
+
+        cancelButton.addEventListener('click', function() {
+            close(false);
+        });
+        confirmButton.addEventListener('click', function() {
+            close(true);
+        });
+        backdrop.addEventListener('click', function(event) {
+            if (event.target === backdrop) {
+                close(false);
+            }
+        });
+
+        // Capture phase so Escape doesn't also reach page-level handlers
+        document.addEventListener('keydown', handleKeydown, true);
+
+        document.body.appendChild(backdrop);
+        document.body.style.overflow = 'hidden';
+
+        (options.destructive ? cancelButton : confirmButton).focus();
     });
 }
 
 // ============================================================================
-// SHOPPING CART SYSTEM
+// GALLERY LIGHTBOX
 // ============================================================================
 
 /**
- * Loads cart data from localStorage.
- * Expected localStorage key: 'artStudioCart'
- * 
- * Handles localStorage unavailability gracefully by:
- * - Using try/catch around all storage operations
- * - Falling back to empty cart if storage fails
- * - Silently continuing without persistence if localStorage is unavailable
+ * Minimum horizontal travel (in pixels) for a touch gesture to count as a
+ * swipe between lightbox images.
  */
-function loadCart() {
-    try {
-        // Check if localStorage is available
-        if (typeof Storage === 'undefined' || !window.localStorage) {
-            console.warn('localStorage not available - cart will not persist between sessions');
-            cart = [];
-            return;
-        }
+const LIGHTBOX_SWIPE_THRESHOLD = 50;
 
-        const storedCart = localStorage.getItem('artStudioCart');
-        
-        if (storedCart) {
-            // Parse the stored JSON
-            const parsedCart = JSON.parse(storedCart);
-            
-            // Validate that parsed data is an array
-            if (Array.isArray(parsedCart)) {
-                cart = parsedCart;
-            } else {
-                console.warn('Invalid cart data in localStorage, starting with empty cart');
-                cart = [];
-            }
-        } else {
-            // No cart stored yet
-            cart = [];
-        }
-    } catch (error) {
-        // Handle any errors (privacy mode, storage full, etc.)
-        console.warn('Failed to load cart from localStorage:', error.message);
-        cart = [];
-    }
-}
+/**
+ * Lightbox state shared by the handlers below.
+ *   - items: Gallery entries as {trigger, src, alt, caption}
+ *   - index: Index of the image currently shown
+ *   - returnFocus: Element to refocus when the lightbox closes
+ *   - touchStartX/touchStartY: Start point of the current touch gesture
+ */
+const lightboxState = {
+    items: [],
+    index: 0,
+    returnFocus: null,
+    touchStartX: null,
+    touchStartY: null,
+    // True when opening the lightbox added a #work/ history entry
+    pushedHistory: false
+};
 
 /**
- * Saves the current cart to localStorage.
- * Uses try/catch to handle cases where localStorage is unavailable.
+ * Hash prefix for deep links to a single work, e.g. gallery.html#work/void-structure.
+ * The ID comes from the data-work-id attribute on the work's .gallery-item.
  */
-function saveCart() {
-    try {
-        if (typeof Storage === 'undefined' || !window.localStorage) {
-            // localStorage not available - cart will work for this session only
-            return;
+const WORK_HASH_PREFIX = '#work/';
+
+/**
+ * Collects the gallery entries the lightbox steps through: the works that are
+ * currently visible, in the order they are displayed (filters and sorting
+ * hide and reorder .gallery-item elements).
+ * Expected markup per entry:
+ *   - .gallery-trigger[data-index]: The button that opens the lightbox
+ *   - img inside the trigger (data-full on the trigger overrides its src)
+ *   - .gallery-title / .gallery-description in the enclosing .gallery-item
+ *   - data-work-id on the .gallery-item (optional, enables #work/ deep links)
+ *
+ * @returns {Array<Object>} Lightbox items as {trigger, workId, src, alt, caption}
+ */
+function getLightboxItems() {
+    const triggers = Array.prototype.filter.call(document.querySelectorAll('.gallery-trigger'), function(trigger) {
+        return !trigger.closest('[hidden]');
+    });
+
+    return triggers.map(function(trigger) {
+        const image = trigger.querySelector('img');
+        const galleryItem = trigger.closest('.gallery-item');
+        const title = galleryItem ? galleryItem.querySelector('.gallery-title') : null;
+        const description = galleryItem ? galleryItem.querySelector('.gallery-description') : null;
+
+        const captionParts = [];
+        if (title && title.textContent.trim()) {
+            captionParts.push(title.textContent.trim());
+        }
+        if (description && description.textContent.trim()) {
+            captionParts.push(description.textContent.trim());
         }
 
-        localStorage.setItem('artStudioCart', JSON.stringify(cart));
-    } catch (error) {
-        console.warn('Failed to save cart to localStorage:', error.message);
-        // Cart operations continue to work for this session even if save fails
-    }
+        return {
+            trigger: trigger,
+            workId: galleryItem ? galleryItem.getAttribute('data-work-id') || '' : '',
+            src: trigger.getAttribute('data-full') || (image ? image.getAttribute('src') : ''),
+            alt: image ? image.getAttribute('alt') || '' : '',
+            caption: captionParts.join(' — ')
+        };
+    });
 }
 
 /**
- * Adds an item to the cart.
- * 
- * Expected button data attributes:
- *   - data-name: Name of the artwork/item
- *   - data-price: Price as a number (will be parsed)
- * 
- * @param {string} name - Name of the item to add
- * @param {number|string} price - Price of the item
+ * Returns true while the lightbox dialog is visible.
+ * @returns {boolean}
  */
-function addToCart(name, price) {
-    // Validate inputs
-    if (!name) {
-        console.warn('Cannot add item to cart: missing name');
+function isLightboxOpen() {
+    const lightbox = document.getElementById('lightbox');
+    return !!lightbox && !lightbox.hidden;
+}
+
+/**
+ * Opens the lightbox on the given item.
+ * Expected DOM elements:
+ *   - #lightbox: The dialog container (hidden attribute toggles visibility)
+ *   - #lightbox-image: The <img> element inside the dialog
+ *   - #lightbox-caption: The caption element (optional)
+ *   - #lightbox-status: Live region for position announcements (optional)
+ *
+ * @param {number} index - Index into the gallery items
+ * @param {HTMLElement} [trigger] - Element to return focus to on close
+ */
+function openLightbox(index, trigger) {
+    const lightbox = document.getElementById('lightbox');
+
+    if (!lightbox) {
+        console.warn('Lightbox (#lightbox) not found');
         return;
     }
 
-    // Parse price to number if it's a string
-    const parsedPrice = typeof price === 'string' ? parseFloat(price) : price;
-    
-    if (isNaN(parsedPrice) || parsedPrice < 0) {
-        console.warn('Cannot add item to cart: invalid price', price);
+    lightboxState.items = getLightboxItems();
+
+    if (lightboxState.items.length === 0) {
         return;
     }
 
-    // Create unique ID for this cart item (timestamp-based)
-    const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    lightboxState.returnFocus = trigger || document.activeElement;
 
-    // Create cart item object
-    const cartItem = {
-        name: name,
-        price: parsedPrice,
-        id: id
-    };
+    // Hide prev/next when there is nothing to step to
+    const single = lightboxState.items.length < 2;
+    lightbox.querySelectorAll('.lightbox-nav').forEach(function(button) {
+        button.hidden = single;
+    });
 
-    // Add to cart array
-    cart.push(cartItem);
+    lightbox.hidden = false;
 
-    // Save to localStorage
-    saveCart();
+    // Prevent background scrolling while the lightbox is open
+    document.body.style.overflow = 'hidden';
 
-    // Update the UI
-    updateCartUI();
+    showLightboxImage(index);
 
-    // Visual feedback
-    showCartFeedback(name);
-}
+    // Give the open lightbox its own history entry so Back closes it. When the
+    // page was opened from a deep link the hash is already in place.
+    const item = lightboxState.items[lightboxState.index];
+    lightboxState.pushedHistory = false;
+    if (item.workId && window.location.hash !== getWorkHash(item.workId)) {
+        history.pushState(history.state, '', getWorkHash(item.workId));
+        lightboxState.pushedHistory = true;
+    }
 
-/**
- * Shows visual feedback when item is added to cart.
- * @param {string} itemName - Name of the item added
- */
-function showCartFeedback(itemName) {
-    // You can customize this - for now just a console log
-    // This could be extended to show a toast notification
-    console.log('Added to cart:', itemName);
+    const closeButton = lightbox.querySelector('.lightbox-close');
+    if (closeButton) {
+        closeButton.focus();
+    }
 }
 
 /**
- * Removes an item from the cart by its index.
- * 
- * @param {number} index - Index of the item in the cart array
+ * Closes the lightbox and returns focus to the element that opened it.
  */
-function removeItem(index) {
-    // Validate index
-    if (typeof index !== 'number' || index < 0 || index >= cart.length) {
-        console.warn('Cannot remove item: invalid index', index);
+function closeLightbox() {
+    const lightbox = document.getElementById('lightbox');
+    const lightboxImage = document.getElementById('lightbox-image');
+
+    if (!lightbox || lightbox.hidden) {
         return;
     }
 
-    // Remove the item at the specified index
-    cart.splice(index, 1);
+    lightbox.hidden = true;
 
-    // Save to localStorage
-    saveCart();
+    // Restore background scrolling
+    document.body.style.overflow = '';
 
-    // Update the UI
-    updateCartUI();
+    // Clear the image source to prevent showing old image briefly on next open
+    if (lightboxImage) {
+        lightboxImage.removeAttribute('src');
+        lightboxImage.alt = '';
+    }
+
+    if (lightboxState.returnFocus && typeof lightboxState.returnFocus.focus === 'function') {
+        lightboxState.returnFocus.focus();
+    }
+    lightboxState.returnFocus = null;
+
+    // Drop the #work/ hash: step back over the entry openLightbox() added, or
+    // strip the hash in place when the page itself was opened from a deep link
+    if (lightboxState.pushedHistory) {
+        lightboxState.pushedHistory = false;
+        history.back();
+    } else if (getWorkIdFromHash()) {
+        history.replaceState(history.state, '', window.location.pathname + window.location.search);
+    }
 }
 
 /**
- * Clears all items from the cart.
- * Confirms with user before clearing if cart is not empty.
+ * Builds the deep link hash for a work.
+ * @param {string} workId - Value of the work's data-work-id attribute
+ * @returns {string} e.g. '#work/void-structure'
  */
-function clearCart() {
-    if (cart.length === 0) {
-        // Cart is already empty, nothing to do
-        return;
+function getWorkHash(workId) {
+    return WORK_HASH_PREFIX + encodeURIComponent(workId);
+}
+
+/**
+ * Reads the work ID from a #work/ deep link in the current URL.
+ * @returns {string|null} Work ID, or null if the hash is not a work link
+ */
+function getWorkIdFromHash() {
+    const hash = window.location.hash;
+
+    if (hash.indexOf(WORK_HASH_PREFIX) !== 0 || hash.length === WORK_HASH_PREFIX.length) {
+        return null;
     }
 
-    // Confirm before clearing
-    if (confirm('Are you sure you want to clear your cart?')) {
-        cart = [];
-        saveCart();
-        updateCartUI();
+    try {
+        return decodeURIComponent(hash.slice(WORK_HASH_PREFIX.length));
+    } catch (error) {
+        return null;
     }
 }
 
 /**
- * Updates the cart UI elements with current cart data.
- * Expected DOM elements:
- *   - #cart-table: The table or container for cart items
- *   - #cart-total: Element to display the total price
- * 
- * Creates HTML content for cart items with remove buttons.
+ * Brings the lightbox in line with the URL: opens it on the work named by a
+ * #work/ hash, or closes it when the hash no longer names a work (Back).
+ * Works hidden by the gallery filters are revealed by clearing the filters.
  */
-function updateCartUI() {
-    const cartTable = document.getElementById('cart-table');
-    const cartTotalElement = document.getElementById('cart-total');
+function syncLightboxWithHash() {
+    const workId = getWorkIdFromHash();
 
-    // If cart elements don't exist on this page, exit silently
-    if (!cartTable) {
+    if (!workId) {
+        // The history entry is already gone, so closing must not step back again
+        lightboxState.pushedHistory = false;
+        closeLightbox();
         return;
     }
 
-    // Clear existing content
-    cartTable.innerHTML = '';
-
-    // Handle empty cart
-    if (cart.length === 0) {
-        cartTable.innerHTML = '<tr><td colspan="3" class="cart-empty">Your cart is empty</td></tr>';
-        
-        if (cartTotalElement) {
-            cartTotalElement.textContent = 'Total: $0.00';
-        }
+    if (isLightboxOpen() && lightboxState.items[lightboxState.index].workId === workId) {
         return;
     }
 
-    // Build cart items HTML
-    cart.forEach(function(item, index) {
-        const row = document.createElement('tr');
-        
-        // Item name cell
-        const nameCell = document.createElement('td');
-        nameCell.textContent = item.name;
-        nameCell.className = 'cart-item-name';
-        row.appendChild(nameCell);
+    const galleryItem = Array.prototype.find.call(document.querySelectorAll('.gallery-item[data-work-id]'), function(element) {
+        return element.getAttribute('data-work-id') === workId;
+    });
+    const trigger = galleryItem ? galleryItem.querySelector('.gallery-trigger') : null;
 
-        // Price cell
-        const priceCell = document.createElement('td');
-        priceCell.textContent = '$' + item.price.toFixed(2);
-        priceCell.className = 'cart-item-price';
-        row.appendChild(priceCell);
+    if (!trigger) {
+        console.warn('Deep link to unknown work:', workId);
+        history.replaceState(history.state, '', window.location.pathname + window.location.search);
+        showToast('That artwork could not be found.', { type: 'error' });
+        return;
+    }
 
-        // Remove button cell
-        const actionCell = document.createElement('td');
-        const removeButton = document.createElement('button');
-        removeButton.textContent = 'Remove';
-        removeButton.className = 'remove-btn';
-        removeButton.setAttribute('data-index', index);
-        removeButton.setAttribute('aria-label', 'Remove ' + item.name + ' from cart');
-        
-        // Add click handler for remove
-        removeButton.addEventListener('click', function() {
-            removeItem(index);
-        });
-        
-        actionCell.appendChild(removeButton);
-        actionCell.className = 'cart-item-action';
-        row.appendChild(actionCell);
+    if (galleryItem.hidden) {
+        resetGalleryFilters();
+    }
 
-        cartTable.appendChild(row);
+    const index = getLightboxItems().findIndex(function(item) {
+        return item.trigger === trigger;
     });
 
-    // Update total
-    if (cartTotalElement) {
-        const total = cart.reduce(function(sum, item) {
-            return sum + item.price;
-        }, 0);
-        
-        cartTotalElement.textContent = 'Total: $' + total.toFixed(2);
+    if (isLightboxOpen()) {
+        showLightboxImage(index);
+    } else {
+        openLightbox(index, trigger);
     }
 }
 
 /**
- * Sets up event listeners for "Add to Cart" buttons.
- * Expected button attributes:
- *   - class: .add-to-cart
- *   - data-name: Name of the item
- *   - data-price: Price of the item
+ * Shows the item at the given index, wrapping around at either end.
+ * Updates the image, caption and screen reader announcement, then preloads
+ * the neighbouring images.
+ *
+ * @param {number} index - Index of the item to show (may be out of range)
  */
-function initCartButtons() {
-    const addToCartButtons = document.querySelectorAll('.add-to-cart');
+function showLightboxImage(index) {
+    const items = lightboxState.items;
+    const lightboxImage = document.getElementById('lightbox-image');
+    const lightboxCaption = document.getElementById('lightbox-caption');
+    const lightboxStatus = document.getElementById('lightbox-status');
 
-    if (addToCartButtons.length === 0) {
-        // No add-to-cart buttons on this page - that's fine
+    if (items.length === 0 || !lightboxImage) {
         return;
     }
 
-    addToCartButtons.forEach(function(button) {
-        button.addEventListener('click', function() {
-            const name = button.getAttribute('data-name');
-            const price = button.getAttribute('data-price');
+    // Wrap around in both directions
+    const wrapped = ((index % items.length) + items.length) % items.length;
+    const item = items[wrapped];
 
-            if (!name || !price) {
-                console.warn('Add to cart button missing data-name or data-price', button);
-                return;
-            }
+    lightboxState.index = wrapped;
 
-            addToCart(name, price);
-        });
-    });
+    lightboxImage.src = item.src;
+    lightboxImage.alt = item.alt;
+
+    if (lightboxCaption) {
+        lightboxCaption.textContent = item.caption;
+        lightboxCaption.hidden = !item.caption;
+    }
+
+    if (lightboxStatus) {
+        lightboxStatus.textContent = 'Image ' + (wrapped + 1) + ' of ' + items.length +
+            (item.caption ? ': ' + item.caption : '');
+    }
+
+    renderLightboxActions(item);
+
+    preloadLightboxNeighbours(wrapped);
 }
 
 /**
- * Placeholder for checkout functionality.
- * Shows an alert indicating checkout is not yet implemented.
+ * Moves the lightbox forwards or backwards through the collection.
+ * @param {number} step - +1 for next, -1 for previous
  */
-function checkout() {
-    if (cart.length === 0) {
-        alert('Your cart is empty!');
+function stepLightbox(step) {
+    if (!isLightboxOpen()) {
         return;
     }
 
-    alert('Checkout functionality coming soon!');
+    showLightboxImage(lightboxState.index + step);
+
+    // Keep the deep link pointing at the work on screen without adding
+    // history entries for every step
+    const item = lightboxState.items[lightboxState.index];
+    if (item.workId && getWorkIdFromHash()) {
+        history.replaceState(history.state, '', getWorkHash(item.workId));
+    }
 }
 
 /**
- * Sets up the checkout button if it exists on the page.
+ * Warms the browser cache with the images either side of the current one so
+ * stepping through the lightbox does not wait on the network.
+ *
+ * @param {number} index - Index of the item currently shown
  */
-function initCheckoutButton() {
-    const checkoutButton = document.getElementById('checkout-btn');
-    
-    if (checkoutButton) {
-        checkoutButton.addEventListener('click', checkout);
+function preloadLightboxNeighbours(index) {
+    const items = lightboxState.items;
+
+    if (items.length < 2) {
+        return;
     }
 
-    // Also look for clear cart button
-    const clearCartButton = document.getElementById('clear-cart-btn');
-    
+    [index - 1, index + 1].forEach(function(neighbour) {
+        const item = items[(neighbour + items.length) % items.length];
+        if (item.src) {
+            const preload = new Image();
+            preload.src = item.src;
+        }
+    });
+}
+
+/**
+ * Sets up the gallery lightbox if #lightbox exists on the page:
+ * - Clicking any .gallery-trigger opens the lightbox on that work
+ * - Prev/next buttons, arrow keys and horizontal swipes step through works
+ * - Close button, Escape and clicking the backdrop close the lightbox
+ * - The URL carries #work/<id> while open, so works can be linked to and
+ *   browser Back closes the lightbox
+ */
+function initLightbox() {
+    const lightbox = document.getElementById('lightbox');
+
+    if (!lightbox) {
+        // No lightbox on this page - that's fine, no warning needed
+        return;
+    }
+
+    document.querySelectorAll('.gallery-trigger').forEach(function(trigger) {
+        trigger.addEventListener('click', function() {
+            const items = getLightboxItems();
+            openLightbox(items.findIndex(function(item) {
+                return item.trigger === trigger;
+            }), trigger);
+        });
+    });
+
+    const closeButton = lightbox.querySelector('.lightbox-close');
+    const prevButton = lightbox.querySelector('.lightbox-prev');
+    const nextButton = lightbox.querySelector('.lightbox-next');
+
+    if (closeButton) {
+        closeButton.addEventListener('click', closeLightbox);
+    }
+    if (prevButton) {
+        prevButton.addEventListener('click', function() {
+            stepLightbox(-1);
+        });
+    }
+    if (nextButton) {
+        nextButton.addEventListener('click', function() {
+            stepLightbox(1);
+        });
+    }
+
+    // Click on the backdrop (not the image or controls) closes the lightbox
+    lightbox.addEventListener('click', function(event) {
+        if (event.target === lightbox) {
+            closeLightbox();
+        }
+    });
+
+    document.addEventListener('keydown', function(event) {
+        if (!isLightboxOpen()) {
+            return;
+        }
+
+        switch (event.key) {
+            case 'Escape':
+                closeLightbox();
+                break;
+            case 'ArrowLeft':
+                event.preventDefault();
+                stepLightbox(-1);
+                break;
+            case 'ArrowRight':
+                event.preventDefault();
+                stepLightbox(1);
+                break;
+            case 'Tab':
+                trapFocus(event, lightbox);
+                break;
+        }
+    });
+
+    // Touch swipe navigation
+    lightbox.addEventListener('touchstart', function(event) {
+        if (event.touches.length !== 1) {
+            lightboxState.touchStartX = null;
+            return;
+        }
+        lightboxState.touchStartX = event.touches[0].clientX;
+        lightboxState.touchStartY = event.touches[0].clientY;
+    }, { passive: true });
+
+    lightbox.addEventListener('touchend', function(event) {
+        if (lightboxState.touchStartX === null) {
+            return;
+        }
+
+        const touch = event.changedTouches[0];
+        const deltaX = touch.clientX - lightboxState.touchStartX;
+        const deltaY = touch.clientY - lightboxState.touchStartY;
+
+        lightboxState.touchStartX = null;
+        lightboxState.touchStartY = null;
+
+        // Ignore short or mostly vertical gestures (page scroll attempts)
+        if (Math.abs(deltaX) < LIGHTBOX_SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) {
+            return;
+        }
+
+        // Swiping left reveals the next image, swiping right the previous one
+        stepLightbox(deltaX < 0 ? 1 : -1);
+    });
+
+    // Back/forward and links to #work/ hashes on this page
+    window.addEventListener('popstate', syncLightboxWithHash);
+    window.addEventListener('hashchange', syncLightboxWithHash);
+
+    // Deep link on page load
+    if (getWorkIdFromHash()) {
+        syncLightboxWithHash();
+    }
+}
+
+// ============================================================================
+// GALLERY FILTERS, SORTING & SEARCH
+// ============================================================================
+
+/**
+ * Filter chip groups, in display order. Each key names the data attribute
+ * read from .gallery-item (data-medium, data-year, data-series) and the
+ * query string parameter that stores the selection.
+ */
+const GALLERY_FILTER_GROUPS = [
+    { key: 'medium', label: 'Medium' },
+    { key: 'year', label: 'Year' },
+    { key: 'series', label: 'Series' }
+];
+
+/**
+ * Sort orders offered by #gallery-sort. The first is the default.
+ */
+const GALLERY_SORTS = ['newest', 'title'];
+
+/**
+ * Current gallery view. Filter groups hold slugs of the selected values;
+ * works must match one selected value in every group that has a selection.
+ */
+const galleryFilterState = {
+    medium: [],
+    year: [],
+    series: [],
+    query: '',
+    sort: GALLERY_SORTS[0]
+};
+
+/**
+ * Reads the gallery's works and their metadata from the page.
+ * Expected attributes on each .gallery-item:
+ *   - data-medium, data-year, data-series: Filter values
+ *   - data-date: 'YYYY-MM-DD' used for newest-first sorting
+ * Titles come from .gallery-title and alt text from the work's image.
+ *
+ * @returns {Array<Object>} Works as {element, title, alt, date, index, medium, year, series}
+ */
+function getGalleryWorks() {
+    return Array.prototype.map.call(document.querySelectorAll('.gallery-item'), function(element, index) {
+        const title = element.querySelector('.gallery-title');
+        const image = element.querySelector('img');
+        const trigger = element.querySelector('.gallery-trigger');
+
+        const work = {
+            element: element,
+            title: title ? title.textContent.trim() : '',
+            alt: image ? image.getAttribute('alt') || '' : '',
+            date: element.getAttribute('data-date') || '',
+            // Original position, used to keep sorting stable
+            index: trigger ? parseInt(trigger.getAttribute('data-index'), 10) || index : index
+        };
+
+        GALLERY_FILTER_GROUPS.forEach(function(group) {
+            work[group.key] = element.getAttribute('data-' + group.key) || '';
+        });
+
+        return work;
+    });
+}
+
+/**
+ * Loads the gallery view from the query string, e.g.
+ * ?medium=digital-painting,3d-render&year=2025&q=steel&sort=title
+ */
+function readGalleryStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+
+    GALLERY_FILTER_GROUPS.forEach(function(group) {
+        const value = params.get(group.key);
+        galleryFilterState[group.key] = value ? value.split(',').filter(Boolean) : [];
+    });
+
+    galleryFilterState.query = params.get('q') || '';
+
+    const sort = params.get('sort');
+    galleryFilterState.sort = GALLERY_SORTS.indexOf(sort) !== -1 ? sort : GALLERY_SORTS[0];
+}
+
+/**
+ * Writes the gallery view to the query string without adding a history
+ * entry, so the current view can be bookmarked or shared. Defaults are left
+ * out to keep URLs short.
+ */
+function writeGalleryStateToUrl() {
+    const params = new URLSearchParams(window.location.search);
+
+    GALLERY_FILTER_GROUPS.forEach(function(group) {
+        if (galleryFilterState[group.key].length > 0) {
+            params.set(group.key, galleryFilterState[group.key].join(','));
+        } else {
+            params.delete(group.key);
+        }
+    });
+
+    if (galleryFilterState.query) {
+        params.set('q', galleryFilterState.query);
+    } else {
+        params.delete('q');
+    }
+
+    if (galleryFilterState.sort !== GALLERY_SORTS[0]) {
+        params.set('sort', galleryFilterState.sort);
+    } else {
+        params.delete('sort');
+    }
+
+    const search = params.toString();
+    const url = window.location.pathname + (search ? '?' + search : '') + window.location.hash;
+
+    history.replaceState(history.state, '', url);
+}
+
+/**
+ * Returns true if any filter or search term is active.
+ * @returns {boolean}
+ */
+function hasActiveGalleryFilters() {
+    return !!galleryFilterState.query || GALLERY_FILTER_GROUPS.some(function(group) {
+        return galleryFilterState[group.key].length > 0;
+    });
+}
+
+/**
+ * Returns true if a work passes the current filters and search.
+ * Search matches when every word appears in the title or alt text.
+ *
+ * @param {Object} work - Work from getGalleryWorks()
+ * @returns {boolean}
+ */
+function matchesGalleryFilters(work) {
+    const passesGroups = GALLERY_FILTER_GROUPS.every(function(group) {
+        const selected = galleryFilterState[group.key];
+        return selected.length === 0 || selected.indexOf(slugify(work[group.key])) !== -1;
+    });
+
+    if (!passesGroups) {
+        return false;
+    }
+
+    const haystack = (work.title + ' ' + work.alt).toLowerCase();
+
+    return galleryFilterState.query.toLowerCase().split(/\s+/).filter(Boolean).every(function(term) {
+        return haystack.indexOf(term) !== -1;
+    });
+}
+
+/**
+ * Builds one chip group per GALLERY_FILTER_GROUPS entry from the values the
+ * works actually use. Years are listed newest first, other values A-Z.
+ *
+ * @param {Array<Object>} works - Works from getGalleryWorks()
+ */
+function renderGalleryFilterChips(works) {
+    const container = document.getElementById('gallery-filters');
+
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = '';
+
+    GALLERY_FILTER_GROUPS.forEach(function(group) {
+        const values = [];
+        works.forEach(function(work) {
+            if (work[group.key] && values.indexOf(work[group.key]) === -1) {
+                values.push(work[group.key]);
+            }
+        });
+
+        if (values.length === 0) {
+            return;
+        }
+
+        values.sort(function(a, b) {
+            return group.key === 'year' ? b.localeCompare(a) : a.localeCompare(b);
+        });
+
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'filter-group';
+
+        const legend = document.createElement('legend');
+        legend.textContent = group.label;
+        fieldset.appendChild(legend);
+
+        values.forEach(function(value) {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-chip';
+            chip.textContent = value;
+            chip.setAttribute('data-filter-group', group.key);
+            chip.setAttribute('data-filter-value', slugify(value));
+            fieldset.appendChild(chip);
+        });
+
+        container.appendChild(fieldset);
+    });
+}
+
+/**
+ * Applies the current filters, search and sort to the gallery grid:
+ * hides non-matching works, reorders the rest, syncs the controls and
+ * updates the results count.
+ */
+function applyGalleryFilters() {
+    const grid = document.querySelector('.gallery-grid');
+
+    if (!grid) {
+        return;
+    }
+
+    const works = getGalleryWorks();
+
+    works.sort(function(a, b) {
+        if (galleryFilterState.sort === 'title') {
+            return a.title.localeCompare(b.title) || a.index - b.index;
+        }
+        return b.date.localeCompare(a.date) || a.index - b.index;
+    });
+
+    let visibleCount = 0;
+
+    works.forEach(function(work) {
+        const visible = matchesGalleryFilters(work);
+        work.element.hidden = !visible;
+        if (visible) {
+            visibleCount++;
+        }
+        // Re-appending moves each work into sorted position
+        grid.appendChild(work.element);
+    });
+
+    document.querySelectorAll('.filter-chip').forEach(function(chip) {
+        const selected = galleryFilterState[chip.getAttribute('data-filter-group')] || [];
+        chip.setAttribute('aria-pressed', selected.indexOf(chip.getAttribute('data-filter-value')) !== -1 ? 'true' : 'false');
+    });
+
+    const searchInput = document.getElementById('gallery-search');
+    if (searchInput && searchInput.value !== galleryFilterState.query) {
+        searchInput.value = galleryFilterState.query;
+    }
+
+    const sortSelect = document.getElementById('gallery-sort');
+    if (sortSelect) {
+        sortSelect.value = galleryFilterState.sort;
+    }
+
+    const results = document.getElementById('gallery-results');
+    if (results) {
+        results.textContent = visibleCount === works.length
+            ? 'Showing all ' + works.length + ' works'
+            : 'Showing ' + visibleCount + ' of ' + works.length + ' works';
+    }
+
+    const empty = document.getElementById('gallery-empty');
+    if (empty) {
+        empty.hidden = visibleCount > 0;
+    }
+
+    const clearButton = document.getElementById('gallery-clear-filters');
+    if (clearButton) {
+        clearButton.hidden = !hasActiveGalleryFilters();
+    }
+}
+
+/**
+ * Clears every filter chip and the search term, keeping the sort order.
+ */
+function resetGalleryFilters() {
+    GALLERY_FILTER_GROUPS.forEach(function(group) {
+        galleryFilterState[group.key] = [];
+    });
+    galleryFilterState.query = '';
+
+    writeGalleryStateToUrl();
+    applyGalleryFilters();
+}
+
+/**
+ * Sets up gallery filtering if #gallery-controls exists on the page.
+ * Expected DOM elements:
+ *   - #gallery-filters: Container for the generated filter chips
+ *   - #gallery-search: Text search over titles and alt text
+ *   - #gallery-sort: Sort order select
+ *   - #gallery-results / #gallery-empty: Result count and empty state
+ *   - #gallery-clear-filters: Resets filters and search
+ */
+function initGalleryFilters() {
+    const controls = document.getElementById('gallery-controls');
+
+    if (!controls) {
+        return;
+    }
+
+    renderGalleryFilterChips(getGalleryWorks());
+    readGalleryStateFromUrl();
+    applyGalleryFilters();
+
+    function update() {
+        writeGalleryStateToUrl();
+        applyGalleryFilters();
+    }
+
+    controls.addEventListener('click', function(event) {
+        const chip = event.target.closest('.filter-chip');
+
+        if (chip) {
+            const selected = galleryFilterState[chip.getAttribute('data-filter-group')];
+            const value = chip.getAttribute('data-filter-value');
+            const position = selected.indexOf(value);
+
+            if (position === -1) {
+                selected.push(value);
+            } else {
+                selected.splice(position, 1);
+            }
+
+            update();
+        }
+    });
+
+    const searchInput = document.getElementById('gallery-search');
+    if (searchInput) {
+        searchInput.addEventListener('input', function() {
+            galleryFilterState.query = searchInput.value.trim();
+            update();
+        });
+    }
+
+    const sortSelect = document.getElementById('gallery-sort');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', function() {
+            galleryFilterState.sort = sortSelect.value;
+            update();
+        });
+    }
+
+    const clearButton = document.getElementById('gallery-clear-filters');
+    if (clearButton) {
+        clearButton.addEventListener('click', function() {
+            resetGalleryFilters();
+
+            if (searchInput) {
+                searchInput.focus();
+            }
+        });
+    }
+
+    // Back/forward between bookmarked views
+    window.addEventListener('popstate', function() {
+        readGalleryStateFromUrl();
+        applyGalleryFilters();
+    });
+}
+
+// ============================================================================
+// SITE STORAGE
+// ============================================================================
+
+/**
+ * Storage state shared by the helpers below.
+ *   - fallback: True once localStorage has proven unusable for this page;
+ *     every read and write then goes to memory for the rest of the visit
+ *   - memory: In-memory key/value store used while in fallback mode
+ *   - noticeShown: Whether the "not saved" notice is already on the page
+ */
+const storageState = {
+    fallback: false,
+    memory: {},
+    noticeShown: false
+};
+
+/**
+ * Returns localStorage if it exists and accepts writes, otherwise null.
+ * Privacy modes can expose a localStorage object that throws on use.
+ *
+ * @returns {Storage|null}
+ */
+function getLocalStorage() {
+    try {
+        if (typeof Storage === 'undefined' || !window.localStorage) {
+            return null;
+        }
+
+        const probeKey = '__tkchiStorageProbe__';
+        localStorage.setItem(probeKey, '1');
+        localStorage.removeItem(probeKey);
+
+        return localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Switches all site storage to memory for the rest of the visit and tells
+ * the visitor their changes won't be kept.
+ *
+ * @param {string} reason - Why persistence failed, for the console
+ */
+function useMemoryStorage(reason) {
+    if (!storageState.fallback) {
+        console.warn('localStorage unavailable, keeping data in memory:', reason);
+    }
+
+    storageState.fallback = true;
+    showStorageNotice();
+}
+
+/**
+ * Shows a one-time notice that data on this page will not be saved.
+ * The notice is placed at the top of #main-content.
+ */
+function showStorageNotice() {
+    if (storageState.noticeShown) {
+        return;
+    }
+
+    const main = document.getElementById('main-content') || document.body;
+
+    if (!main) {
+        return;
+    }
+
+    const notice = document.createElement('p');
+    notice.className = 'storage-notice';
+    notice.setAttribute('role', 'status');
+    notice.textContent = 'Your browser is not letting this site save data, so your cart and settings ' +
+        'will only last until you close this tab.';
+
+    main.insertBefore(notice, main.firstChild);
+    storageState.noticeShown = true;
+}
+
+/**
+ * Reads a value from site storage.
+ *
+ * @param {string} key - Storage key
+ * @returns {string|null} Stored string, or null if nothing is stored
+ */
+function readStorage(key) {
+    // Optional data without consent lives in memory once this page sets it
+    if (!isStorageAllowed(key) && Object.prototype.hasOwnProperty.call(storageState.memory, key)) {
+        return storageState.memory[key];
+    }
+
+    if (!storageState.fallback) {
+        const storage = getLocalStorage();
+
+        if (storage) {
+            return storage.getItem(key);
+        }
+
+        useMemoryStorage('localStorage is not available');
+    }
+
+    return Object.prototype.hasOwnProperty.call(storageState.memory, key) ? storageState.memory[key] : null;
+}
+
+/**
+ * Writes a value to site storage, falling back to memory if localStorage is
+ * missing or full. Optional data the visitor has not agreed to store (see
+ * STORAGE CONSENT) is only kept in memory for this page.
+ *
+ * @param {string} key - Storage key
+ * @param {string} value - String to store
+ */
+function writeStorage(key, value) {
+    if (!isStorageAllowed(key)) {
+        storageState.memory[key] = value;
+        notifyStorageBlocked(key);
+        return;
+    }
+
+    if (!storageState.fallback) {
+        try {
+            const storage = getLocalStorage();
+
+            if (storage) {
+                storage.setItem(key, value);
+                return;
+            }
+
+            useMemoryStorage('localStorage is not available');
+        } catch (error) {
+            // Usually QuotaExceededError: storage is full
+            useMemoryStorage(error.message);
+        }
+    }
+
+    storageState.memory[key] = value;
+}
+
+/**
+ * Removes a value from site storage.
+ * @param {string} key - Storage key
+ */
+function removeStorage(key) {
+    delete storageState.memory[key];
+
+    if (!storageState.fallback) {
+        const storage = getLocalStorage();
+        if (storage) {
+            storage.removeItem(key);
+        }
+    }
+}
+
+/**
+ * Browser storage areas the site may use, as named in the registry.
+ */
+const SITE_DATA_STORAGES = ['localStorage', 'sessionStorage', 'caches', 'indexedDB'];
+
+/**
+ * Everything the site keeps in the browser. Each feature registers its keys
+ * next to where it defines them (see registerSiteData()), so the "your data"
+ * section on legal/data-deletion.html can list, export and erase all of it.
+ */
+const siteDataRegistry = [];
+
+/**
+ * Registers data a feature stores in the browser.
+ *
+ * @param {Object} entry
+ * @param {string} entry.key - Storage key, cache name or database name
+ * @param {string} entry.label - Short name shown to the visitor
+ * @param {string} entry.description - What is stored and why
+ * @param {string} [entry.storage='localStorage'] - One of SITE_DATA_STORAGES
+ * @param {boolean} [entry.prefix=false] - Match every name starting with key
+ * @param {string} [entry.category='essential'] - Consent category from
+ *     CONSENT_CATEGORIES; anything the site works without must be optional
+ * @param {Function} [entry.onErase] - Resets the feature on the current page
+ *     after its data is erased
+ */
+function registerSiteData(entry) {
+    const storage = entry.storage || 'localStorage';
+    const category = entry.category || 'essential';
+
+    if (SITE_DATA_STORAGES.indexOf(storage) === -1) {
+        console.warn('Unknown storage area for site data:', storage);
+        return;
+    }
+
+    if (!getConsentCategory(category)) {
+        console.warn('Unknown consent category for site data:', category);
+        return;
+    }
+
+    siteDataRegistry.push({
+        storage: storage,
+        key: entry.key,
+        prefix: !!entry.prefix,
+        label: entry.label,
+        description: entry.description,
+        category: category,
+        onErase: entry.onErase || null
+    });
+}
+
+/**
+ * Finds the registry entry that covers a stored name.
+ *
+ * @param {string} storage - One of SITE_DATA_STORAGES
+ * @param {string} name - Key, cache name or database name
+ * @returns {Object|null}
+ */
+function findSiteDataEntry(storage, name) {
+    return siteDataRegistry.find(function(entry) {
+        return entry.storage === storage &&
+            (entry.prefix ? name.indexOf(entry.key) === 0 : name === entry.key);
+    }) || null;
+}
+
+// ============================================================================
+// STORAGE CONSENT
+// ============================================================================
+
+/**
+ * Kinds of data the site stores, as offered in the consent banner. Essential
+ * data is always stored; the others wait for the visitor's agreement. Every
+ * registerSiteData() entry names one of these.
+ */
+const CONSENT_CATEGORIES = [
+    {
+        id: 'essential',
+        label: 'Essential',
+        description: 'Your cart, messages waiting to be sent, the offline copy of the site and this choice. ' +
+            'The site needs these to work.',
+        required: true
+    },
+    {
+        id: 'preferences',
+        label: 'Preferences',
+        description: 'Remembers your theme and display currency between visits.'
+    },
+    {
+        id: 'saved-items',
+        label: 'Saved items',
+        description: 'Keeps things you choose to save, such as your wishlist, order history and tarot journal entries.'
+    },
+    {
+        id: 'analytics',
+        label: 'Analytics',
+        description: 'Anonymous statistics about how the site is used. The site does not collect any yet; ' +
+            'this stays off unless you allow it.'
+    }
+];
+
+/**
+ * Where the visitor's choice is stored.
+ * Format: {version, decidedAt, categories: {preferences: true, ...}}
+ */
+const CONSENT_STORAGE_KEY = 'artStudioConsent';
+
+registerSiteData({
+    key: CONSENT_STORAGE_KEY,
+    label: 'Storage choices',
+    description: 'Which kinds of data you agreed to let this site store.',
+    onErase: function() {
+        openConsentBanner();
+    }
+});
+
+/**
+ * Version of the consent choices. Bump it when categories are added or their
+ * meaning changes, so visitors are asked again.
+ */
+const CONSENT_VERSION = 1;
+
+/**
+ * Consent banner state.
+ *   - banner: The banner element, once built
+ *   - returnFocus: Element to focus again when the banner closes
+ *   - notified: Categories whose "not saved" toast was already shown
+ */
+const consentState = {
+    banner: null,
+    returnFocus: null,
+    notified: {}
+};
+
+/**
+ * Looks up a consent category by id.
+ *
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function getConsentCategory(id) {
+    return CONSENT_CATEGORIES.find(function(category) {
+        return category.id === id;
+    });
+}
+
+/**
+ * Reads the visitor's stored choice.
+ *
+ * @returns {Object|null} The consent record, or null if the visitor has not
+ *     decided yet (or decided on an older version of the choices)
+ */
+function readConsent() {
+    const stored = readStorage(CONSENT_STORAGE_KEY);
+
+    if (!stored) {
+        return null;
+    }
+
+    try {
+        const record = JSON.parse(stored);
+        if (!record || record.version !== CONSENT_VERSION || typeof record.categories !== 'object') {
+            return null;
+        }
+        return record;
+    } catch (error) {
+        console.warn('Ignoring unreadable storage choices:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Whether the visitor allows a category of data to be stored. Features that
+ * store nothing themselves (analytics, say) can check this before running.
+ *
+ * @param {string} category - Category id from CONSENT_CATEGORIES
+ * @returns {boolean}
+ */
+function hasStorageConsent(category) {
+    if (category === 'essential') {
+        return true;
+    }
+
+    const record = readConsent();
+    return !!record && record.categories[category] === true;
+}
+
+/**
+ * Whether a localStorage key may be written. Keys must be registered with
+ * registerSiteData(); unregistered keys are never stored.
+ *
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+function isStorageAllowed(key) {
+    const entry = findSiteDataEntry('localStorage', key);
+
+    if (!entry) {
+        console.warn('Storage key is not registered with registerSiteData():', key);
+        return false;
+    }
+
+    return hasStorageConsent(entry.category);
+}
+
+/**
+ * Tells the visitor, once per category and page, that something they changed
+ * will not be remembered because they have not allowed it. Skipped while the
+ * banner is open, since it already asks.
+ *
+ * @param {string} key - Storage key that was not written
+ */
+function notifyStorageBlocked(key) {
+    const entry = findSiteDataEntry('localStorage', key);
+
+    if (!entry || consentState.notified[entry.category] || isConsentBannerOpen()) {
+        return;
+    }
+
+    consentState.notified[entry.category] = true;
+
+    showToast(entry.label + ' will not be remembered after this page, because ' +
+        getConsentCategory(entry.category).label.toLowerCase() + ' storage is turned off.', {
+        action: {
+            label: 'Change',
+            onClick: function() {
+                openConsentBanner({ customize: true, focus: true });
+            }
+        }
+    });
+}
+
+/**
+ * Brings localStorage in line with the current choice: data kept in memory
+ * for a newly allowed category is saved, and stored data for a category that
+ * is no longer allowed is erased (the page keeps using it until it is left).
+ */
+function applyConsentToStoredData() {
+    const storage = storageState.fallback ? null : getLocalStorage();
+
+    if (!storage) {
+        return;
+    }
+
+    Object.keys(storageState.memory).forEach(function(name) {
+        const entry = findSiteDataEntry('localStorage', name);
+
+        if (entry && entry.category !== 'essential' && hasStorageConsent(entry.category)) {
+            const value = storageState.memory[name];
+            delete storageState.memory[name];
+            writeStorage(name, value);
+        }
+    });
+
+    Object.keys(storage).forEach(function(name) {
+        const entry = findSiteDataEntry('localStorage', name);
+
+        if (entry && !hasStorageConsent(entry.category)) {
+            storageState.memory[name] = storage.getItem(name);
+            storage.removeItem(name);
+        }
+    });
+}
+
+/**
+ * Saves the visitor's choice and applies it to data already stored.
+ *
+ * @param {Object} categories - Allowed state by optional category id
+ */
+function saveConsent(categories) {
+    const record = {
+        version: CONSENT_VERSION,
+        decidedAt: new Date().toISOString(),
+        categories: {}
+    };
+
+    CONSENT_CATEGORIES.forEach(function(category) {
+        if (!category.required) {
+            record.categories[category.id] = categories[category.id] === true;
+        }
+    });
+
+    writeStorage(CONSENT_STORAGE_KEY, JSON.stringify(record));
+    applyConsentToStoredData();
+    consentState.notified = {};
+
+    closeConsentBanner();
+    showToast('Your storage choices have been saved.', { type: 'success' });
+
+    // Keep the "your data" list on the data deletion page current
+    if (document.getElementById('site-data-list')) {
+        refreshSiteData();
+    }
+}
+
+/**
+ * Saves a choice that allows every optional category, or none of them.
+ *
+ * @param {boolean} allowed
+ */
+function setAllConsent(allowed) {
+    const categories = {};
+
+    CONSENT_CATEGORIES.forEach(function(category) {
+        categories[category.id] = allowed;
+    });
+
+    saveConsent(categories);
+}
+
+/**
+ * Builds the consent banner: a short explanation, accept/reject/customize
+ * buttons and a form with one checkbox per category.
+ *
+ * @returns {HTMLElement}
+ */
+function createConsentBanner() {
+    const banner = document.createElement('section');
+    banner.className = 'consent-banner';
+    banner.id = 'consent-banner';
+    banner.setAttribute('aria-labelledby', 'consent-title');
+    banner.hidden = true;
+
+    const inner = document.createElement('div');
+    inner.className = 'consent-banner-inner';
+
+    const title = document.createElement('h2');
+    title.className = 'consent-title';
+    title.id = 'consent-title';
+    title.tabIndex = -1;
+    title.textContent = 'Your storage choices';
+    inner.appendChild(title);
+
+    const text = document.createElement('p');
+    text.className = 'consent-text';
+    text.textContent = 'This site keeps your cart in your browser so it is still there when you come back. ' +
+        'With your permission it can also remember your settings and the things you save. Nothing is sent to us, ' +
+        'and you can change your mind at any time from the link at the bottom of every page.';
+    inner.appendChild(text);
+
+    const form = document.createElement('form');
+    form.className = 'consent-options';
+    form.id = 'consent-options';
+    form.hidden = true;
+
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.className = 'visually-hidden';
+    legend.textContent = 'Kinds of data to store';
+    fieldset.appendChild(legend);
+
+    CONSENT_CATEGORIES.forEach(function(category) {
+        const option = document.createElement('div');
+        option.className = 'consent-option';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = 'consent-' + category.id;
+        input.name = category.id;
+        if (category.required) {
+            input.checked = true;
+            input.disabled = true;
+        }
+        option.appendChild(input);
+
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+
+        const name = document.createElement('strong');
+        name.textContent = category.label + (category.required ? ' (always on)' : '');
+        label.appendChild(name);
+
+        const description = document.createElement('span');
+        description.textContent = category.description;
+        label.appendChild(description);
+
+        option.appendChild(label);
+        fieldset.appendChild(option);
+    });
+
+    form.appendChild(fieldset);
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'btn btn-primary btn-sm';
+    saveButton.textContent = 'Save Choices';
+    form.appendChild(saveButton);
+
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+
+        const categories = {};
+        CONSENT_CATEGORIES.forEach(function(category) {
+            categories[category.id] = form.elements[category.id].checked;
+        });
+        saveConsent(categories);
+    });
+
+    inner.appendChild(form);
+
+    const actions = document.createElement('div');
+    actions.className = 'consent-actions';
+
+    const acceptButton = document.createElement('button');
+    acceptButton.type = 'button';
+    acceptButton.className = 'btn btn-primary btn-sm';
+    acceptButton.textContent = 'Accept All';
+    acceptButton.addEventListener('click', function() {
+        setAllConsent(true);
+    });
+    actions.appendChild(acceptButton);
+
+    const rejectButton = document.createElement('button');
+    rejectButton.type = 'button';
+    rejectButton.className = 'btn btn-outline btn-sm';
+    rejectButton.textContent = 'Reject Optional';
+    rejectButton.addEventListener('click', function() {
+        setAllConsent(false);
+    });
+    actions.appendChild(rejectButton);
+
+    const customizeButton = document.createElement('button');
+    customizeButton.type = 'button';
+    customizeButton.className = 'btn btn-outline btn-sm';
+    customizeButton.id = 'consent-customize';
+    customizeButton.textContent = 'Customize';
+    customizeButton.setAttribute('aria-controls', form.id);
+    customizeButton.setAttribute('aria-expanded', 'false');
+    customizeButton.addEventListener('click', function() {
+        setConsentOptionsOpen(form.hidden);
+    });
+    actions.appendChild(customizeButton);
+
+    inner.appendChild(actions);
+    banner.appendChild(inner);
+
+    return banner;
+}
+
+/**
+ * Shows or hides the per-category checkboxes in the banner.
+ * @param {boolean} open
+ */
+function setConsentOptionsOpen(open) {
+    const form = document.getElementById('consent-options');
+    const toggle = document.getElementById('consent-customize');
+
+    if (!form || !toggle) {
+        return;
+    }
+
+    form.hidden = !open;
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
+/**
+ * @returns {boolean} Whether the consent banner is showing
+ */
+function isConsentBannerOpen() {
+    return !!consentState.banner && !consentState.banner.hidden;
+}
+
+/**
+ * Opens the consent banner with the checkboxes set to the current choice.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.customize=false] - Show the checkboxes straight away
+ * @param {boolean} [options.focus=false] - Move focus to the banner (when
+ *     the visitor asked for it, not on page load)
+ */
+function openConsentBanner(options) {
+    const settings = options || {};
+
+    if (!consentState.banner) {
+        consentState.banner = createConsentBanner();
+        document.body.appendChild(consentState.banner);
+    }
+
+    const form = document.getElementById('consent-options');
+    CONSENT_CATEGORIES.forEach(function(category) {
+        if (!category.required) {
+            form.elements[category.id].checked = hasStorageConsent(category.id);
+        }
+    });
+
+    setConsentOptionsOpen(!!settings.customize);
+    consentState.banner.hidden = false;
+
+    if (settings.focus) {
+        consentState.returnFocus = document.activeElement;
+        document.getElementById('consent-title').focus();
+    }
+}
+
+/**
+ * Hides the consent banner, returning focus to where it was opened from.
+ */
+function closeConsentBanner() {
+    if (!isConsentBannerOpen()) {
+        return;
+    }
+
+    const hadFocus = consentState.banner.contains(document.activeElement);
+    consentState.banner.hidden = true;
+
+    if (hadFocus && consentState.returnFocus && consentState.returnFocus.focus) {
+        consentState.returnFocus.focus();
+    }
+    consentState.returnFocus = null;
+}
+
+/**
+ * Asks for a storage choice on first visit and wires up the footer link that
+ * reopens it.
+ * Expected DOM elements:
+ *   - #consent-settings: Footer button (rendered by renderSiteLayout())
+ */
+function initConsent() {
+    const settingsButton = document.getElementById('consent-settings');
+    if (settingsButton) {
+        settingsButton.addEventListener('click', function() {
+            openConsentBanner({ customize: true, focus: true });
+        });
+    }
+
+    if (!readConsent()) {
+        openConsentBanner();
+    }
+
+    // A choice made, or erased, in another tab
+    window.addEventListener('storage', function(event) {
+        if (event.key !== CONSENT_STORAGE_KEY && event.key !== null) {
+            return;
+        }
+
+        if (readConsent()) {
+            closeConsentBanner();
+        } else {
+            openConsentBanner();
+        }
+    });
+}
+
+// ============================================================================
+// FILE DOWNLOADS
+// ============================================================================
+
+/**
+ * Saves a file built in the browser to the visitor's device. Nothing is
+ * uploaded.
+ *
+ * @param {string} filename - Suggested file name, e.g. 'journal.json'
+ * @param {Blob} blob - File contents
+ */
+function downloadBlob(filename, blob) {
+    if (!window.URL || !URL.createObjectURL) {
+        console.warn('File downloads are not supported in this browser');
+        showToast('Your browser cannot save files from this page.', { type: 'error' });
+        return;
+    }
+
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoke after the click has been handled, or the download can fail
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 0);
+}
+
+/**
+ * Saves data to the visitor's device as a pretty-printed JSON file.
+ *
+ * @param {string} filename - Suggested file name
+ * @param {*} data - JSON-serializable value
+ */
+function downloadJsonFile(filename, data) {
+    downloadBlob(filename, new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+}
+
+/**
+ * Returns today's date as YYYY-MM-DD, for use in downloaded file names.
+ * @returns {string}
+ */
+function getFileDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// ============================================================================
+// PRODUCT CATALOG
+// ============================================================================
+
+/**
+ * Path of the product catalog, relative to the site root.
+ * Each product is {id, name, description, price, images, type, tags} where
+ * images is a list of {src, alt} with root-relative src paths. Prices are in
+ * the catalog's base currency (see getCurrencyConfig()). Prints list the
+ * gallery works they reproduce in an optional artworks array of data-work-id
+ * values, which adds "Buy Print" to those works in the lightbox.
+ */
+const CATALOG_PATH = 'data/catalog.json';
+
+/**
+ * Loaded catalog ({products: [...]}), or null until loadCatalog() succeeds.
+ */
+let catalog = null;
+
+/**
+ * Pending or settled catalog request, shared by every caller of loadCatalog().
+ */
+let catalogRequest = null;
+
+/**
+ * Fetches the product catalog once per page.
+ * Resolves with the catalog, or with null if it could not be loaded (for
+ * example when the site is opened straight from the file system).
+ *
+ * @returns {Promise<Object|null>}
+ */
+function loadCatalog() {
+    if (catalogRequest) {
+        return catalogRequest;
+    }
+
+    catalogRequest = fetch(siteUrl(CATALOG_PATH))
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+        })
+        .then(function(data) {
+            if (!data || !Array.isArray(data.products)) {
+                throw new Error('catalog has no products array');
+            }
+            catalog = data;
+            return catalog;
+        })
+        .catch(function(error) {
+            console.warn('Failed to load product catalog:', error.message);
+            catalog = null;
+            return null;
+        });
+
+    return catalogRequest;
+}
+
+/**
+ * Looks up a product in the loaded catalog.
+ *
+ * @param {string} productId - Product ID
+ * @returns {Object|null} The product, or null if unknown or not loaded
+ */
+function getProduct(productId) {
+    if (!catalog) {
+        return null;
+    }
+
+    return catalog.products.find(function(product) {
+        return product.id === productId;
+    }) || null;
+}
+
+/**
+ * Builds the markup for one product card. Products with option groups get a
+ * selector per group, and the price and SKU follow the selection. Digital
+ * products say so. Low and sold-out stock is shown, and sold-out products
+ * cannot be added.
+ *
+ * @param {Object} product - Catalog product
+ * @param {Object} [options] - Choices to preselect (defaults otherwise)
+ * @returns {HTMLElement} article.product-card
+ */
+function createProductCard(product, options) {
+    const resolved = resolveProductOptions(product, options) || resolveProductOptions(product, {});
+    const card = document.createElement('article');
+    card.className = 'product-card';
+    card.setAttribute('data-product-id', product.id);
+    card.setAttribute('data-product-type', product.type || '');
+    // Target of site search results (store.html#product-<id>)
+    card.id = 'product-' + product.id;
+
+    const image = (product.images && product.images[0]) || null;
+    if (image) {
+        const imageWrapper = document.createElement('div');
+        imageWrapper.className = 'product-image';
+
+        const img = document.createElement('img');
+        img.src = siteUrl(image.src);
+        img.alt = image.alt || product.name;
+        img.loading = 'lazy';
+
+        imageWrapper.appendChild(img);
+        card.appendChild(imageWrapper);
+    }
+
+    const info = document.createElement('div');
+    info.className = 'product-info';
+
+    const name = document.createElement('h3');
+    name.className = 'product-name';
+    name.textContent = product.name;
+    info.appendChild(name);
+
+    const description = document.createElement('p');
+    description.className = 'product-description';
+    description.textContent = product.description;
+    info.appendChild(description);
+
+    const selectors = createProductOptionSelectors(product, resolved);
+    if (selectors) {
+        info.appendChild(selectors);
+    }
+
+    const price = document.createElement('p');
+    price.className = 'product-price';
+    price.textContent = formatPrice(getVariantPrice(product, resolved));
+    if (selectors) {
+        price.setAttribute('aria-live', 'polite');
+    }
+    info.appendChild(price);
+
+    if (product.sku) {
+        const sku = document.createElement('p');
+        sku.className = 'product-sku';
+        sku.textContent = 'SKU ' + getVariantSku(product, resolved);
+        info.appendChild(sku);
+    }
+
+    if (getProductFulfillment(product) === 'digital') {
+        const delivery = document.createElement('p');
+        delivery.className = 'product-delivery';
+        delivery.textContent = 'Digital download' + (product.download && product.download.format ? ' · ' + product.download.format : '');
+        info.appendChild(delivery);
+    }
+
+    const stock = describeProductStock(product);
+    if (stock.label) {
+        const stockStatus = document.createElement('p');
+        stockStatus.className = 'product-stock product-stock-' + stock.state;
+        stockStatus.textContent = stock.label;
+        info.appendChild(stockStatus);
+    }
+
+    const soldOut = stock.state === 'sold-out';
+    card.classList.toggle('is-sold-out', soldOut);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-primary add-to-cart';
+    button.textContent = soldOut ? 'Sold Out' : 'Add to Cart';
+    button.disabled = soldOut;
+    button.setAttribute('aria-label', soldOut ? product.name + ' is sold out' : 'Add ' + product.name + ' to cart');
+    info.appendChild(button);
+
+    card.appendChild(info);
+    card.appendChild(createWishlistToggle('product', product.id, product.name));
+
+    return card;
+}
+
+/**
+ * Renders every catalog product into .products-grid, keeping the options
+ * already chosen on cards that are re-rendered (e.g. for a new currency).
+ * Shows an error message in the grid if the catalog failed to load.
+ */
+function renderProductGrid() {
+    const productsGrid = document.querySelector('.products-grid');
+
+    if (!productsGrid) {
+        return;
+    }
+
+    const chosen = {};
+    productsGrid.querySelectorAll('.product-card[data-product-id]').forEach(function(card) {
+        chosen[card.getAttribute('data-product-id')] = readProductCardOptions(card);
+    });
+
+    productsGrid.innerHTML = '';
+
+    if (!catalog) {
+        const message = document.createElement('p');
+        message.className = 'products-message';
+        message.textContent = 'Products could not be loaded. Please refresh the page.';
+        productsGrid.appendChild(message);
+        return;
+    }
+
+    catalog.products.forEach(function(product) {
+        productsGrid.appendChild(createProductCard(product, chosen[product.id]));
+    });
+}
+
+/**
+ * Scrolls to the product card named in the URL hash (store.html#product-<id>).
+ * Cards are rendered after the catalog loads, too late for the browser's own
+ * jump to the hash, so this runs once the grid is in place.
+ */
+function revealLinkedProduct() {
+    const hash = window.location.hash;
+
+    if (hash.indexOf('#product-') !== 0) {
+        return;
+    }
+
+    const card = document.getElementById(decodeURIComponent(hash.slice(1)));
+
+    if (card && card.classList.contains('product-card')) {
+        card.scrollIntoView({ block: 'start' });
+    }
+}
+
+// ============================================================================
+// PRODUCT OPTIONS
+// ============================================================================
+
+/**
+ * Products may define option groups in the catalog under "options":
+ *   - id / label: Group key and its display name, e.g. 'size' / 'Size'
+ *   - choices: [{id, label, priceModifier, sku}, ...]; the first choice is
+ *     the default. priceModifier is added to the product price (base
+ *     currency) and sku is appended to the product's sku
+ * A chosen combination is an object of choice IDs by group ID, e.g.
+ * {size: '16x20', frame: 'black'}. Products without options use {}.
+ * Group and choice IDs end up in cart line keys and shared cart links, so
+ * they must not contain '~', '=', ':' or ','.
+ */
+
+/**
+ * Returns a product's option groups.
+ *
+ * @param {Object} product - Catalog product
+ * @returns {Array<Object>}
+ */
+function getProductOptionGroups(product) {
+    return Array.isArray(product.options) ? product.options : [];
+}
+
+/**
+ * Checks a chosen combination against a product's option groups. Missing
+ * groups take their default choice and unknown groups are dropped.
+ *
+ * @param {Object} product - Catalog product
+ * @param {Object} [options] - Choice IDs by group ID
+ * @returns {Object|null} {options, choices} where choices lists {group,
+ *     choice} in catalog order, or null if a choice does not exist
+ */
+function resolveProductOptions(product, options) {
+    const requested = options || {};
+    const resolved = { options: {}, choices: [] };
+
+    const valid = getProductOptionGroups(product).every(function(group) {
+        const choiceId = Object.prototype.hasOwnProperty.call(requested, group.id)
+            ? requested[group.id]
+            : group.choices[0].id;
+        const choice = group.choices.find(function(candidate) {
+            return candidate.id === choiceId;
+        });
+
+        if (!choice) {
+            return false;
+        }
+
+        resolved.options[group.id] = choice.id;
+        resolved.choices.push({ group: group, choice: choice });
+        return true;
+    });
+
+    return valid ? resolved : null;
+}
+
+/**
+ * Works out the unit price of a combination.
+ *
+ * @param {Object} product - Catalog product
+ * @param {Object} resolved - Result of resolveProductOptions()
+ * @returns {number} Price in the base currency
+ */
+function getVariantPrice(product, resolved) {
+    return roundCurrency(resolved.choices.reduce(function(price, selected) {
+        return price + (selected.choice.priceModifier || 0);
+    }, product.price));
+}
+
+/**
+ * Builds the SKU of a combination, e.g. 'TK-DRP-1620-BLK-MAT'.
+ *
+ * @param {Object} product - Catalog product
+ * @param {Object} resolved - Result of resolveProductOptions()
+ * @returns {string} SKU, or '' if the product has none
+ */
+function getVariantSku(product, resolved) {
+    if (!product.sku) {
+        return '';
+    }
+
+    return [product.sku].concat(resolved.choices.map(function(selected) {
+        return selected.choice.sku;
+    })).filter(Boolean).join('-');
+}
+
+/**
+ * Describes the chosen options, e.g. 'Size: 16" × 20" · Frame: Black wood'.
+ *
+ * @param {Object} resolved - Result of resolveProductOptions()
+ * @returns {string} Description, or '' for products without options
+ */
+function describeProductOptions(resolved) {
+    return resolved.choices.map(function(selected) {
+        return selected.group.label + ': ' + selected.choice.label;
+    }).join(' · ');
+}
+
+/**
+ * Formats the lowest price a product sells for, e.g. 'from $35.00' for
+ * products with options or '$12.00' without.
+ *
+ * @param {Object} product - Catalog product
+ * @returns {string}
+ */
+function formatStartingPrice(product) {
+    const groups = getProductOptionGroups(product);
+
+    const lowest = groups.reduce(function(price, group) {
+        return price + Math.min.apply(null, group.choices.map(function(choice) {
+            return choice.priceModifier || 0;
+        }));
+    }, product.price);
+
+    return (groups.length > 0 ? 'from ' : '') + formatPrice(lowest);
+}
+
+/**
+ * Reads the options chosen on a product card.
+ *
+ * @param {HTMLElement} card - .product-card
+ * @returns {Object} Choice IDs by group ID
+ */
+function readProductCardOptions(card) {
+    const options = {};
+
+    card.querySelectorAll('[data-option-group]').forEach(function(select) {
+        options[select.getAttribute('data-option-group')] = select.value;
+    });
+
+    return options;
+}
+
+/**
+ * Builds the option selectors for a product card.
+ *
+ * @param {Object} product - Catalog product
+ * @param {Object} resolved - Selected combination
+ * @returns {HTMLElement|null} div.product-options, or null without options
+ */
+function createProductOptionSelectors(product, resolved) {
+    const groups = getProductOptionGroups(product);
+
+    if (groups.length === 0) {
+        return null;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'product-options';
+
+    groups.forEach(function(group) {
+        const field = document.createElement('div');
+        field.className = 'product-option';
+
+        const select = document.createElement('select');
+        select.id = 'option-' + product.id + '-' + group.id;
+        select.setAttribute('data-option-group', group.id);
+
+        group.choices.forEach(function(choice) {
+            const option = document.createElement('option');
+            option.value = choice.id;
+            option.textContent = choice.label + (choice.priceModifier ? ' (+' + formatPrice(choice.priceModifier) + ')' : '');
+            select.appendChild(option);
+        });
+        select.value = resolved.options[group.id];
+
+        const label = document.createElement('label');
+        label.htmlFor = select.id;
+        label.textContent = group.label;
+
+        field.appendChild(label);
+        field.appendChild(select);
+        container.appendChild(field);
+    });
+
+    return container;
+}
+
+/**
+ * Shows the price and SKU of the options currently chosen on a card.
+ * @param {HTMLElement} card - .product-card
+ */
+function updateProductCardPrice(card) {
+    const product = getProduct(card.getAttribute('data-product-id'));
+    const resolved = product ? resolveProductOptions(product, readProductCardOptions(card)) : null;
+
+    if (!resolved) {
+        return;
+    }
+
+    const price = card.querySelector('.product-price');
+    if (price) {
+        price.textContent = formatPrice(getVariantPrice(product, resolved));
+    }
+
+    const sku = card.querySelector('.product-sku');
+    if (sku) {
+        sku.textContent = 'SKU ' + getVariantSku(product, resolved);
+    }
+}
+
+// ============================================================================
+// CURRENCY
+// ============================================================================
+
+/**
+ * Currency settings used when the catalog has none: prices in US dollars,
+ * no conversion.
+ */
+const DEFAULT_CURRENCY_CONFIG = {
+    base: 'USD',
+    rates: { USD: 1 }
+};
+
+/**
+ * localStorage key for the shopper's display currency.
+ */
+const CURRENCY_STORAGE_KEY = 'artStudioCurrency';
+
+registerSiteData({
+    key: CURRENCY_STORAGE_KEY,
+    label: 'Display currency',
+    description: 'The currency you chose for showing prices in the store.',
+    category: 'preferences'
+});
+
+/**
+ * Display currency code. Catalog prices, the cart and every total stay in the
+ * base currency; amounts are only converted when formatted for display.
+ */
+let selectedCurrency = null;
+
+/**
+ * Cached Intl.NumberFormat instances keyed by currency code.
+ */
+const priceFormatters = {};
+
+/**
+ * Returns the catalog's currency settings:
+ *   {base: 'USD', ratesUpdated: 'YYYY-MM-DD', rates: {USD: 1, EUR: 0.92, ...}}
+ * where each rate is the number of units of that currency per base unit.
+ *
+ * @returns {Object}
+ */
+function getCurrencyConfig() {
+    const config = catalog && catalog.currency;
+
+    if (!config || !config.base || !config.rates || typeof config.rates[config.base] !== 'number') {
+        return DEFAULT_CURRENCY_CONFIG;
+    }
+
+    return config;
+}
+
+/**
+ * Returns the currency prices are shown in, falling back to the base
+ * currency when the stored choice has no exchange rate.
+ *
+ * @returns {string} ISO 4217 code
+ */
+function getDisplayCurrency() {
+    const config = getCurrencyConfig();
+
+    if (selectedCurrency && typeof config.rates[selectedCurrency] === 'number') {
+        return selectedCurrency;
+    }
+
+    return config.base;
+}
+
+/**
+ * Returns a cached formatter for a currency in the visitor's locale.
+ *
+ * @param {string} currency - ISO 4217 code
+ * @returns {Intl.NumberFormat}
+ */
+function getPriceFormatter(currency) {
+    if (!priceFormatters[currency]) {
+        priceFormatters[currency] = new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: currency
+        });
+    }
+
+    return priceFormatters[currency];
+}
+
+/**
+ * Formats an amount in the base currency without conversion. Used where the
+ * exact charge matters (payment button, receipt total).
+ *
+ * @param {number} amount - Amount in the base currency
+ * @returns {string} e.g. "$45.00"
+ */
+function formatBasePrice(amount) {
+    return getPriceFormatter(getCurrencyConfig().base).format(amount);
+}
+
+/**
+ * Formats a base-currency amount in the display currency.
+ * Conversion happens here only, so rounding never feeds back into totals.
+ *
+ * @param {number} amount - Amount in the base currency
+ * @returns {string} e.g. "$45.00" or "41,40 €" depending on currency and locale
+ */
+function formatPrice(amount) {
+    const config = getCurrencyConfig();
+    const currency = getDisplayCurrency();
+
+    return getPriceFormatter(currency).format(amount * config.rates[currency]);
+}
+
+/**
+ * Loads the saved display currency.
+ */
+function loadCurrencyPreference() {
+    selectedCurrency = readStorage(CURRENCY_STORAGE_KEY);
+}
+
+/**
+ * Changes the display currency, saves the choice and re-renders every price
+ * on the page.
+ *
+ * @param {string} currency - ISO 4217 code from the catalog's rate table
+ */
+function setCurrency(currency) {
+    if (typeof getCurrencyConfig().rates[currency] !== 'number') {
+        console.warn('No exchange rate for currency:', currency);
+        return;
+    }
+
+    selectedCurrency = currency;
+    writeStorage(CURRENCY_STORAGE_KEY, currency);
+
+    renderProductGrid();
+    updateCartUI();
+    renderWishlist();
+
+    if (checkoutState.step === 'review') {
+        renderCheckoutReview();
+    }
+}
+
+/**
+ * Returns a readable name for a currency, e.g. "EUR — Euro".
+ *
+ * @param {string} currency - ISO 4217 code
+ * @returns {string}
+ */
+function getCurrencyLabel(currency) {
+    if (typeof Intl.DisplayNames !== 'function') {
+        return currency;
+    }
+
+    try {
+        return currency + ' — ' + new Intl.DisplayNames(undefined, { type: 'currency' }).of(currency);
+    } catch (error) {
+        return currency;
+    }
+}
+
+/**
+ * Fills the #currency-select dropdown from the catalog's rate table.
+ * Hidden when the catalog offers a single currency.
+ * Expected DOM elements:
+ *   - #currency-select: The <select> element
+ *   - #currency-picker: Wrapper shown once options exist (optional)
+ *   - #currency-note: Exchange rate disclaimer (optional)
+ */
+function initCurrencySelector() {
+    const select = document.getElementById('currency-select');
+
+    if (!select) {
+        return;
+    }
+
+    const config = getCurrencyConfig();
+    const currencies = Object.keys(config.rates);
+    const picker = document.getElementById('currency-picker');
+
+    select.innerHTML = '';
+    currencies.forEach(function(currency) {
+        const option = document.createElement('option');
+        option.value = currency;
+        option.textContent = getCurrencyLabel(currency);
+        select.appendChild(option);
+    });
+    select.value = getDisplayCurrency();
+
+    if (picker) {
+        picker.hidden = currencies.length < 2;
+    }
+
+    const note = document.getElementById('currency-note');
+    if (note) {
+        note.textContent = 'Converted prices are approximate' +
+            (config.ratesUpdated ? ' (rates from ' + config.ratesUpdated + ')' : '') +
+            '. Orders are charged in ' + config.base + '.';
+    }
+
+    select.addEventListener('change', function() {
+        setCurrency(select.value);
+    });
+}
+
+// ============================================================================
+// SHOPPING CART SYSTEM
+// ============================================================================
+
+/**
+ * Highest quantity a single cart line can hold.
+ */
+const MAX_CART_QUANTITY = 99;
+
+/**
+ * Converts a display name into a product-ID style slug.
+ * "Void Tarot Deck" -> "void-tarot-deck"
+ *
+ * @param {string} name - Display name
+ * @returns {string} Lowercase, hyphen-separated slug
+ */
+function slugify(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Clamps a requested quantity to a whole number between 1 and MAX_CART_QUANTITY.
+ *
+ * @param {number|string} quantity - Requested quantity
+ * @returns {number} A valid quantity, or NaN if the input is not a number
+ */
+function normalizeQuantity(quantity) {
+    const parsed = typeof quantity === 'string' ? parseInt(quantity, 10) : Math.floor(quantity);
+
+    if (isNaN(parsed)) {
+        return NaN;
+    }
+
+    return Math.min(MAX_CART_QUANTITY, Math.max(1, parsed));
+}
+
+/**
+ * Finds the product ID for a cart entry saved before carts were keyed by
+ * product. Matches the name against the catalog when it is loaded, otherwise
+ * falls back to a slug of the name.
+ *
+ * @param {string} name - Item name stored by the old cart format
+ * @returns {string} Product ID
+ */
+function legacyProductId(name) {
+    const products = catalog ? catalog.products : [];
+
+    for (let i = 0; i < products.length; i++) {
+        if (products[i].name === name) {
+            return products[i].id;
+        }
+    }
+
+    return slugify(name);
+}
+
+/**
+ * Migrates stored cart data into product-keyed lines. Handles:
+ *   - The original format: one {name, price, id} entry per click, where id
+ *     was a random string
+ *   - Lines that also stored name and price alongside the product ID
+ * Names and prices are dropped - they are always read from the catalog.
+ * Repeated entries for the same product are merged into one line.
+ *
+ * @param {Array<Object>} storedItems - Parsed cart array from localStorage
+ * @returns {Array<Object>} Cart lines as {id, quantity}
+ */
+function migrateCartItems(storedItems) {
+    const lines = [];
+
+    storedItems.forEach(function(item) {
+        if (!item || typeof item !== 'object') {
+            return;
+        }
+
+        // Current-format lines carry a quantity; legacy entries count as one each
+        const isLegacy = typeof item.quantity === 'undefined';
+
+        if (isLegacy && (typeof item.name !== 'string' || !item.name)) {
+            return;
+        }
+
+        const id = isLegacy ? legacyProductId(item.name) : String(item.id || '');
+        const quantity = isLegacy ? 1 : normalizeQuantity(item.quantity);
+
+        if (!id || isNaN(quantity)) {
+            return;
+        }
+
+        const existing = findCartLine(getCartLineKey(id, {}), lines);
+        if (existing) {
+            existing.quantity = Math.min(MAX_CART_QUANTITY, existing.quantity + quantity);
+        } else {
+            lines.push({ id: id, quantity: quantity });
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Drops cart lines for products or options that are no longer in the
+ * catalog, fills in default choices for option groups added since the line
+ * was saved, merges lines that end up with the same combination, and lowers
+ * quantities to what is in stock (telling the customer).
+ * Does nothing while the catalog is unavailable, so a failed fetch never
+ * empties a saved cart.
+ */
+function reconcileCartWithCatalog() {
+    if (!catalog) {
+        return;
+    }
+
+    const lines = [];
+
+    cart.forEach(function(line) {
+        const product = getProduct(line.id);
+        const resolved = product ? resolveProductOptions(product, line.options) : null;
+
+        if (!resolved) {
+            console.warn('Removing unavailable product from cart:', getCartLineKey(line.id, line.options));
+            return;
+        }
+
+        const key = getCartLineKey(line.id, resolved.options);
+        const existing = findCartLine(key, lines);
+
+        if (existing) {
+            existing.quantity = Math.min(MAX_CART_QUANTITY, existing.quantity + line.quantity);
+        } else {
+            lines.push({ id: line.id, options: resolved.options, quantity: line.quantity });
+        }
+    });
+
+    const changed = JSON.stringify(lines) !== JSON.stringify(cart);
+    cart = lines;
+
+    const capped = capCartToStock();
+
+    if (changed || capped.length > 0) {
+        saveCart();
+    }
+
+    if (capped.length > 0) {
+        showToast('Your cart was updated to match our stock. ' + capped.join(' '), { persistent: true });
+    }
+}
+
+/**
+ * localStorage key holding the cart.
+ */
+const CART_STORAGE_KEY = 'artStudioCart';
+
+registerSiteData({
+    key: CART_STORAGE_KEY,
+    label: 'Shopping cart',
+    description: 'The products, options and quantities in your cart, and any promo code you applied.',
+    onErase: function() {
+        cart = [];
+        appliedPromoCode = null;
+        updateCartUI();
+    }
+});
+
+/**
+ * Current version of the stored cart envelope. Bump this and add a step to
+ * CART_MIGRATIONS whenever the stored shape changes.
+ */
+const CART_SCHEMA_VERSION = 4;
+
+/**
+ * Migration steps for stored carts, keyed by the version they upgrade from.
+ * Each step takes that version's data and returns the next version's data.
+ *   - 1: Bare array of items (one {name, price, id} entry per click, or
+ *        product-keyed lines)
+ *   - 2: {items, promoCode} without a version envelope
+ *   - 3: {version, updatedAt, data: {items: [{id, quantity}], promoCode}}
+ *   - 4: Lines also carry the chosen product options: {id, options, quantity}
+ */
+const CART_MIGRATIONS = {
+    1: function(items) {
+        return { items: items, promoCode: null };
+    },
+    2: function(data) {
+        return {
+            items: migrateCartItems(Array.isArray(data.items) ? data.items : []),
+            promoCode: data.promoCode
+        };
+    },
+    3: function(data) {
+        // Lines from before options take the product's default choices
+        return {
+            items: Array.isArray(data.items) ? data.items.map(function(item) {
+                return item && typeof item === 'object'
+                    ? { id: item.id, options: {}, quantity: item.quantity }
+                    : item;
+            }) : data.items,
+            promoCode: data.promoCode
+        };
+    }
+};
+
+/**
+ * Checks one stored cart line against the current schema: a non-empty
+ * string id, an options object of choice IDs and a whole-number quantity
+ * from 1 to MAX_CART_QUANTITY.
+ *
+ * @param {*} item - Stored line
+ * @returns {boolean}
+ */
+function isValidCartItem(item) {
+    return !!item &&
+        typeof item === 'object' &&
+        typeof item.id === 'string' &&
+        item.id.length > 0 &&
+        !!item.options &&
+        typeof item.options === 'object' &&
+        !Array.isArray(item.options) &&
+        Object.keys(item.options).every(function(group) {
+            return typeof item.options[group] === 'string';
+        }) &&
+        typeof item.quantity === 'number' &&
+        Math.floor(item.quantity) === item.quantity &&
+        item.quantity >= 1 &&
+        item.quantity <= MAX_CART_QUANTITY;
+}
+
+/**
+ * Parses a stored cart, migrating older versions and dropping lines that
+ * fail validation.
+ *
+ * @param {string} raw - Stored JSON
+ * @returns {Object} {items, promoCode, changed} where changed is true if the
+ *     stored value should be rewritten (it was migrated or had bad lines)
+ * @throws {Error} If the value is not a recognizable cart
+ */
+function parseStoredCart(raw) {
+    const parsed = JSON.parse(raw);
+    let version;
+    let data;
+
+    if (Array.isArray(parsed)) {
+        version = 1;
+        data = parsed;
+    } else if (parsed && typeof parsed.version === 'number') {
+        version = parsed.version;
+        data = parsed.data;
+    } else if (parsed && Array.isArray(parsed.items)) {
+        version = 2;
+        data = parsed;
+    } else {
+        throw new Error('unrecognized cart format');
+    }
+
+    if (version > CART_SCHEMA_VERSION) {
+        throw new Error('cart was saved by a newer version of the site (v' + version + ')');
+    }
+
+    const changed = version !== CART_SCHEMA_VERSION;
+
+    while (version < CART_SCHEMA_VERSION) {
+        data = CART_MIGRATIONS[version](data);
+        version++;
+    }
+
+    if (!data || !Array.isArray(data.items)) {
+        throw new Error('cart has no items array');
+    }
+
+    const items = data.items.filter(function(item) {
+        if (isValidCartItem(item)) {
+            return true;
+        }
+        console.warn('Dropping invalid cart line:', item);
+        return false;
+    }).map(function(item) {
+        return { id: item.id, options: item.options, quantity: item.quantity };
+    });
+
+    return {
+        items: items,
+        promoCode: typeof data.promoCode === 'string' ? data.promoCode : null,
+        changed: changed || items.length !== data.items.length
+    };
+}
+
+/**
+ * Serializes the cart and its applied promo code into the versioned envelope.
+ * @returns {string} JSON of {version, updatedAt, data: {items, promoCode}}
+ */
+function serializeCart() {
+    return JSON.stringify({
+        version: CART_SCHEMA_VERSION,
+        updatedAt: new Date().toISOString(),
+        data: { items: cart, promoCode: appliedPromoCode }
+    });
+}
+
+/**
+ * Loads cart data from storage.
+ * Expected storage key: 'artStudioCart'
+ * 
+ * Storage problems are handled by the SITE STORAGE helpers, which fall back
+ * to memory. Unreadable data starts an empty cart. Older formats are
+ * migrated (see CART_MIGRATIONS) and written back.
+ */
+function loadCart() {
+    const storedCart = readStorage(CART_STORAGE_KEY);
+
+    cart = [];
+    appliedPromoCode = null;
+
+    if (!storedCart) {
+        // No cart stored yet
+        return;
+    }
+
+    try {
+        const stored = parseStoredCart(storedCart);
+
+        cart = stored.items;
+        appliedPromoCode = stored.promoCode;
+
+        // Persist the migrated shape so old formats are only read once
+        if (stored.changed) {
+            saveCart();
+        }
+    } catch (error) {
+        console.warn('Invalid cart data in storage, starting with empty cart:', error.message);
+    }
+}
+
+/**
+ * Saves the current cart and tells other open tabs about the change.
+ */
+function saveCart() {
+    const serialized = serializeCart();
+
+    writeStorage(CART_STORAGE_KEY, serialized);
+    broadcastCartChange(serialized);
+}
+
+/**
+ * Identifies a cart line: the product ID followed by its chosen options in
+ * group order, e.g. 'digital-ritual~finish=matte~frame=black~size=16x20'.
+ * Each product and option combination gets its own line.
+ *
+ * @param {string} productId - Product ID
+ * @param {Object} [options] - Choice IDs by group ID
+ * @returns {string}
+ */
+function getCartLineKey(productId, options) {
+    const chosen = options || {};
+
+    return [productId].concat(Object.keys(chosen).sort().map(function(group) {
+        return group + '=' + chosen[group];
+    })).join('~');
+}
+
+/**
+ * Finds a cart line by its key (see getCartLineKey()).
+ *
+ * @param {string} lineKey - Line to look up
+ * @param {Array<Object>} [lines] - Lines to search (defaults to the cart)
+ * @returns {Object|undefined} The matching line, if any
+ */
+function findCartLine(lineKey, lines) {
+    return (lines || cart).find(function(line) {
+        return getCartLineKey(line.id, line.options) === lineKey;
+    });
+}
+
+/**
+ * Prices a cart line against the catalog.
+ *
+ * @param {Object} line - Cart line {id, options, quantity}
+ * @returns {Object|null} {line, key, product, resolved, unitPrice, sku,
+ *     quantity}, or null if the product or its options are unavailable
+ */
+function priceCartLine(line) {
+    const product = getProduct(line.id);
+    const resolved = product ? resolveProductOptions(product, line.options) : null;
+
+    if (!resolved) {
+        return null;
+    }
+
+    return {
+        line: line,
+        key: getCartLineKey(line.id, line.options),
+        product: product,
+        resolved: resolved,
+        unitPrice: getVariantPrice(product, resolved),
+        sku: getVariantSku(product, resolved),
+        quantity: line.quantity
+    };
+}
+
+/**
+ * Prices every cart line that is still available.
+ * @returns {Array<Object>} Results of priceCartLine()
+ */
+function getPricedCartLines() {
+    return cart.map(priceCartLine).filter(Boolean);
+}
+
+/**
+ * Names a product with its chosen options, for labels and messages,
+ * e.g. 'Digital Ritual Print (Size: 16" × 20" · Frame: Black wood)'.
+ *
+ * @param {Object} product - Catalog product
+ * @param {Object} resolved - Result of resolveProductOptions()
+ * @returns {string}
+ */
+function getVariantName(product, resolved) {
+    const description = describeProductOptions(resolved);
+    return description ? product.name + ' (' + description + ')' : product.name;
+}
+
+/**
+ * Returns the total number of units in the cart (sum of line quantities).
+ * @returns {number}
+ */
+function getCartItemCount() {
+    return cart.reduce(function(count, line) {
+        return count + line.quantity;
+    }, 0);
+}
+
+/**
+ * Adds a product to the cart. Adding a product and option combination that
+ * is already in the cart increases that line's quantity instead of creating
+ * a new line. Never adds more units than are in stock.
+ * 
+ * @param {string} productId - Catalog product ID
+ * @param {number} [quantity=1] - Number of units to add
+ * @param {Object} [options] - Choice IDs by group ID (defaults otherwise)
+ * @returns {boolean} Whether anything was added
+ */
+function addToCart(productId, quantity, options) {
+    const product = getProduct(productId);
+
+    // Validate inputs
+    if (!product) {
+        console.warn('Cannot add item to cart: unknown product', productId);
+        return false;
+    }
+
+    const resolved = resolveProductOptions(product, options);
+
+    if (!resolved) {
+        console.warn('Cannot add item to cart: invalid options', productId, options);
+        return false;
+    }
+
+    const parsedQuantity = normalizeQuantity(typeof quantity === 'undefined' ? 1 : quantity);
+
+    if (isNaN(parsedQuantity)) {
+        console.warn('Cannot add item to cart: invalid quantity', quantity);
+        return false;
+    }
+
+    // Stock is shared by every option combination of the product
+    const remaining = getProductStock(product) - getCartQuantityForProduct(productId);
+    const name = getVariantName(product, resolved);
+
+    if (remaining <= 0) {
+        showToast(getProductStock(product) === 0
+            ? product.name + ' is sold out.'
+            : 'Your cart already has all ' + getProductStock(product) + ' of ' + product.name + ' we have left.',
+            { type: 'error' });
+        return false;
+    }
+
+    const existing = findCartLine(getCartLineKey(productId, resolved.options));
+    const added = Math.min(parsedQuantity, remaining);
+
+    if (existing) {
+        existing.quantity = Math.min(MAX_CART_QUANTITY, existing.quantity + added);
+    } else {
+        cart.push({
+            id: productId,
+            options: resolved.options,
+            quantity: added
+        });
+    }
+
+    // Save to localStorage
+    saveCart();
+
+    // Update the UI
+    updateCartUI();
+
+    // Visual feedback
+    showCartFeedback(name);
+
+    if (added < parsedQuantity) {
+        showToast('Only ' + added + ' of ' + name + ' could be added; that is all we have left.', { type: 'error' });
+    }
+
+    return true;
+}
+
+/**
+ * Shows visual feedback when item is added to cart.
+ * @param {string} itemName - Name of the item added
+ */
+function showCartFeedback(itemName) {
+    // Pages without the cart (the gallery lightbox) link to it instead
+    showToast('Added ' + itemName + ' to your cart.', {
+        type: 'success',
+        action: document.getElementById('cart-items') ? null : {
+            label: 'View Cart',
+            onClick: function() {
+                window.location.href = siteRelativeUrl('store.html') + '#cart-heading';
+            }
+        }
+    });
+}
+
+/**
+ * How long removals and clears can be undone, in milliseconds.
+ */
+const CART_UNDO_DURATION = 6000;
+
+/**
+ * Copies the cart and applied promo code so a change can be undone.
+ * @returns {Object} {items, promoCode}
+ */
+function snapshotCart() {
+    return {
+        items: cart.map(function(line) {
+            return { id: line.id, options: Object.assign({}, line.options), quantity: line.quantity };
+        }),
+        promoCode: appliedPromoCode
+    };
+}
+
+/**
+ * Shows a toast with an Undo button that puts back the cart from a snapshot.
+ *
+ * @param {string} message - Toast text
+ * @param {Object} snapshot - Result of snapshotCart() taken before the change
+ */
+function offerCartUndo(message, snapshot) {
+    showToast(message, {
+        duration: CART_UNDO_DURATION,
+        action: {
+            label: 'Undo',
+            onClick: function() {
+                cart = snapshot.items;
+                appliedPromoCode = snapshot.promoCode;
+                saveCart();
+                updateCartUI();
+                showToast('Your cart has been restored.');
+            }
+        }
+    });
+}
+
+/**
+ * Sets the quantity of a cart line. The value is clamped to 1..MAX_CART_QUANTITY
+ * and to the units left in stock; use removeItem() to take a line out of the cart.
+ *
+ * @param {string} lineKey - Key of the line to change (see getCartLineKey())
+ * @param {number|string} quantity - New quantity
+ */
+function setItemQuantity(lineKey, quantity) {
+    const line = findCartLine(lineKey);
+
+    if (!line) {
+        console.warn('Cannot update quantity: line not in cart', lineKey);
+        return;
+    }
+
+    const parsedQuantity = normalizeQuantity(quantity);
+
+    // Non-numeric input leaves the line unchanged; re-render to reset the field
+    if (!isNaN(parsedQuantity)) {
+        const priced = priceCartLine(line);
+        const limit = priced ? getCartLineLimit(line, priced.product) : MAX_CART_QUANTITY;
+
+        line.quantity = Math.max(1, Math.min(parsedQuantity, limit));
+        saveCart();
+
+        if (parsedQuantity > line.quantity && limit < MAX_CART_QUANTITY) {
+            showToast('Only ' + limit + ' of ' + getVariantName(priced.product, priced.resolved) +
+                ' can be ordered; that is all we have left.', { type: 'error' });
+        }
+    }
+
+    updateCartUI();
+}
+
+/**
+ * Removes a line from the cart. The removal can be undone from the toast
+ * that confirms it.
+ * 
+ * @param {string} lineKey - Key of the line to remove (see getCartLineKey())
+ */
+function removeItem(lineKey) {
+    const line = findCartLine(lineKey);
+
+    // Validate line
+    if (!line) {
+        console.warn('Cannot remove item: line not in cart', lineKey);
+        return;
+    }
+
+    const index = cart.indexOf(line);
+    const snapshot = snapshotCart();
+    const priced = priceCartLine(line);
+
+    // Remove the line
+    cart.splice(index, 1);
+
+    // Save to localStorage
+    saveCart();
+
+    // Update the UI
+    updateCartUI();
+
+    offerCartUndo('Removed ' + (priced ? getVariantName(priced.product, priced.resolved) : 'item') + ' from your cart.', snapshot);
+}
+
+/**
+ * Clears all items from the cart.
+ * Confirms with user before clearing if cart is not empty, and offers an
+ * Undo afterwards.
+ */
+function clearCart() {
+    if (cart.length === 0) {
+        // Cart is already empty, nothing to do
+        return;
+    }
+
+    // Confirm before clearing
+    showConfirmDialog({
+        title: 'Clear your cart?',
+        message: 'This removes every item from your cart.',
+        confirmLabel: 'Clear Cart',
+        cancelLabel: 'Keep Items',
+        destructive: true
+    }).then(function(confirmed) {
+        if (!confirmed) {
+            return;
+        }
+
+        const snapshot = snapshotCart();
+
+        cart = [];
+        appliedPromoCode = null;
+        saveCart();
+        updateCartUI();
+
+        offerCartUndo('Your cart was cleared.', snapshot);
+    });
+}
+
+/**
+ * Builds the quantity cell for a cart line: a decrement button, a numeric
+ * input and an increment button.
+ *
+ * @param {Object} line - Cart line {id, options, quantity}
+ * @param {string} name - Line name for labels (see getVariantName())
+ * @param {number} limit - Most units the line can hold (see getCartLineLimit())
+ * @returns {HTMLTableCellElement}
+ */
+function createQuantityCell(line, name, limit) {
+    const lineKey = getCartLineKey(line.id, line.options);
+    const cell = document.createElement('td');
+    cell.className = 'cart-item-quantity';
+
+    const stepper = document.createElement('div');
+    stepper.className = 'cart-quantity';
+
+    const decrement = document.createElement('button');
+    decrement.type = 'button';
+    decrement.textContent = '−';
+    decrement.setAttribute('data-line-key', lineKey);
+    decrement.setAttribute('data-cart-control', 'decrement');
+    decrement.setAttribute('aria-label', 'Decrease quantity of ' + name);
+    decrement.disabled = line.quantity <= 1;
+    decrement.addEventListener('click', function() {
+        setItemQuantity(lineKey, line.quantity - 1);
+    });
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'cart-quantity-input';
+    input.min = '1';
+    input.max = String(Math.max(1, limit));
+    input.step = '1';
+    input.inputMode = 'numeric';
+    input.value = String(line.quantity);
+    input.setAttribute('data-line-key', lineKey);
+    input.setAttribute('data-cart-control', 'quantity');
+    input.setAttribute('aria-label', 'Quantity of ' + name);
+    input.addEventListener('change', function() {
+        setItemQuantity(lineKey, input.value);
+    });
+
+    const increment = document.createElement('button');
+    increment.type = 'button';
+    increment.textContent = '+';
+    increment.setAttribute('data-line-key', lineKey);
+    increment.setAttribute('data-cart-control', 'increment');
+    increment.setAttribute('aria-label', 'Increase quantity of ' + name);
+    increment.disabled = line.quantity >= limit;
+    increment.addEventListener('click', function() {
+        setItemQuantity(lineKey, line.quantity + 1);
+    });
+
+    stepper.appendChild(decrement);
+    stepper.appendChild(input);
+    stepper.appendChild(increment);
+    cell.appendChild(stepper);
+
+    return cell;
+}
+
+/**
+ * Updates the cart UI elements with current cart data.
+ * Expected DOM elements:
+ *   - #cart-items: The <tbody> that holds one row per cart line
+ *   - #cart-total: Element to display the total price
+ *   - #cart-count: Element to display the number of items (optional)
+ *   - Promo discount rows, see renderCartDiscounts()
+ * 
+ * Each row shows the item and its chosen options, unit price, a quantity
+ * stepper, the line subtotal and a remove button. Names and prices come
+ * from the catalog, so nothing is rendered until it has loaded. Keyboard
+ * focus on a quantity control is restored after the rows are rebuilt.
+ */
+function updateCartUI() {
+    const cartItems = document.getElementById('cart-items');
+    const cartTotalElement = document.getElementById('cart-total');
+    const cartCountElement = document.getElementById('cart-count');
+
+    const itemCount = getCartItemCount();
+
+    if (cartCountElement) {
+        cartCountElement.textContent = itemCount + (itemCount === 1 ? ' item' : ' items');
+    }
+
+    // If cart elements don't exist on this page, exit silently
+    if (!cartItems) {
+        return;
+    }
+
+    // Prices live in the catalog; without it the cart cannot be priced
+    if (!catalog) {
+        cartItems.innerHTML = '<tr class="cart-empty"><td colspan="5" class="cart-empty-message">Your cart could not be loaded. Please refresh the page.</td></tr>';
+
+        if (cartTotalElement) {
+            cartTotalElement.textContent = '—';
+        }
+        const cartSubtotalElement = document.getElementById('cart-subtotal');
+        if (cartSubtotalElement) {
+            cartSubtotalElement.textContent = '—';
+        }
+        return;
+    }
+
+    // Remember which quantity control had focus so re-rendering doesn't lose it
+    const focused = document.activeElement;
+    const focusedControl = focused && cartItems.contains(focused) ? {
+        key: focused.getAttribute('data-line-key'),
+        control: focused.getAttribute('data-cart-control')
+    } : null;
+
+    // Clear existing content
+    cartItems.innerHTML = '';
+
+    // Handle empty cart
+    if (cart.length === 0) {
+        cartItems.innerHTML = '<tr class="cart-empty"><td colspan="5" class="cart-empty-message">Your cart is empty.</td></tr>';
+        
+        if (cartTotalElement) {
+            cartTotalElement.textContent = formatPrice(0);
+        }
+        renderCartDiscounts(calculateCartTotals());
+        return;
+    }
+
+    // Build cart rows
+    getPricedCartLines().forEach(function(priced) {
+        const line = priced.line;
+        const product = priced.product;
+        const name = getVariantName(product, priced.resolved);
+
+        const row = document.createElement('tr');
+        row.setAttribute('data-product-id', line.id);
+        row.setAttribute('data-line-key', priced.key);
+        
+        // Item name cell, with the chosen options underneath
+        const nameCell = document.createElement('td');
+        nameCell.textContent = product.name;
+        nameCell.className = 'cart-item-name';
+
+        const optionsText = describeProductOptions(priced.resolved);
+        if (optionsText) {
+            const variant = document.createElement('span');
+            variant.className = 'cart-item-variant';
+            variant.textContent = optionsText;
+            nameCell.appendChild(variant);
+        }
+        row.appendChild(nameCell);
+
+        // Unit price cell
+        const priceCell = document.createElement('td');
+        priceCell.textContent = formatPrice(priced.unitPrice);
+        priceCell.className = 'cart-item-price';
+        row.appendChild(priceCell);
+
+        // Quantity stepper cell
+        row.appendChild(createQuantityCell(line, name, getCartLineLimit(line, product)));
+
+        // Line subtotal cell
+        const subtotalCell = document.createElement('td');
+        subtotalCell.textContent = formatPrice(priced.unitPrice * line.quantity);
+        subtotalCell.className = 'cart-item-subtotal';
+        row.appendChild(subtotalCell);
+
+        // Remove button cell
+        const actionCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = 'Remove';
+        removeButton.className = 'remove-btn';
+        removeButton.setAttribute('data-line-key', priced.key);
+        removeButton.setAttribute('aria-label', 'Remove ' + name + ' from cart');
+        
+        // Add click handler for remove
+        removeButton.addEventListener('click', function() {
+            removeItem(priced.key);
+        });
+        
+        actionCell.appendChild(removeButton);
+        actionCell.className = 'cart-item-action';
+        row.appendChild(actionCell);
+
+        cartItems.appendChild(row);
+    });
+
+    if (focusedControl && focusedControl.control) {
+        const restored = cartItems.querySelector(
+            '[data-line-key="' + focusedControl.key + '"][data-cart-control="' + focusedControl.control + '"]'
+        );
+        if (restored && !restored.disabled) {
+            restored.focus();
+        }
+    }
+
+    // Update discounts and total
+    const totals = calculateCartTotals();
+
+    renderCartDiscounts(totals);
+
+    if (cartTotalElement) {
+        cartTotalElement.textContent = formatPrice(totals.total);
+    }
+}
+
+/**
+ * Sets up "Add to Cart" handling for the product grid.
+ * Expected markup:
+ *   - .products-grid containing .product-card[data-product-id] elements
+ *   - button.add-to-cart inside each card
+ *   - select[data-option-group] per option group (optional)
+ *
+ * Uses delegated listeners so cards re-rendered from the catalog keep
+ * working without rebinding. Changing an option updates the card's price.
+ */
+function initCartButtons() {
+    const productsGrid = document.querySelector('.products-grid');
+
+    if (!productsGrid) {
+        // No product grid on this page - that's fine
+        return;
+    }
+
+    productsGrid.addEventListener('click', function(event) {
+        const button = event.target.closest('.add-to-cart');
+
+        if (!button || !productsGrid.contains(button)) {
+            return;
+        }
+
+        const card = button.closest('[data-product-id]');
+
+        if (!card) {
+            console.warn('Add to cart button is not inside an element with data-product-id', button);
+            return;
+        }
+
+        addToCart(card.getAttribute('data-product-id'), 1, readProductCardOptions(card));
+    });
+
+    productsGrid.addEventListener('change', function(event) {
+        if (event.target.matches('[data-option-group]')) {
+            updateProductCardPrice(event.target.closest('.product-card'));
+        }
+    });
+}
+
+/**
+ * Sets up the checkout button if it exists on the page.
+ */
+function initCheckoutButton() {
+    const checkoutButton = document.getElementById('checkout-btn');
+    
+    if (checkoutButton) {
+        checkoutButton.addEventListener('click', checkout);
+    }
+
+    // Also look for clear cart button
+    const clearCartButton = document.getElementById('clear-cart');
+    
     if (clearCartButton) {
         clearCartButton.addEventListener('click', clearCart);
     }
 }
 
 // ============================================================================
-// MOBILE NAVIGATION
+// INVENTORY
+// ============================================================================
+
+/**
+ * Products may limit how many units can be sold:
+ *   - stock: Units left to sell, shared by all of the product's option
+ *     combinations. Omit for products that never run out
+ *   - edition: (optional) Size of a limited edition, shown on the card
+ */
+
+/**
+ * Stock at or below this many units is shown as "Only N left".
+ */
+const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Returns how many units of a product can be sold.
+ *
+ * @param {Object} product - Catalog product
+ * @returns {number} Units in stock, or Infinity without a stock limit
+ */
+function getProductStock(product) {
+    if (typeof product.stock !== 'number') {
+        return Infinity;
+    }
+
+    return Math.max(0, Math.floor(product.stock));
+}
+
+/**
+ * Adds up the units of a product across its cart lines (one per option
+ * combination).
+ *
+ * @param {string} productId - Product ID
+ * @param {Object} [excludeLine] - Line to leave out of the count
+ * @returns {number}
+ */
+function getCartQuantityForProduct(productId, excludeLine) {
+    return cart.reduce(function(total, line) {
+        return line.id === productId && line !== excludeLine ? total + line.quantity : total;
+    }, 0);
+}
+
+/**
+ * Returns the most units a cart line can hold: the product's stock less what
+ * its other lines already take, and never more than MAX_CART_QUANTITY.
+ *
+ * @param {Object} line - Cart line
+ * @param {Object} product - Catalog product for the line
+ * @returns {number}
+ */
+function getCartLineLimit(line, product) {
+    const available = getProductStock(product) - getCartQuantityForProduct(line.id, line);
+    return Math.max(0, Math.min(MAX_CART_QUANTITY, available));
+}
+
+/**
+ * Describes a product's availability for its card.
+ *
+ * @param {Object} product - Catalog product
+ * @returns {Object} {state, label} where state is 'sold-out', 'low' or
+ *     'in-stock', and label is '' when there is nothing worth saying
+ */
+function describeProductStock(product) {
+    const stock = getProductStock(product);
+    const edition = typeof product.edition === 'number' ? 'Limited edition of ' + product.edition : '';
+
+    if (stock === 0) {
+        return { state: 'sold-out', label: edition ? 'Sold out · ' + edition : 'Sold out' };
+    }
+
+    if (stock <= LOW_STOCK_THRESHOLD) {
+        return { state: 'low', label: 'Only ' + stock + ' left' + (edition ? ' · ' + edition : '') };
+    }
+
+    return { state: 'in-stock', label: edition };
+}
+
+/**
+ * Finds cart lines asking for more units than are in stock. Lines are
+ * checked in cart order, so when a product's lines share too little stock
+ * the later lines are the ones reported.
+ *
+ * @returns {Array<Object>} Problems as {priced, available} where available
+ *     is how many units the line could still have
+ */
+function findOversoldCartLines() {
+    const counted = {};
+    const problems = [];
+
+    getPricedCartLines().forEach(function(priced) {
+        const id = priced.product.id;
+        const before = counted[id] || 0;
+        const available = Math.max(0, getProductStock(priced.product) - before);
+
+        counted[id] = before + priced.quantity;
+
+        if (priced.quantity > available) {
+            problems.push({ priced: priced, available: available });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Explains an oversold cart line, naming the line and its options.
+ *
+ * @param {Object} problem - Entry from findOversoldCartLines()
+ * @returns {string}
+ */
+function describeStockProblem(problem) {
+    const name = getVariantName(problem.priced.product, problem.priced.resolved);
+
+    if (problem.available === 0) {
+        return name + ' is sold out.';
+    }
+
+    return 'Only ' + problem.available + ' of ' + name + ' ' + (problem.available === 1 ? 'is' : 'are') +
+        ' left, but your cart has ' + problem.priced.quantity + '.';
+}
+
+/**
+ * Lowers cart quantities to what is in stock, dropping lines with nothing
+ * left. Does not save or re-render.
+ *
+ * @returns {Array<string>} Descriptions of the lines that changed
+ */
+function capCartToStock() {
+    return findOversoldCartLines().map(function(problem) {
+        const line = problem.priced.line;
+        const name = getVariantName(problem.priced.product, problem.priced.resolved);
+
+        if (problem.available === 0) {
+            cart.splice(cart.indexOf(line), 1);
+            return name + ' is sold out and was removed.';
+        }
+
+        line.quantity = problem.available;
+        return 'Only ' + problem.available + ' of ' + name + ' ' + (problem.available === 1 ? 'is' : 'are') +
+            ' left, so the quantity was lowered.';
+    });
+}
+
+/**
+ * Re-reads stock levels from the server into the loaded catalog, so checkout
+ * does not rely on numbers fetched when the page opened. Keeps the current
+ * numbers if the catalog cannot be fetched.
+ *
+ * @returns {Promise<boolean>} Whether fresh stock levels were loaded
+ */
+function refreshCatalogStock() {
+    if (!catalog) {
+        return Promise.resolve(false);
+    }
+
+    return fetch(siteUrl(CATALOG_PATH), { cache: 'no-cache' })
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+        })
+        .then(function(data) {
+            (data && Array.isArray(data.products) ? data.products : []).forEach(function(fresh) {
+                const product = getProduct(fresh.id);
+
+                if (!product) {
+                    return;
+                }
+
+                if (typeof fresh.stock === 'number') {
+                    product.stock = fresh.stock;
+                } else {
+                    delete product.stock;
+                }
+            });
+            return true;
+        })
+        .catch(function(error) {
+            console.warn('Could not refresh stock levels:', error.message);
+            return false;
+        });
+}
+
+// ============================================================================
+// PROMOTIONS
+// ============================================================================
+
+/**
+ * Promotion definitions live in the catalog under "promotions". Each entry:
+ *   - code: What the customer types (matched case-insensitively)
+ *   - description: Label shown on the discount row
+ *   - type: 'percent', 'fixed', 'buy-x-get-y' or 'free-shipping'
+ *   - value: Percent off ('percent') or amount off in the base currency ('fixed')
+ *   - buy / get: Units to buy and units given free ('buy-x-get-y')
+ *   - minimumOrder: (optional) Eligible subtotal required, in the base currency
+ *   - scope: (optional) {products: [ids], tags: [tags]} limiting eligible
+ *     items; omit to apply to the whole cart
+ *   - expires: (optional) Last valid day, 'YYYY-MM-DD' (local time)
+ */
+
+/**
+ * Promo code applied to the cart, or null. Persisted with the cart.
+ */
+let appliedPromoCode = null;
+
+/**
+ * Rounds an amount to whole cents.
+ * @param {number} amount - Amount in the base currency
+ * @returns {number}
+ */
+function roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Finds a promotion by code, ignoring case and surrounding whitespace.
+ *
+ * @param {string} code - Code entered by the customer
+ * @returns {Object|null} The promotion, or null if unknown
+ */
+function findPromotion(code) {
+    const promotions = catalog && Array.isArray(catalog.promotions) ? catalog.promotions : [];
+    const normalized = String(code || '').trim().toUpperCase();
+
+    return promotions.find(function(promotion) {
+        return String(promotion.code).toUpperCase() === normalized;
+    }) || null;
+}
+
+/**
+ * Returns true if a product falls inside a promotion's scope.
+ *
+ * @param {Object} promotion - Promotion definition
+ * @param {Object} product - Catalog product
+ * @returns {boolean}
+ */
+function isProductInPromotionScope(promotion, product) {
+    const scope = promotion.scope;
+
+    if (!scope || (!scope.products && !scope.tags)) {
+        return true;
+    }
+
+    const inProducts = Array.isArray(scope.products) && scope.products.indexOf(product.id) !== -1;
+    const inTags = Array.isArray(scope.tags) && (product.tags || []).some(function(tag) {
+        return scope.tags.indexOf(tag) !== -1;
+    });
+
+    return inProducts || inTags;
+}
+
+/**
+ * Formats a promotion's expiry date for messages, e.g. "Aug 31, 2025".
+ * @param {string} expires - 'YYYY-MM-DD'
+ * @returns {string}
+ */
+function formatPromotionDate(expires) {
+    const parts = expires.split('-');
+    const date = new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Works out what a promotion is worth for the given cart lines.
+ *
+ * @param {Object} promotion - Promotion definition
+ * @param {Array<Object>} lines - Priced lines as {product, unitPrice, quantity}
+ *     (see priceCartLine())
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {Object} {valid, error, amount, freeShipping}; error explains
+ *     why an invalid promotion does not apply
+ */
+function evaluatePromotion(promotion, lines, now) {
+    const code = promotion.code;
+    const today = now || new Date();
+
+    if (promotion.expires) {
+        const parts = promotion.expires.split('-');
+        const endOfDay = new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]), 23, 59, 59, 999);
+        if (today > endOfDay) {
+            return { valid: false, error: code + ' expired on ' + formatPromotionDate(promotion.expires) + '.' };
+        }
+    }
+
+    const eligible = lines.filter(function(line) {
+        return isProductInPromotionScope(promotion, line.product);
+    });
+
+    if (eligible.length === 0) {
+        return { valid: false, error: code + " doesn't apply to anything in your cart." };
+    }
+
+    const eligibleSubtotal = eligible.reduce(function(sum, line) {
+        return sum + line.unitPrice * line.quantity;
+    }, 0);
+
+    if (promotion.minimumOrder && eligibleSubtotal < promotion.minimumOrder) {
+        return {
+            valid: false,
+            error: code + ' needs ' + formatPrice(promotion.minimumOrder) + ' of eligible items. Add ' +
+                formatPrice(promotion.minimumOrder - eligibleSubtotal) + ' more to use it.'
+        };
+    }
+
+    switch (promotion.type) {
+        case 'percent':
+            return {
+                valid: true,
+                amount: roundCurrency(eligibleSubtotal * promotion.value / 100),
+                freeShipping: false
+            };
+
+        case 'fixed':
+            return {
+                valid: true,
+                amount: roundCurrency(Math.min(promotion.value, eligibleSubtotal)),
+                freeShipping: false
+            };
+
+        case 'buy-x-get-y': {
+            const groupSize = promotion.buy + promotion.get;
+
+            // One price per eligible unit, cheapest first: free units come off the cheapest
+            const unitPrices = [];
+            eligible.forEach(function(line) {
+                for (let i = 0; i < line.quantity; i++) {
+                    unitPrices.push(line.unitPrice);
+                }
+            });
+            unitPrices.sort(function(a, b) {
+                return a - b;
+            });
+
+            if (unitPrices.length < groupSize) {
+                const needed = groupSize - unitPrices.length;
+                return {
+                    valid: false,
+                    error: 'Add ' + needed + ' more eligible ' + (needed === 1 ? 'item' : 'items') + ' to use ' + code + '.'
+                };
+            }
+
+            const freeUnits = Math.floor(unitPrices.length / groupSize) * promotion.get;
+            const amount = unitPrices.slice(0, freeUnits).reduce(function(sum, price) {
+                return sum + price;
+            }, 0);
+
+            return { valid: true, amount: roundCurrency(amount), freeShipping: false };
+        }
+
+        case 'free-shipping':
+            if (!linesNeedShipping(lines)) {
+                return { valid: false, error: code + ' only applies to orders with items to ship.' };
+            }
+            return { valid: true, amount: 0, freeShipping: true };
+
+        default:
+            console.warn('Unknown promotion type:', promotion.type);
+            return { valid: false, error: code + " can't be used right now." };
+    }
+}
+
+/**
+ * Calculates cart totals including the applied promotion.
+ * Discounts never take the total below zero.
+ *
+ * @returns {Object} {subtotal, discounts, freeShipping, total, promoError}
+ *     where discounts is a list of {code, label, amount} and promoError
+ *     explains why the applied code currently gives no discount
+ */
+function calculateCartTotals() {
+    const lines = getPricedCartLines();
+
+    const subtotal = roundCurrency(lines.reduce(function(sum, line) {
+        return sum + line.unitPrice * line.quantity;
+    }, 0));
+
+    const totals = {
+        subtotal: subtotal,
+        discounts: [],
+        freeShipping: false,
+        total: subtotal,
+        promoError: null
+    };
+
+    if (!appliedPromoCode || lines.length === 0) {
+        return totals;
+    }
+
+    const promotion = findPromotion(appliedPromoCode);
+
+    if (!promotion) {
+        totals.promoError = appliedPromoCode + ' is no longer available.';
+        return totals;
+    }
+
+    const result = evaluatePromotion(promotion, lines);
+
+    if (!result.valid) {
+        totals.promoError = result.error;
+        return totals;
+    }
+
+    if (result.amount > 0) {
+        totals.discounts.push({
+            code: promotion.code,
+            label: promotion.description || promotion.code,
+            amount: result.amount
+        });
+    }
+
+    totals.freeShipping = result.freeShipping;
+    totals.total = roundCurrency(Math.max(0, subtotal - result.amount));
+
+    return totals;
+}
+
+/**
+ * Validates and applies a promo code entered by the customer.
+ *
+ * @param {string} code - Code from the promo field
+ * @returns {string|null} Error message, or null if the code was applied
+ */
+function applyPromoCode(code) {
+    const trimmed = String(code || '').trim();
+
+    if (!trimmed) {
+        return 'Enter a promo code.';
+    }
+
+    if (cart.length === 0) {
+        return 'Add something to your cart before applying a promo code.';
+    }
+
+    const promotion = findPromotion(trimmed);
+
+    if (!promotion) {
+        return '"' + trimmed + '" is not a valid promo code.';
+    }
+
+    const result = evaluatePromotion(promotion, getPricedCartLines());
+
+    if (!result.valid) {
+        return result.error;
+    }
+
+    appliedPromoCode = promotion.code;
+    saveCart();
+    updateCartUI();
+
+    return null;
+}
+
+/**
+ * Removes the applied promo code.
+ */
+function removePromoCode() {
+    appliedPromoCode = null;
+    saveCart();
+    updateCartUI();
+}
+
+/**
+ * Shows a message under the promo code field.
+ *
+ * @param {string} [message] - Text to show; omit to hide the message
+ * @param {boolean} [isError] - Style the message as an error
+ */
+function setPromoMessage(message, isError) {
+    const promoMessage = document.getElementById('promo-message');
+
+    if (!promoMessage) {
+        return;
+    }
+
+    promoMessage.textContent = message || '';
+    promoMessage.hidden = !message;
+    promoMessage.classList.toggle('promo-message-error', !!isError);
+}
+
+/**
+ * Renders the discount, shipping and tax rows in the cart table footer and
+ * the applied-code state of the promo form. Shipping and tax depend on the
+ * customer's country, so the cart only says whether shipping is needed.
+ * Expected DOM elements:
+ *   - #cart-subtotal: Subtotal cell (optional)
+ *   - .cart-total-row: Discount rows are inserted before this row
+ *   - #promo-applied / #promo-applied-code: Applied code notice (optional)
+ *
+ * @param {Object} totals - Result of calculateCartTotals()
+ */
+function renderCartDiscounts(totals) {
+    const subtotalElement = document.getElementById('cart-subtotal');
+    const totalRow = document.querySelector('.cart-total-row');
+
+    if (subtotalElement) {
+        subtotalElement.textContent = formatPrice(totals.subtotal);
+    }
+
+    if (totalRow) {
+        totalRow.parentNode.querySelectorAll('.cart-discount-row').forEach(function(row) {
+            row.remove();
+        });
+
+        const rows = totals.discounts.map(function(discount) {
+            return { label: discount.label + ' (' + discount.code + ')', value: '−' + formatPrice(discount.amount) };
+        });
+
+        const lines = getPricedCartLines();
+
+        if (lines.length > 0 && !linesNeedShipping(lines)) {
+            rows.push({ label: 'Shipping', value: 'Not needed (digital delivery)' });
+        } else if (totals.freeShipping) {
+            rows.push({ label: 'Shipping (' + appliedPromoCode + ')', value: 'Free' });
+        } else if (lines.length > 0) {
+            rows.push({ label: 'Shipping', value: 'Calculated at checkout' });
+        }
+
+        if (lines.length > 0) {
+            rows.push({ label: 'Tax', value: 'Calculated at checkout' });
+        }
+
+        rows.forEach(function(entry) {
+            const row = document.createElement('tr');
+            row.className = 'cart-discount-row';
+
+            const label = document.createElement('th');
+            label.scope = 'row';
+            label.textContent = entry.label;
+
+            const value = document.createElement('td');
+            value.colSpan = 4;
+            value.textContent = entry.value;
+
+            row.appendChild(label);
+            row.appendChild(value);
+            totalRow.parentNode.insertBefore(row, totalRow);
+        });
+    }
+
+    const applied = document.getElementById('promo-applied');
+    const appliedCode = document.getElementById('promo-applied-code');
+
+    if (applied) {
+        applied.hidden = !appliedPromoCode;
+    }
+    if (appliedCode) {
+        appliedCode.textContent = appliedPromoCode || '';
+    }
+
+    const promoMessage = document.getElementById('promo-message');
+
+    if (appliedPromoCode && totals.promoError) {
+        setPromoMessage(totals.promoError, true);
+    } else if (appliedPromoCode && promoMessage && promoMessage.classList.contains('promo-message-error')) {
+        // The cart changed and the applied code works again
+        setPromoMessage();
+    }
+}
+
+/**
+ * Sets up the promo code form if it exists on the page.
+ * Expected DOM elements:
+ *   - #promo-form containing #promo-code and a submit button
+ *   - #promo-remove: Button that removes the applied code (optional)
+ */
+function initPromoForm() {
+    const promoForm = document.getElementById('promo-form');
+
+    if (!promoForm) {
+        return;
+    }
+
+    const promoInput = document.getElementById('promo-code');
+    const removeButton = document.getElementById('promo-remove');
+
+    promoForm.addEventListener('submit', function(event) {
+        event.preventDefault();
+
+        const error = applyPromoCode(promoInput.value);
+
+        if (error) {
+            promoInput.setAttribute('aria-invalid', 'true');
+            setPromoMessage(error, true);
+            promoInput.focus();
+            return;
+        }
+
+        promoInput.removeAttribute('aria-invalid');
+        promoInput.value = '';
+        setPromoMessage(appliedPromoCode + ' applied.');
+    });
+
+    if (removeButton) {
+        removeButton.addEventListener('click', function() {
+            const code = appliedPromoCode;
+            removePromoCode();
+            setPromoMessage(code + ' removed.');
+            promoInput.focus();
+        });
+    }
+}
+
+// ============================================================================
+// FULFILLMENT
+// ============================================================================
+
+/**
+ * Each product has a fulfillment type:
+ *   - 'physical' (the default): Shipped. Weighs weight grams, plus the weight
+ *     of each chosen option choice
+ *   - 'digital': Delivered as a download, {file, format}, listed on the
+ *     order confirmation. Never needs shipping
+ *
+ * Shipping lives in the catalog under "shipping": a list of zones, each
+ * {id, label, countries, rates}. A zone without countries covers every
+ * country no other zone lists. Rates are {maxWeight, price} in grams and the
+ * base currency, lightest first; the last rate has no maxWeight and covers
+ * heavier parcels.
+ *
+ * Taxes live under "tax.regions": tax lines by country code, each
+ * {label, rate} with rate in percent. A line is charged on the discounted
+ * goods plus shipping. Countries without an entry pay no tax.
+ */
+
+/**
+ * Returns how a product reaches the customer.
+ *
+ * @param {Object} product - Catalog product
+ * @returns {string} 'physical' or 'digital'
+ */
+function getProductFulfillment(product) {
+    return product.fulfillment === 'digital' ? 'digital' : 'physical';
+}
+
+/**
+ * Whether any of the given lines has to be shipped.
+ *
+ * @param {Array<Object>} lines - Priced lines (see priceCartLine())
+ * @returns {boolean}
+ */
+function linesNeedShipping(lines) {
+    return lines.some(function(line) {
+        return getProductFulfillment(line.product) === 'physical';
+    });
+}
+
+/**
+ * Adds up the shipping weight of the physical lines, including the weight
+ * of their chosen options.
+ *
+ * @param {Array<Object>} lines - Priced lines (see priceCartLine())
+ * @returns {number} Weight in grams
+ */
+function getShippingWeight(lines) {
+    return lines.reduce(function(total, line) {
+        if (getProductFulfillment(line.product) !== 'physical') {
+            return total;
+        }
+
+        const unitWeight = line.resolved.choices.reduce(function(weight, entry) {
+            return weight + (Number(entry.choice.weight) || 0);
+        }, Number(line.product.weight) || 0);
+
+        return total + unitWeight * line.quantity;
+    }, 0);
+}
+
+/**
+ * Finds the shipping zone for a country: the zone listing it, otherwise the
+ * catch-all zone without countries.
+ *
+ * @param {string} country - ISO 3166 country code
+ * @returns {Object|null} Zone, or null if the catalog does not ship there
+ */
+function findShippingZone(country) {
+    const zones = catalog && catalog.shipping && Array.isArray(catalog.shipping.zones) ? catalog.shipping.zones : [];
+
+    const listed = zones.find(function(zone) {
+        return Array.isArray(zone.countries) && zone.countries.indexOf(country) !== -1;
+    });
+
+    return listed || zones.find(function(zone) {
+        return !Array.isArray(zone.countries);
+    }) || null;
+}
+
+/**
+ * Prices shipping for the physical lines of an order.
+ *
+ * @param {Array<Object>} lines - Priced lines (see priceCartLine())
+ * @param {string} country - Destination country code
+ * @param {boolean} free - Whether a free-shipping promotion applies
+ * @returns {Object|null} {zone, label, weight, amount, free}, or null if the
+ *     catalog has no zone or rate for the destination
+ */
+function calculateShipping(lines, country, free) {
+    const zone = findShippingZone(country);
+
+    if (!zone || !Array.isArray(zone.rates)) {
+        return null;
+    }
+
+    const weight = getShippingWeight(lines);
+    const rate = zone.rates.find(function(entry) {
+        return typeof entry.maxWeight !== 'number' || weight <= entry.maxWeight;
+    });
+
+    if (!rate) {
+        console.warn('Shipping zone has no rate for this weight:', zone.id, weight);
+        return null;
+    }
+
+    return {
+        zone: zone.id,
+        label: zone.label || zone.id,
+        weight: weight,
+        amount: free ? 0 : roundCurrency(rate.price),
+        free: !!free
+    };
+}
+
+/**
+ * Works out the tax lines for a destination.
+ *
+ * @param {string} country - Customer's country code
+ * @param {number} taxable - Amount taxed, in the base currency
+ * @returns {Array<Object>} Tax lines as {label, rate, amount}
+ */
+function calculateTaxes(country, taxable) {
+    const regions = catalog && catalog.tax && catalog.tax.regions;
+    const entries = regions && Array.isArray(regions[country]) ? regions[country] : [];
+
+    return entries.map(function(entry) {
+        return {
+            label: entry.label,
+            rate: entry.rate,
+            amount: roundCurrency(taxable * entry.rate / 100)
+        };
+    });
+}
+
+/**
+ * Formats a weight in grams for shipping lines, e.g. "450 g" or "2.3 kg".
+ *
+ * @param {number} grams
+ * @returns {string}
+ */
+function formatWeight(grams) {
+    return grams < 1000 ? Math.round(grams) + ' g' : (Math.round(grams / 100) / 10) + ' kg';
+}
+
+// ============================================================================
+// PAYMENT PROVIDERS
+// ============================================================================
+
+/**
+ * A payment provider adapter. Checkout talks to payments only through this
+ * interface, so a real processor can replace the mock without touching the
+ * checkout steps.
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} id - Registry key, e.g. 'mock'
+ * @property {string} name - Display name shown on the payment step
+ * @property {function(Object): Promise<Object>} createSession
+ *     Starts a payment for an order and resolves with a session object
+ * @property {function(HTMLElement, Object): void} mount
+ *     Renders the provider's payment fields into the payment step
+ * @property {function(Object): Promise<PaymentResult>} confirmPayment
+ *     Attempts to take payment for a session
+ * @property {function(Object): Promise<PaymentResult>} cancelSession
+ *     Abandons a session without charging
+ */
+
+/**
+ * Outcome of confirmPayment() or cancelSession().
+ *
+ * @typedef {Object} PaymentResult
+ * @property {string} status - 'succeeded', 'failed' or 'cancelled'
+ * @property {string} [message] - Customer-facing explanation for failures
+ * @property {string} [transactionId] - Provider reference for successful payments
+ */
+
+/**
+ * ID of the provider checkout uses. Change this once a real provider is
+ * registered.
+ */
+const CHECKOUT_PROVIDER_ID = 'mock';
+
+/**
+ * Registered payment providers, keyed by provider id.
+ */
+const paymentProviders = {};
+
+/**
+ * Adds a payment provider to the registry.
+ * @param {PaymentProvider} provider - Provider implementing the interface above
+ */
+function registerPaymentProvider(provider) {
+    const required = ['createSession', 'mount', 'confirmPayment', 'cancelSession'];
+    const missing = required.filter(function(method) {
+        return typeof provider[method] !== 'function';
+    });
+
+    if (!provider.id || missing.length > 0) {
+        console.warn('Cannot register payment provider: missing id or methods', missing);
+        return;
+    }
+
+    paymentProviders[provider.id] = provider;
+}
+
+/**
+ * Returns the provider configured for checkout, or null if it isn't registered.
+ * @returns {PaymentProvider|null}
+ */
+function getPaymentProvider() {
+    return paymentProviders[CHECKOUT_PROVIDER_ID] || null;
+}
+
+/**
+ * Resolves after the given number of milliseconds.
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Simulated network latency for the mock provider, in milliseconds.
+ */
+const MOCK_PAYMENT_DELAY = 600;
+
+/**
+ * Test card numbers the mock provider declines, with the reason it gives.
+ * Any other number that passes the Luhn check is accepted.
+ */
+const MOCK_DECLINED_CARDS = {
+    '4000000000000002': 'Your card was declined.',
+    '4000000000009995': 'Your card has insufficient funds.'
+};
+
+/**
+ * Checks a card number against the Luhn checksum.
+ * @param {string} digits - Card number with separators removed
+ * @returns {boolean}
+ */
+function passesLuhnCheck(digits) {
+    let sum = 0;
+
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+
+    return sum % 10 === 0;
+}
+
+/**
+ * In-browser payment provider for offline testing. Nothing leaves the page.
+ * Use 4242 4242 4242 4242 for a successful payment, or one of
+ * MOCK_DECLINED_CARDS to exercise the failure path.
+ *
+ * @type {PaymentProvider}
+ */
+const mockPaymentProvider = {
+    id: 'mock',
+    name: 'Test payment (no real charge)',
+
+    createSession: function(order) {
+        return wait(MOCK_PAYMENT_DELAY).then(function() {
+            return {
+                id: 'mock_' + Date.now().toString(36),
+                amount: order.total,
+                currency: order.currency,
+                status: 'open'
+            };
+        });
+    },
+
+    mount: function(container) {
+        container.innerHTML = '';
+
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.setAttribute('for', 'mock-card-number');
+        label.textContent = 'Card number';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = 'mock-card-number';
+        input.name = 'card-number';
+        input.inputMode = 'numeric';
+        input.autocomplete = 'cc-number';
+        input.placeholder = '4242 4242 4242 4242';
+        input.setAttribute('aria-describedby', 'mock-card-hint');
+
+        const hint = document.createElement('p');
+        hint.id = 'mock-card-hint';
+        hint.className = 'field-hint';
+        hint.textContent = 'Test mode: use 4242 4242 4242 4242 to succeed or 4000 0000 0000 0002 to see a decline.';
+
+        group.appendChild(label);
+        group.appendChild(input);
+        group.appendChild(hint);
+        container.appendChild(group);
+    },
+
+    confirmPayment: function(session) {
+        const input = document.getElementById('mock-card-number');
+        const digits = input ? input.value.replace(/[\s-]/g, '') : '';
+
+        return wait(MOCK_PAYMENT_DELAY).then(function() {
+            if (session.status !== 'open') {
+                return { status: 'failed', message: 'This payment session has expired. Please start again.' };
+            }
+            if (!/^\d{16}$/.test(digits) || !passesLuhnCheck(digits)) {
+                return { status: 'failed', message: 'Enter a valid 16-digit card number.' };
+            }
+            if (MOCK_DECLINED_CARDS[digits]) {
+                return { status: 'failed', message: MOCK_DECLINED_CARDS[digits] };
+            }
+
+            session.status = 'complete';
+            return { status: 'succeeded', transactionId: session.id + '_paid' };
+        });
+    },
+
+    cancelSession: function(session) {
+        session.status = 'cancelled';
+        return Promise.resolve({ status: 'cancelled' });
+    }
+};
+
+registerPaymentProvider(mockPaymentProvider);
+
+// ============================================================================
+// CHECKOUT
+// ============================================================================
+
+/**
+ * Checkout steps in the order the customer moves through them.
+ */
+const CHECKOUT_STEPS = ['review', 'details', 'payment', 'confirmation'];
+
+/**
+ * Checkout state shared by the step handlers below.
+ *   - step: Current step name (one of CHECKOUT_STEPS), or null when closed
+ *   - order: Order snapshot taken when the customer continues to payment
+ *   - session: Open payment session for that order
+ *   - busy: True while waiting on the payment provider
+ */
+const checkoutState = {
+    step: null,
+    order: null,
+    session: null,
+    busy: false
+};
+
+/**
+ * Generates a human-readable order number, e.g. "TK-20260216-4F7Q".
+ * @returns {string}
+ */
+function generateOrderNumber() {
+    const now = new Date();
+    const date = now.getFullYear() +
+        String(now.getMonth() + 1).padStart(2, '0') +
+        String(now.getDate()).padStart(2, '0');
+    const suffix = Math.random().toString(36).substr(2, 4).toUpperCase().padEnd(4, '0');
+
+    return 'TK-' + date + '-' + suffix;
+}
+
+/**
+ * Snapshots the cart into an order using current catalog prices and the
+ * applied promo code. Each line records its SKU, chosen options and how it
+ * is fulfilled. Shipping and tax need the customer's country, so orders
+ * built without a customer leave them out of the total.
+ *
+ * @param {Object} customer - Contact and shipping details from the form
+ * @returns {Object} Order {lines, subtotal, discounts, freeShipping,
+ *     requiresShipping, shipping, taxes, total, currency, customer} where
+ *     shipping is from calculateShipping() (null for digital-only orders or
+ *     before the country is known) and taxes from calculateTaxes()
+ */
+function buildOrder(customer) {
+    const pricedLines = getPricedCartLines();
+
+    const lines = pricedLines.map(function(priced) {
+        const fulfillment = getProductFulfillment(priced.product);
+        const download = priced.product.download;
+
+        return {
+            id: priced.product.id,
+            sku: priced.sku,
+            name: priced.product.name,
+            options: describeProductOptions(priced.resolved),
+            price: priced.unitPrice,
+            quantity: priced.quantity,
+            subtotal: roundCurrency(priced.unitPrice * priced.quantity),
+            fulfillment: fulfillment,
+            download: fulfillment === 'digital' && download && download.file
+                ? { file: download.file, format: download.format || '' }
+                : null
+        };
+    });
+
+    const totals = calculateCartTotals();
+    const requiresShipping = linesNeedShipping(pricedLines);
+    const country = customer ? customer.country : '';
+    const shipping = requiresShipping && country ? calculateShipping(pricedLines, country, totals.freeShipping) : null;
+    const goodsAndShipping = roundCurrency(totals.total + (shipping ? shipping.amount : 0));
+    const taxes = country ? calculateTaxes(country, goodsAndShipping) : [];
+
+    return {
+        lines: lines,
+        subtotal: totals.subtotal,
+        discounts: totals.discounts,
+        freeShipping: totals.freeShipping,
+        requiresShipping: requiresShipping,
+        shipping: shipping,
+        taxes: taxes,
+        total: roundCurrency(taxes.reduce(function(sum, tax) {
+            return sum + tax.amount;
+        }, goodsAndShipping)),
+        currency: getCurrencyConfig().base,
+        customer: customer
+    };
+}
+
+/**
+ * Fills a list element with one entry per order line, followed by the
+ * discounts, shipping and tax.
+ *
+ * @param {HTMLElement} list - <ul> to populate
+ * @param {Object} order - Order from buildOrder()
+ * @param {function(number): string} [formatAmount=formatPrice] - Formats
+ *     amounts; the payment and confirmation steps pass formatBasePrice (and
+ *     receipts their order's formatter) to show what is charged
+ */
+function renderOrderLines(list, order, formatAmount) {
+    if (!list) {
+        return;
+    }
+
+    const format = formatAmount || formatPrice;
+
+    list.innerHTML = '';
+
+    order.lines.forEach(function(line) {
+        const item = document.createElement('li');
+        item.className = 'checkout-line';
+
+        const name = document.createElement('span');
+        name.className = 'checkout-line-name';
+        name.textContent = line.quantity + ' × ' + line.name;
+
+        if (line.options) {
+            const options = document.createElement('span');
+            options.className = 'checkout-line-options';
+            options.textContent = line.options;
+            name.appendChild(options);
+        }
+
+        const subtotal = document.createElement('span');
+        subtotal.className = 'checkout-line-subtotal';
+        subtotal.textContent = format(line.subtotal);
+
+        item.appendChild(name);
+        item.appendChild(subtotal);
+        list.appendChild(item);
+    });
+
+    order.discounts.forEach(function(discount) {
+        appendOrderCharge(list, discount.label + ' (' + discount.code + ')', '−' + format(discount.amount), 'checkout-line-discount');
+    });
+
+    if (!order.requiresShipping) {
+        appendOrderCharge(list, 'Digital delivery', 'No shipping');
+    } else if (order.shipping) {
+        appendOrderCharge(list,
+            'Shipping to ' + order.shipping.label + ' (' + formatWeight(order.shipping.weight) + ')',
+            order.shipping.free ? 'Free' : format(order.shipping.amount));
+    } else {
+        appendOrderCharge(list, 'Shipping', 'Calculated after your details');
+    }
+
+    if (!order.customer) {
+        appendOrderCharge(list, 'Tax', 'Calculated after your details');
+    }
+
+    (order.taxes || []).forEach(function(tax) {
+        appendOrderCharge(list, tax.label + ' (' + tax.rate + '%)', format(tax.amount));
+    });
+}
+
+/**
+ * Appends a discount, shipping or tax entry to an order list.
+ *
+ * @param {HTMLElement} list - <ul> from renderOrderLines()
+ * @param {string} label - What the entry is
+ * @param {string} value - Formatted amount or note
+ * @param {string} [className] - Extra class for the entry
+ */
+function appendOrderCharge(list, label, value, className) {
+    const item = document.createElement('li');
+    item.className = 'checkout-line checkout-line-charge' + (className ? ' ' + className : '');
+
+    const labelElement = document.createElement('span');
+    labelElement.textContent = label;
+
+    const valueElement = document.createElement('span');
+    valueElement.textContent = value;
+
+    item.appendChild(labelElement);
+    item.appendChild(valueElement);
+    list.appendChild(item);
+}
+
+/**
+ * Fills a list with a download link for each digital line of an order.
+ *
+ * @param {HTMLElement} list - <ul> to populate
+ * @param {Object} order - Order from buildOrder()
+ * @returns {number} Number of downloads listed
+ */
+function renderOrderDownloads(list, order) {
+    if (!list) {
+        return 0;
+    }
+
+    list.innerHTML = '';
+
+    const downloads = order.lines.filter(function(line) {
+        return !!line.download;
+    });
+
+    downloads.forEach(function(line) {
+        const item = document.createElement('li');
+        item.className = 'checkout-download';
+
+        const info = document.createElement('span');
+        info.className = 'checkout-download-name';
+        info.textContent = line.name;
+
+        if (line.download.format) {
+            const format = document.createElement('span');
+            format.className = 'checkout-download-format';
+            format.textContent = line.download.format;
+            info.appendChild(format);
+        }
+
+        const link = document.createElement('a');
+        link.className = 'btn btn-secondary btn-sm';
+        link.href = siteRelativeUrl(line.download.file);
+        link.setAttribute('download', '');
+        link.textContent = 'Download';
+        link.setAttribute('aria-label', 'Download ' + line.name);
+
+        item.appendChild(info);
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+
+    return downloads.length;
+}
+
+/**
+ * Shows one checkout step and hides the others.
+ * Expected DOM elements:
+ *   - [data-checkout-step="<step>"]: One panel per step
+ *   - [data-step-indicator="<step>"]: Progress list entries (optional)
+ * Focus moves to the step's heading so screen readers announce the change.
+ *
+ * @param {string} step - One of CHECKOUT_STEPS
+ */
+function showCheckoutStep(step) {
+    const checkoutSection = document.getElementById('checkout');
+
+    if (!checkoutSection) {
+        return;
+    }
+
+    checkoutState.step = step;
+
+    checkoutSection.querySelectorAll('[data-checkout-step]').forEach(function(panel) {
+        panel.hidden = panel.getAttribute('data-checkout-step') !== step;
+    });
+
+    const currentIndex = CHECKOUT_STEPS.indexOf(step);
+    checkoutSection.querySelectorAll('[data-step-indicator]').forEach(function(indicator) {
+        const indicatorIndex = CHECKOUT_STEPS.indexOf(indicator.getAttribute('data-step-indicator'));
+        indicator.classList.toggle('complete', indicatorIndex < currentIndex);
+        if (indicatorIndex === currentIndex) {
+            indicator.setAttribute('aria-current', 'step');
+        } else {
+            indicator.removeAttribute('aria-current');
+        }
+    });
+
+    const heading = checkoutSection.querySelector('[data-checkout-step="' + step + '"] .checkout-step-title');
+    if (heading) {
+        heading.focus();
+    }
+}
+
+/**
+ * Shows or clears the message on a checkout step.
+ *
+ * @param {string} elementId - ID of the message element
+ * @param {string} [message] - Text to show; omit to hide the element
+ */
+function setCheckoutMessage(elementId, message) {
+    const element = document.getElementById(elementId);
+
+    if (!element) {
+        return;
+    }
+
+    element.textContent = message || '';
+    element.hidden = !message;
+}
+
+/**
+ * Fills the review step with the current cart lines, discounts and total.
+ */
+function renderCheckoutReview() {
+    const order = buildOrder(null);
+
+    renderOrderLines(document.getElementById('checkout-review-lines'), order);
+
+    const reviewTotalLabel = document.getElementById('checkout-review-total-label');
+    if (reviewTotalLabel) {
+        reviewTotalLabel.textContent = order.requiresShipping ? 'Total before shipping and tax' : 'Total before tax';
+    }
+
+    const reviewTotal = document.getElementById('checkout-review-total');
+    if (reviewTotal) {
+        reviewTotal.textContent = formatPrice(order.total);
+    }
+
+    // Shoppers browsing in another currency see the exact amount charged
+    const currencyNote = document.getElementById('checkout-currency-note');
+    if (currencyNote) {
+        const base = getCurrencyConfig().base;
+        const converted = getDisplayCurrency() !== base;
+
+        currencyNote.textContent = converted
+            ? 'You will be charged ' + formatBasePrice(order.total) + ' (' + base + ').'
+            : '';
+        currencyNote.hidden = !converted;
+    }
+}
+
+/**
+ * Opens the checkout flow on the review step.
+ * The cart section is hidden while checkout is open. Checkout does not open
+ * while the cart holds more of a product than is in stock.
+ */
+function checkout() {
+    if (cart.length === 0) {
+        showToast('Your cart is empty. Add something before checking out.', { type: 'error' });
+        return;
+    }
+
+    const checkoutSection = document.getElementById('checkout');
+    const cartSection = document.querySelector('.cart-section');
+
+    if (!checkoutSection) {
+        console.warn('Checkout section (#checkout) not found');
+        return;
+    }
+
+    const problems = findOversoldCartLines();
+
+    if (problems.length > 0) {
+        showToast(problems.map(describeStockProblem).join(' '), { type: 'error', persistent: true });
+        return;
+    }
+
+    renderCheckoutReview();
+    setCheckoutShippingFields(linesNeedShipping(getPricedCartLines()));
+
+    if (cartSection) {
+        cartSection.hidden = true;
+    }
+    checkoutSection.hidden = false;
+
+    setCheckoutMessage('checkout-review-message');
+    showCheckoutStep('review');
+}
+
+/**
+ * Closes checkout and shows the cart again.
+ * Any open payment session is cancelled first.
+ */
+function closeCheckout() {
+    const checkoutSection = document.getElementById('checkout');
+    const cartSection = document.querySelector('.cart-section');
+
+    cancelCheckoutSession();
+
+    if (checkoutSection) {
+        checkoutSection.hidden = true;
+    }
+    if (cartSection) {
+        cartSection.hidden = false;
+    }
+
+    checkoutState.step = null;
+    checkoutState.order = null;
+
+    const checkoutButton = document.getElementById('checkout-btn');
+    if (checkoutButton) {
+        checkoutButton.focus();
+    }
+}
+
+/**
+ * Validation rules for the contact and shipping form, keyed by field name.
+ * Each rule returns an error message, or an empty string when the value is valid.
+ */
+const CHECKOUT_FIELD_RULES = {
+    name: function(value) {
+        return value ? '' : 'Enter your full name.';
+    },
+    email: function(value) {
+        if (!value) {
+            return 'Enter your email address.';
+        }
+        return EMAIL_PATTERN.test(value) ? '' : 'Enter an email address like name@example.com.';
+    },
+    address1: function(value) {
+        return value ? '' : 'Enter your street address.';
+    },
+    city: function(value) {
+        return value ? '' : 'Enter your town or city.';
+    },
+    postalCode: function(value) {
+        if (!value) {
+            return 'Enter your postal code.';
+        }
+        return /^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/.test(value) ? '' : 'Enter a valid postal code.';
+    },
+    country: function(value) {
+        return value ? '' : 'Choose your country.';
+    }
+};
+
+/**
+ * Shows the shipping address fields only when the order has items to ship,
+ * and titles the details step to match. Hidden fields are disabled, so
+ * validation and the order leave them out.
+ * Expected DOM elements:
+ *   - #checkout-shipping-fields: Shipping address fieldset
+ *   - #checkout-details-title: Details step heading (optional)
+ *
+ * @param {boolean} required - Whether the order needs shipping
+ */
+function setCheckoutShippingFields(required) {
+    const fieldset = document.getElementById('checkout-shipping-fields');
+    const title = document.getElementById('checkout-details-title');
+
+    if (fieldset) {
+        fieldset.hidden = !required;
+        fieldset.disabled = !required;
+    }
+
+    if (title) {
+        title.textContent = required ? 'Contact & shipping' : 'Contact details';
+    }
+}
+
+/**
+ * Validates the checkout form, showing an inline message under each invalid
+ * field (the #<field-id>-error element) and marking it aria-invalid.
+ *
+ * @param {HTMLFormElement} form - The checkout form
+ * @returns {Object|null} Trimmed field values, or null if any field is invalid
+ */
+function validateCheckoutForm(form) {
+    const values = {};
+    let firstInvalid = null;
+
+    Array.prototype.forEach.call(form.elements, function(field) {
+        // Fields in a disabled fieldset (e.g. the address of a digital-only order) are skipped
+        if (!field.name || field.matches(':disabled')) {
+            return;
+        }
+
+        const value = field.value.trim();
+        const rule = CHECKOUT_FIELD_RULES[field.name];
+        const error = rule ? rule(value) : '';
+        const errorElement = document.getElementById(field.id + '-error');
+
+        values[field.name] = value;
+
+        if (error) {
+            field.setAttribute('aria-invalid', 'true');
+            firstInvalid = firstInvalid || field;
+        } else {
+            field.removeAttribute('aria-invalid');
+        }
+
+        if (errorElement) {
+            errorElement.textContent = error;
+            errorElement.hidden = !error;
+        }
+    });
+
+    if (firstInvalid) {
+        firstInvalid.focus();
+        return null;
+    }
+
+    return values;
+}
+
+/**
+ * Handles the details form: validates it, re-checks stock against the
+ * server, then snapshots the order and opens a payment session with the
+ * configured provider. Orders asking for more than is in stock stay on the
+ * details step with a message naming each affected line.
+ *
+ * @param {Event} event - Form submit event
+ */
+function handleCheckoutDetails(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const requiresShipping = linesNeedShipping(getPricedCartLines());
+
+    // The cart may have changed in another tab since the step was shown
+    setCheckoutShippingFields(requiresShipping);
+
+    const customer = validateCheckoutForm(form);
+
+    if (!customer) {
+        return;
+    }
+
+    if (requiresShipping && !findShippingZone(customer.country)) {
+        const country = form.elements.country;
+        const countryName = country.selectedIndex >= 0 ? country.options[country.selectedIndex].textContent : customer.country;
+        setCheckoutMessage('checkout-details-message', 'We can\'t ship to ' + countryName + ' yet. Choose another country or remove the items that need shipping.');
+        return;
+    }
+
+    const provider = getPaymentProvider();
+
+    if (!provider) {
+        console.warn('Payment provider not registered:', CHECKOUT_PROVIDER_ID);
+        setCheckoutMessage('checkout-details-message', 'Payments are unavailable right now. Please try again later.');
+        return;
+    }
+
+    const submitButton = form.querySelector('[type="submit"]');
+
+    setCheckoutMessage('checkout-details-message');
+    form.setAttribute('aria-busy', 'true');
+    if (submitButton) {
+        submitButton.disabled = true;
+    }
+
+    refreshCatalogStock().then(function() {
+        form.setAttribute('aria-busy', 'false');
+        if (submitButton) {
+            submitButton.disabled = false;
+        }
+
+        // The customer may have left the step while stock was checked
+        if (checkoutState.step !== 'details') {
+            return;
+        }
+
+        const problems = findOversoldCartLines();
+
+        if (problems.length > 0) {
+            updateCartUI();
+            renderProductGrid();
+            renderWishlist();
+            renderCheckoutReview();
+            setCheckoutMessage('checkout-details-message',
+                problems.map(describeStockProblem).join(' ') + ' Go back to your cart to change your order.');
+            return;
+        }
+
+        startCheckoutPayment(customer, provider);
+    });
+}
+
+/**
+ * Snapshots the order, with shipping and tax for the customer's country,
+ * and opens a payment session for it, moving to the payment step.
+ *
+ * @param {Object} customer - Validated details from validateCheckoutForm()
+ * @param {PaymentProvider} provider - Provider to open the session with
+ */
+function startCheckoutPayment(customer, provider) {
+    cancelCheckoutSession();
+
+    checkoutState.order = buildOrder(customer);
+
+    const payButton = document.getElementById('checkout-pay-btn');
+    if (payButton) {
+        payButton.textContent = 'Pay ' + formatBasePrice(checkoutState.order.total);
+    }
+
+    // Lines in the charged currency, so they add up to the Pay button
+    renderOrderLines(document.getElementById('checkout-payment-lines'), checkoutState.order, formatBasePrice);
+
+    const paymentTotal = document.getElementById('checkout-payment-total');
+    if (paymentTotal) {
+        paymentTotal.textContent = formatBasePrice(checkoutState.order.total);
+    }
+
+    const providerName = document.getElementById('checkout-provider-name');
+    if (providerName) {
+        providerName.textContent = provider.name;
+    }
+
+    const mount = document.getElementById('checkout-payment-mount');
+    if (mount) {
+        mount.innerHTML = '<p class="checkout-loading">Preparing payment…</p>';
+    }
+
+    setCheckoutMessage('checkout-payment-message');
+    setCheckoutBusy(true);
+    showCheckoutStep('payment');
+
+    const order = checkoutState.order;
+
+    provider.createSession(order)
+        .then(function(session) {
+            // The customer may have gone back while the session was created
+            if (checkoutState.order !== order) {
+                provider.cancelSession(session);
+                return;
+            }
+
+            checkoutState.session = session;
+            if (mount) {
+                provider.mount(mount, session);
+            }
+            setCheckoutBusy(false);
+        })
+        .catch(function(error) {
+            console.warn('Failed to create payment session:', error.message);
+            if (mount) {
+                mount.innerHTML = '';
+            }
+            setCheckoutMessage('checkout-payment-message', 'We could not start the payment. Please go back and try again.');
+            setCheckoutBusy(false);
+        });
+}
+
+/**
+ * Disables the payment step's buttons while the provider is working.
+ * @param {boolean} busy - Whether a provider call is in flight
+ */
+function setCheckoutBusy(busy) {
+    checkoutState.busy = busy;
+
+    const paymentStep = document.querySelector('[data-checkout-step="payment"]');
+    if (paymentStep) {
+        paymentStep.setAttribute('aria-busy', busy ? 'true' : 'false');
+        paymentStep.querySelectorAll('button').forEach(function(button) {
+            button.disabled = busy;
+        });
+    }
+
+    const payButton = document.getElementById('checkout-pay-btn');
+    if (payButton && !checkoutState.session) {
+        payButton.disabled = true;
+    }
+}
+
+/**
+ * Cancels the open payment session, if any, without waiting for the provider.
+ */
+function cancelCheckoutSession() {
+    const provider = getPaymentProvider();
+
+    if (checkoutState.session && provider) {
+        provider.cancelSession(checkoutState.session);
+    }
+
+    checkoutState.session = null;
+}
+
+/**
+ * Asks the provider to take payment for the open session and routes the
+ * outcome: success completes the order, failure stays on the payment step
+ * with the provider's message, cancellation returns to the review step.
+ */
+function confirmCheckoutPayment() {
+    const provider = getPaymentProvider();
+    const session = checkoutState.session;
+
+    if (!provider || !session || checkoutState.busy) {
+        return;
+    }
+
+    setCheckoutMessage('checkout-payment-message');
+    setCheckoutBusy(true);
+
+    provider.confirmPayment(session)
+        .catch(function(error) {
+            console.warn('Payment confirmation failed:', error.message);
+            return { status: 'failed', message: 'Something went wrong while taking payment. You have not been charged.' };
+        })
+        .then(function(result) {
+            setCheckoutBusy(false);
+
+            if (result.status === 'succeeded') {
+                completeCheckout(result);
+            } else if (result.status === 'cancelled') {
+                checkoutState.session = null;
+                setCheckoutMessage('checkout-review-message', 'Payment cancelled. You have not been charged.');
+                showCheckoutStep('review');
+            } else {
+                setCheckoutMessage('checkout-payment-message', result.message || 'Payment failed. Please try again.');
+            }
+        });
+}
+
+/**
+ * Cancels payment at the customer's request and returns to the review step.
+ */
+function cancelCheckoutPayment() {
+    const provider = getPaymentProvider();
+    const session = checkoutState.session;
+
+    checkoutState.session = null;
+
+    const done = session && provider ? provider.cancelSession(session) : Promise.resolve();
+
+    done.then(function() {
+        setCheckoutMessage('checkout-review-message', 'Payment cancelled. You have not been charged.');
+        showCheckoutStep('review');
+    });
+}
+
+/**
+ * Finalizes a paid order: saves it to the order history, empties the cart
+ * and shows the confirmation step with the order number and a download link
+ * for each digital item.
+ *
+ * @param {PaymentResult} result - Successful payment result
+ */
+function completeCheckout(result) {
+    const order = checkoutState.order;
+
+    order.number = generateOrderNumber();
+    order.createdAt = new Date().toISOString();
+    order.transactionId = result.transactionId;
+
+    checkoutState.session = null;
+
+    // Count the sale against the loaded stock until the catalog is next fetched
+    order.lines.forEach(function(line) {
+        const product = getProduct(line.id);
+        if (product && typeof product.stock === 'number') {
+            product.stock = Math.max(0, product.stock - line.quantity);
+        }
+    });
+
+    recordOrder(order);
+
+    cart = [];
+    appliedPromoCode = null;
+    saveCart();
+    updateCartUI();
+    renderProductGrid();
+    renderWishlist();
+    setPromoMessage();
+
+    const orderNumber = document.getElementById('checkout-order-number');
+    if (orderNumber) {
+        orderNumber.textContent = order.number;
+    }
+
+    const confirmationEmail = document.getElementById('checkout-confirmation-email');
+    if (confirmationEmail) {
+        confirmationEmail.textContent = order.customer.email;
+    }
+
+    renderOrderLines(document.getElementById('checkout-confirmation-lines'), order, formatBasePrice);
+
+    const confirmationTotal = document.getElementById('checkout-confirmation-total');
+    if (confirmationTotal) {
+        confirmationTotal.textContent = formatBasePrice(order.total);
+    }
+
+    const downloads = document.getElementById('checkout-downloads');
+    const downloadCount = renderOrderDownloads(document.getElementById('checkout-download-list'), order);
+    if (downloads) {
+        downloads.hidden = downloadCount === 0;
+    }
+
+    const form = document.getElementById('checkout-form');
+    if (form) {
+        form.reset();
+    }
+
+    showCheckoutStep('confirmation');
+}
+
+/**
+ * Wires up the checkout section if it exists on the page.
+ * Buttons declare what they do with data-checkout-action:
+ *   - cancel / close: Leave checkout and return to the cart
+ *   - to-details / to-review: Move between steps
+ *   - pay: Confirm payment with the provider
+ *   - cancel-payment: Abandon the payment session
+ *   - print-receipt: Print the receipt for the completed order
+ */
+function initCheckout() {
+    const checkoutSection = document.getElementById('checkout');
+
+    if (!checkoutSection) {
+        return;
+    }
+
+    const form = document.getElementById('checkout-form');
+    if (form) {
+        form.addEventListener('submit', handleCheckoutDetails);
+    }
+
+    checkoutSection.addEventListener('click', function(event) {
+        const button = event.target.closest('[data-checkout-action]');
+
+        if (!button || button.disabled) {
+            return;
+        }
+
+        switch (button.getAttribute('data-checkout-action')) {
+            case 'cancel':
+            case 'close':
+                closeCheckout();
+                break;
+            case 'to-details':
+                showCheckoutStep('details');
+                break;
+            case 'to-review':
+                cancelCheckoutSession();
+                checkoutState.order = null;
+                showCheckoutStep('review');
+                break;
+            case 'pay':
+                confirmCheckoutPayment();
+                break;
+            case 'cancel-payment':
+                cancelCheckoutPayment();
+                break;
+            case 'print-receipt':
+                if (checkoutState.order && checkoutState.order.number) {
+                    printOrderReceipt(checkoutState.order);
+                }
+                break;
+        }
+    });
+}
+
+// ============================================================================
+// ORDER HISTORY
+// ============================================================================
+
+/**
+ * Where completed orders are kept on this device, so customers have a record
+ * of what they bought. Nothing is sent anywhere.
+ * Format: {version: 1, orders: [order, ...]}, newest first. Each order is the
+ * buildOrder() snapshot completed by completeCheckout(), with number,
+ * createdAt and transactionId.
+ */
+const ORDER_HISTORY_STORAGE_KEY = 'artStudioOrders';
+
+registerSiteData({
+    key: ORDER_HISTORY_STORAGE_KEY,
+    label: 'Order history',
+    description: 'Orders you placed in this browser, with their receipts and download links.',
+    category: 'saved-items',
+    onErase: function() {
+        orderHistory = [];
+        renderOrderHistory();
+    }
+});
+
+/**
+ * Current version of the stored order history envelope.
+ */
+const ORDER_HISTORY_SCHEMA_VERSION = 1;
+
+/**
+ * Most orders kept; the oldest are dropped beyond this.
+ */
+const MAX_ORDER_HISTORY = 50;
+
+/**
+ * Completed orders, as described for ORDER_HISTORY_STORAGE_KEY.
+ */
+let orderHistory = [];
+
+/**
+ * Checks the fields the order history view and receipts rely on.
+ *
+ * @param {*} order - Stored order
+ * @returns {boolean}
+ */
+function isValidStoredOrder(order) {
+    return !!order && typeof order.number === 'string' && typeof order.createdAt === 'string' &&
+        Array.isArray(order.lines) && Array.isArray(order.discounts) &&
+        typeof order.total === 'number' && typeof order.currency === 'string';
+}
+
+/**
+ * Reads the order history from storage, dropping orders that are not valid.
+ */
+function loadOrderHistory() {
+    const stored = readStorage(ORDER_HISTORY_STORAGE_KEY);
+
+    orderHistory = [];
+
+    if (!stored) {
+        return;
+    }
+
+    try {
+        const data = JSON.parse(stored);
+
+        if (!data || data.version !== ORDER_HISTORY_SCHEMA_VERSION || !Array.isArray(data.orders)) {
+            throw new Error('unsupported order history format');
+        }
+
+        orderHistory = data.orders.filter(isValidStoredOrder);
+    } catch (error) {
+        console.warn('Invalid order history in storage, starting with an empty history:', error.message);
+    }
+}
+
+/**
+ * Saves the order history.
+ */
+function saveOrderHistory() {
+    writeStorage(ORDER_HISTORY_STORAGE_KEY, JSON.stringify({
+        version: ORDER_HISTORY_SCHEMA_VERSION,
+        orders: orderHistory
+    }));
+}
+
+/**
+ * Adds a completed order to the history.
+ *
+ * @param {Object} order - Order completed by completeCheckout()
+ */
+function recordOrder(order) {
+    // Store a copy, so later changes to the checkout's order do not leak in
+    orderHistory.unshift(JSON.parse(JSON.stringify(order)));
+    orderHistory = orderHistory.slice(0, MAX_ORDER_HISTORY);
+    saveOrderHistory();
+    renderOrderHistory();
+}
+
+/**
+ * Returns a formatter for an order's amounts in the currency it was charged
+ * in, whatever the current display currency.
+ *
+ * @param {Object} order - Stored or completed order
+ * @returns {function(number): string}
+ */
+function getOrderAmountFormatter(order) {
+    return function(amount) {
+        return getPriceFormatter(order.currency).format(amount);
+    };
+}
+
+/**
+ * Formats an order's date for the history and receipts.
+ *
+ * @param {string} isoDate - order.createdAt
+ * @returns {string} e.g. "March 14, 2026 at 3:05 PM"
+ */
+function formatOrderDate(isoDate) {
+    const date = new Date(isoDate);
+
+    if (isNaN(date.getTime())) {
+        return isoDate;
+    }
+
+    return date.toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Names a country for receipts, e.g. 'CA' becomes "Canada". Falls back to
+ * the code where Intl.DisplayNames is unsupported.
+ *
+ * @param {string} code - ISO 3166 country code
+ * @returns {string}
+ */
+function formatCountryName(code) {
+    if (!code || typeof Intl.DisplayNames !== 'function') {
+        return code || '';
+    }
+
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'region' }).of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * Builds a receipt for an order: studio, order number and date, customer,
+ * every line and charge, and the total paid.
+ *
+ * @param {Object} order - Stored or completed order
+ * @returns {HTMLElement} article.order-receipt-body
+ */
+function createOrderReceipt(order) {
+    const format = getOrderAmountFormatter(order);
+    const receipt = document.createElement('article');
+    receipt.className = 'order-receipt-body';
+
+    const studio = document.createElement('p');
+    studio.className = 'order-receipt-studio';
+    studio.textContent = 'TKChi Art Studio';
+    receipt.appendChild(studio);
+
+    const title = document.createElement('h3');
+    title.className = 'order-receipt-title';
+    title.textContent = 'Receipt for order ' + order.number;
+    receipt.appendChild(title);
+
+    const details = document.createElement('dl');
+    details.className = 'order-receipt-details';
+
+    const customer = order.customer || {};
+    const address = [customer.address1, customer.address2, customer.city, customer.postalCode, formatCountryName(customer.country)]
+        .filter(Boolean)
+        .join(', ');
+
+    [
+        ['Date', formatOrderDate(order.createdAt)],
+        ['Customer', [customer.name, customer.email].filter(Boolean).join(' · ')],
+        [order.requiresShipping === false ? 'Country' : 'Ship to', address],
+        ['Transaction', order.transactionId || '']
+    ].forEach(function(entry) {
+        if (!entry[1]) {
+            return;
+        }
+
+        const term = document.createElement('dt');
+        term.textContent = entry[0];
+        const value = document.createElement('dd');
+        value.textContent = entry[1];
+        details.appendChild(term);
+        details.appendChild(value);
+    });
+    receipt.appendChild(details);
+
+    const lines = document.createElement('ul');
+    lines.className = 'checkout-lines';
+    renderOrderLines(lines, order, format);
+    receipt.appendChild(lines);
+
+    const total = document.createElement('p');
+    total.className = 'checkout-total';
+    total.textContent = 'Total paid: ' + format(order.total) + ' (' + order.currency + ')';
+    receipt.appendChild(total);
+
+    return receipt;
+}
+
+/**
+ * Prints the receipt for an order on its own, using the print styles.
+ * Expected DOM elements:
+ *   - #order-receipt: Container printed in place of the page
+ *
+ * @param {Object} order - Stored or completed order
+ */
+function printOrderReceipt(order) {
+    const container = document.getElementById('order-receipt');
+
+    if (!container) {
+        console.warn('Receipt container (#order-receipt) not found');
+        return;
+    }
+
+    container.innerHTML = '';
+    container.appendChild(createOrderReceipt(order));
+    document.body.classList.add('is-printing-receipt');
+
+    window.addEventListener('afterprint', function() {
+        document.body.classList.remove('is-printing-receipt');
+        container.innerHTML = '';
+    }, { once: true });
+
+    window.print();
+}
+
+/**
+ * Downloads one order, or the whole history, as JSON.
+ *
+ * @param {Object} [order] - Order to export; omit for every order
+ */
+function exportOrderHistory(order) {
+    if (order) {
+        downloadJsonFile('tkchi-order-' + order.number + '.json', {
+            exportedAt: new Date().toISOString(),
+            order: order
+        });
+        return;
+    }
+
+    downloadJsonFile('tkchi-orders-' + getFileDateStamp() + '.json', {
+        exportedAt: new Date().toISOString(),
+        orders: orderHistory
+    });
+}
+
+/**
+ * Deletes the whole order history after confirmation.
+ */
+function deleteOrderHistory() {
+    if (orderHistory.length === 0) {
+        return;
+    }
+
+    showConfirmDialog({
+        title: 'Delete your order history?',
+        message: 'This removes ' + orderHistory.length + (orderHistory.length === 1 ? ' order' : ' orders') +
+            ', with their receipts and download links, from this browser. It does not cancel or refund ' +
+            'anything. Export your orders first if you want to keep a copy.',
+        confirmLabel: 'Delete History',
+        cancelLabel: 'Keep Orders',
+        destructive: true
+    }).then(function(confirmed) {
+        if (!confirmed) {
+            return;
+        }
+
+        orderHistory = [];
+        removeStorage(ORDER_HISTORY_STORAGE_KEY);
+        renderOrderHistory();
+        showToast('Your order history was deleted from this browser.', { type: 'success' });
+    });
+}
+
+/**
+ * Builds one entry of the order history: a summary that expands to the
+ * receipt, download links and actions.
+ *
+ * @param {Object} order - Stored order
+ * @returns {HTMLLIElement}
+ */
+function createOrderHistoryEntry(order) {
+    const format = getOrderAmountFormatter(order);
+    const entry = document.createElement('li');
+    entry.className = 'order-history-item';
+
+    const details = document.createElement('details');
+
+    const summary = document.createElement('summary');
+    summary.className = 'order-history-summary';
+
+    const number = document.createElement('span');
+    number.className = 'order-history-number';
+    number.textContent = order.number;
+
+    const itemCount = order.lines.reduce(function(count, line) {
+        return count + line.quantity;
+    }, 0);
+
+    const meta = document.createElement('span');
+    meta.className = 'order-history-meta';
+    meta.textContent = formatOrderDate(order.createdAt) + ' · ' + itemCount + (itemCount === 1 ? ' item' : ' items') +
+        ' · ' + format(order.total);
+
+    summary.appendChild(number);
+    summary.appendChild(meta);
+    details.appendChild(summary);
+
+    details.appendChild(createOrderReceipt(order));
+
+    const downloads = document.createElement('ul');
+    downloads.className = 'checkout-download-list';
+    if (renderOrderDownloads(downloads, order) > 0) {
+        details.appendChild(downloads);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'order-history-item-actions';
+
+    const printButton = document.createElement('button');
+    printButton.type = 'button';
+    printButton.className = 'btn btn-secondary btn-sm';
+    printButton.textContent = 'Print Receipt';
+    printButton.setAttribute('aria-label', 'Print the receipt for order ' + order.number);
+    printButton.addEventListener('click', function() {
+        printOrderReceipt(order);
+    });
+    actions.appendChild(printButton);
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.className = 'btn btn-outline btn-sm';
+    exportButton.textContent = 'Export JSON';
+    exportButton.setAttribute('aria-label', 'Export order ' + order.number + ' as JSON');
+    exportButton.addEventListener('click', function() {
+        exportOrderHistory(order);
+    });
+    actions.appendChild(exportButton);
+
+    details.appendChild(actions);
+    entry.appendChild(details);
+
+    return entry;
+}
+
+/**
+ * Renders the "Your Orders" view.
+ * Expected DOM elements:
+ *   - #order-history-list: <ol> holding one entry per order
+ *   - #order-history-empty: Message shown when there are no orders (optional)
+ *   - #order-history-actions: Export and delete buttons, hidden when empty (optional)
+ */
+function renderOrderHistory() {
+    const list = document.getElementById('order-history-list');
+
+    if (!list) {
+        return;
+    }
+
+    list.innerHTML = '';
+    orderHistory.forEach(function(order) {
+        list.appendChild(createOrderHistoryEntry(order));
+    });
+
+    const empty = document.getElementById('order-history-empty');
+    if (empty) {
+        empty.hidden = orderHistory.length > 0;
+    }
+
+    const actions = document.getElementById('order-history-actions');
+    if (actions) {
+        actions.hidden = orderHistory.length === 0;
+    }
+}
+
+/**
+ * Loads the order history and wires up the "Your Orders" view, if present.
+ * Expected DOM elements:
+ *   - #order-history-export / #order-history-delete: Whole-history actions
+ */
+function initOrderHistory() {
+    loadOrderHistory();
+
+    const exportButton = document.getElementById('order-history-export');
+    if (exportButton) {
+        exportButton.addEventListener('click', function() {
+            exportOrderHistory();
+        });
+    }
+
+    const deleteButton = document.getElementById('order-history-delete');
+    if (deleteButton) {
+        deleteButton.addEventListener('click', deleteOrderHistory);
+    }
+
+    // Orders placed or deleted in other tabs
+    window.addEventListener('storage', function(event) {
+        if (event.key === ORDER_HISTORY_STORAGE_KEY || event.key === null) {
+            loadOrderHistory();
+            renderOrderHistory();
+        }
+    });
+
+    renderOrderHistory();
+}
+
+// ============================================================================
+// CROSS-TAB CART SYNC
+// ============================================================================
+
+/**
+ * BroadcastChannel name for cart updates between tabs.
+ */
+const CART_CHANNEL_NAME = 'tkchi-cart';
+
+/**
+ * Open BroadcastChannel, or null where BroadcastChannel is unsupported.
+ */
+let cartChannel = null;
+
+/**
+ * Sends the saved cart to other tabs. The storage event already covers
+ * tabs sharing localStorage; the channel also reaches tabs that fell back to
+ * memory storage.
+ *
+ * @param {string} serialized - Cart envelope as saved
+ */
+function broadcastCartChange(serialized) {
+    if (cartChannel) {
+        cartChannel.postMessage({ type: 'cart-updated', value: serialized });
+    }
+}
+
+/**
+ * Replaces this tab's cart with one saved by another tab and re-renders.
+ * Nothing is written back, so tabs never echo changes to each other.
+ *
+ * @param {string|null} serialized - Cart envelope, or null if it was removed
+ */
+function applyExternalCart(serialized) {
+    let items = [];
+    let promoCode = null;
+
+    if (serialized) {
+        try {
+            const stored = parseStoredCart(serialized);
+            items = stored.items;
+            promoCode = stored.promoCode;
+        } catch (error) {
+            console.warn('Ignoring invalid cart from another tab:', error.message);
+            return;
+        }
+    }
+
+    // The storage event and the channel both deliver the same change
+    if (JSON.stringify(items) === JSON.stringify(cart) && promoCode === appliedPromoCode) {
+        return;
+    }
+
+    cart = items;
+    appliedPromoCode = promoCode;
+
+    updateCartUI();
+
+    // Keep an open checkout in step with the cart it was started from
+    if (checkoutState.step === 'review' || checkoutState.step === 'details') {
+        if (cart.length === 0) {
+            closeCheckout();
+        } else {
+            renderCheckoutReview();
+        }
+    }
+}
+
+/**
+ * Listens for cart changes made in other tabs, through the storage event and
+ * a BroadcastChannel where supported.
+ */
+function initCartSync() {
+    window.addEventListener('storage', function(event) {
+        // key is null when another tab cleared all storage
+        if (event.key === CART_STORAGE_KEY || event.key === null) {
+            applyExternalCart(event.key === null ? null : event.newValue);
+        }
+    });
+
+    if (typeof BroadcastChannel === 'undefined') {
+        return;
+    }
+
+    cartChannel = new BroadcastChannel(CART_CHANNEL_NAME);
+    cartChannel.addEventListener('message', function(event) {
+        if (event.data && event.data.type === 'cart-updated') {
+            applyExternalCart(event.data.value);
+        }
+    });
+}
+
+// ============================================================================
+// SHARED CART LINKS
+// ============================================================================
+
+/**
+ * Query parameters of a shared cart link, e.g.
+ * store.html?cart=void-tarot~edition=standard:2,sticker-pack:3&promo=WELCOME10
+ * Each entry is a cart line key (see getCartLineKey()) and a quantity.
+ */
+const SHARED_CART_PARAM = 'cart';
+const SHARED_PROMO_PARAM = 'promo';
+
+/**
+ * Builds a store URL that rebuilds the current cart when opened.
+ * Only product IDs and quantities are encoded; prices always come from the
+ * catalog of whoever opens the link.
+ *
+ * @returns {string} Absolute URL
+ */
+function buildSharedCartUrl() {
+    const url = new URL(siteUrl('store.html'));
+
+    url.searchParams.set(SHARED_CART_PARAM, cart.map(function(line) {
+        return getCartLineKey(line.id, line.options) + ':' + line.quantity;
+    }).join(','));
+
+    if (appliedPromoCode) {
+        url.searchParams.set(SHARED_PROMO_PARAM, appliedPromoCode);
+    }
+
+    return url.href;
+}
+
+/**
+ * Parses the cart parameter of a shared link against the catalog.
+ * Unknown products or options and malformed entries are skipped; repeated
+ * combinations are merged and capped at MAX_CART_QUANTITY. Entries without
+ * options (links shared before products had them) get the defaults.
+ *
+ * @param {string} value - e.g. 'digital-ritual~frame=black~size=16x20:2,sticker-pack:3'
+ * @returns {{items: Array<Object>, skipped: number}}
+ */
+function parseSharedCart(value) {
+    const items = [];
+    let skipped = 0;
+
+    value.split(',').filter(Boolean).forEach(function(entry) {
+        const parts = entry.split(':');
+        const keyParts = parts[0].split('~');
+        const product = getProduct(keyParts[0]);
+        const quantity = normalizeQuantity(parts.length > 1 ? parts[1] : 1);
+
+        const options = {};
+        keyParts.slice(1).forEach(function(pair) {
+            const separator = pair.indexOf('=');
+            options[pair.slice(0, separator)] = pair.slice(separator + 1);
+        });
+
+        const resolved = product ? resolveProductOptions(product, options) : null;
+
+        if (!resolved || isNaN(quantity)) {
+            console.warn('Skipping shared cart entry:', entry);
+            skipped++;
+            return;
+        }
+
+        const existing = findCartLine(getCartLineKey(product.id, resolved.options), items);
+
+        if (existing) {
+            existing.quantity = Math.min(MAX_CART_QUANTITY, existing.quantity + quantity);
+        } else {
+            items.push({ id: product.id, options: resolved.options, quantity: quantity });
+        }
+    });
+
+    return { items: items, skipped: skipped };
+}
+
+/**
+ * Rebuilds a cart from a shared link in the page URL. Runs once the catalog
+ * has loaded. The link parameters are then removed so reloading the page
+ * does not import the cart again. Quantities are lowered to what is in
+ * stock. A cart that was replaced can be restored from the toast.
+ */
+function importSharedCart() {
+    const params = new URLSearchParams(window.location.search);
+    const sharedCart = params.get(SHARED_CART_PARAM);
+
+    if (sharedCart === null) {
+        return;
+    }
+
+    if (!catalog) {
+        // Keep the link intact so a reload can try again
+        showToast('This shared cart could not be loaded because our products are unavailable right now.', { type: 'error' });
+        return;
+    }
+
+    const sharedPromo = params.get(SHARED_PROMO_PARAM);
+
+    params.delete(SHARED_CART_PARAM);
+    params.delete(SHARED_PROMO_PARAM);
+    const search = params.toString();
+    history.replaceState(history.state, '', window.location.pathname + (search ? '?' + search : '') + window.location.hash);
+
+    const shared = parseSharedCart(sharedCart);
+
+    if (shared.items.length === 0) {
+        showToast('None of the items in that shared cart are available any more.', { type: 'error' });
+        return;
+    }
+
+    const snapshot = snapshotCart();
+
+    cart = shared.items;
+    appliedPromoCode = null;
+
+    const capped = capCartToStock();
+    saveCart();
+
+    let message = 'Loaded a shared cart.';
+
+    if (shared.skipped > 0) {
+        message += ' ' + shared.skipped + (shared.skipped === 1 ? ' item is' : ' items are') +
+            ' no longer available and ' + (shared.skipped === 1 ? 'was' : 'were') + ' left out.';
+    }
+
+    if (capped.length > 0) {
+        message += ' ' + capped.join(' ');
+    }
+
+    // applyPromoCode() saves and re-renders on success
+    if (sharedPromo && applyPromoCode(sharedPromo)) {
+        message += ' The promo code ' + sharedPromo + ' no longer applies.';
+    }
+
+    updateCartUI();
+
+    if (snapshot.items.length > 0) {
+        offerCartUndo(message, snapshot);
+    } else {
+        showToast(message, { type: 'success' });
+    }
+}
+
+/**
+ * Shows a link to the current cart and copies it to the clipboard where the
+ * browser allows it.
+ * Expected DOM elements:
+ *   - #share-cart-panel: Container revealed with the link
+ *   - #share-cart-url: Read-only input holding the link
+ */
+function shareCart() {
+    if (cart.length === 0) {
+        showToast('Add something to your cart before sharing it.', { type: 'error' });
+        return;
+    }
+
+    const url = buildSharedCartUrl();
+    const panel = document.getElementById('share-cart-panel');
+    const input = document.getElementById('share-cart-url');
+
+    if (panel && input) {
+        input.value = url;
+        panel.hidden = false;
+        input.focus();
+        input.select();
+    }
+
+    if (!navigator.clipboard || typeof navigator.clipboard.writeText !== 'function') {
+        showToast('Copy the link below to share your cart.');
+        return;
+    }
+
+    navigator.clipboard.writeText(url).then(function() {
+        showToast('Cart link copied to the clipboard.', { type: 'success' });
+    }, function() {
+        showToast('Copy the link below to share your cart.');
+    });
+}
+
+/**
+ * Connects the #share-cart button, if present.
+ */
+function initShareCart() {
+    const shareButton = document.getElementById('share-cart');
+
+    if (shareButton) {
+        shareButton.addEventListener('click', shareCart);
+    }
+}
+
+// ============================================================================
+// WISHLIST
+// ============================================================================
+
+/**
+ * Where the wishlist is stored.
+ * Format: {version: 1, items: [{type, id, name, image, addedAt}, ...]},
+ * newest first. type is 'work' (a gallery .gallery-item[data-work-id]) or
+ * 'product' (a catalog product). name and image are kept so saved works can
+ * be shown on pages without the gallery.
+ */
+const WISHLIST_STORAGE_KEY = 'artStudioWishlist';
+
+registerSiteData({
+    key: WISHLIST_STORAGE_KEY,
+    label: 'Wishlist',
+    description: 'Artworks and products you saved with the heart button.',
+    category: 'saved-items',
+    onErase: function() {
+        wishlist = [];
+        refreshWishlistUI();
+    }
+});
+
+/**
+ * Current version of the stored wishlist envelope.
+ */
+const WISHLIST_SCHEMA_VERSION = 1;
+
+/**
+ * Heart icon shared by every wishlist toggle. Filled via CSS when pressed.
+ */
+const WISHLIST_ICON = '<svg viewBox="0 0 24 24" aria-hidden="true" focusable="false">' +
+    '<path d="M12 20.5s-7.5-4.6-9.4-9.1C1.2 8 3.3 4.5 6.8 4.5c2.1 0 3.9 1.2 5.2 3 1.3-1.8 3.1-3 5.2-3 ' +
+    '3.5 0 5.6 3.5 4.2 6.9-1.9 4.5-9.4 9.1-9.4 9.1z"/></svg>';
+
+/**
+ * Saved works and products, as described for WISHLIST_STORAGE_KEY.
+ */
+let wishlist = [];
+
+/**
+ * Reads the wishlist from storage, dropping entries that are not valid.
+ */
+function loadWishlist() {
+    const stored = readStorage(WISHLIST_STORAGE_KEY);
+
+    wishlist = [];
+
+    if (!stored) {
+        return;
+    }
+
+    try {
+        const data = JSON.parse(stored);
+
+        if (!data || data.version !== WISHLIST_SCHEMA_VERSION || !Array.isArray(data.items)) {
+            throw new Error('unsupported wishlist format');
+        }
+
+        wishlist = data.items.filter(function(item) {
+            return item && (item.type === 'work' || item.type === 'product') &&
+                typeof item.id === 'string' && typeof item.name === 'string';
+        });
+    } catch (error) {
+        console.warn('Invalid wishlist data in storage, starting with an empty wishlist:', error.message);
+    }
+}
+
+/**
+ * Saves the wishlist.
+ */
+function saveWishlist() {
+    writeStorage(WISHLIST_STORAGE_KEY, JSON.stringify({
+        version: WISHLIST_SCHEMA_VERSION,
+        items: wishlist
+    }));
+}
+
+/**
+ * Finds a saved item.
+ *
+ * @param {string} type - 'work' or 'product'
+ * @param {string} id - Work ID or product ID
+ * @returns {Object|undefined}
+ */
+function findWishlistItem(type, id) {
+    return wishlist.find(function(item) {
+        return item.type === type && item.id === id;
+    });
+}
+
+/**
+ * Lists the catalog products that are prints of a gallery work (see the
+ * artworks field in data/catalog.json).
+ *
+ * @param {string} workId - Value of the work's data-work-id attribute
+ * @returns {Array<Object>}
+ */
+function getProductsForWork(workId) {
+    if (!catalog) {
+        return [];
+    }
+
+    return catalog.products.filter(function(product) {
+        return Array.isArray(product.artworks) && product.artworks.indexOf(workId) !== -1;
+    });
+}
+
+/**
+ * Returns the product a saved item can be bought as: the product itself, or
+ * the first print of a saved work.
+ *
+ * @param {Object} item - Wishlist item
+ * @returns {Object|null}
+ */
+function getWishlistItemProduct(item) {
+    if (item.type === 'product') {
+        return getProduct(item.id);
+    }
+
+    return getProductsForWork(item.id)[0] || null;
+}
+
+/**
+ * Describes a work or product for the wishlist from the page or catalog.
+ *
+ * @param {string} type - 'work' or 'product'
+ * @param {string} id - Work ID or product ID
+ * @returns {Object|null} {name, image} with a root-relative image path, or
+ *     null if the item is not on this page or in the catalog
+ */
+function describeWishlistTarget(type, id) {
+    if (type === 'product') {
+        const product = getProduct(id);
+        if (!product) {
+            return null;
+        }
+        return {
+            name: product.name,
+            image: product.images && product.images[0] ? product.images[0].src : ''
+        };
+    }
+
+    const galleryItem = Array.prototype.find.call(document.querySelectorAll('.gallery-item[data-work-id]'), function(element) {
+        return element.getAttribute('data-work-id') === id;
+    });
+
+    if (!galleryItem) {
+        return null;
+    }
+
+    const title = galleryItem.querySelector('.gallery-title');
+    const image = galleryItem.querySelector('img');
+    const src = image ? image.src : '';
+
+    return {
+        name: title ? title.textContent.trim() : id,
+        image: src.indexOf(SITE_ROOT) === 0 ? src.slice(SITE_ROOT.length) : src
+    };
+}
+
+/**
+ * Adds a work or product to the wishlist, or removes it if already saved.
+ *
+ * @param {string} type - 'work' or 'product'
+ * @param {string} id - Work ID or product ID
+ */
+function toggleWishlistItem(type, id) {
+    const existing = findWishlistItem(type, id);
+
+    if (existing) {
+        wishlist.splice(wishlist.indexOf(existing), 1);
+        saveWishlist();
+        refreshWishlistUI();
+        showToast('Removed ' + existing.name + ' from your wishlist.');
+        return;
+    }
+
+    const target = describeWishlistTarget(type, id);
+
+    if (!target) {
+        console.warn('Cannot save to wishlist: unknown ' + type, id);
+        return;
+    }
+
+    wishlist.unshift({
+        type: type,
+        id: id,
+        name: target.name,
+        image: target.image,
+        addedAt: new Date().toISOString()
+    });
+    saveWishlist();
+    refreshWishlistUI();
+    showToast('Saved ' + target.name + ' to your wishlist.', { type: 'success' });
+}
+
+/**
+ * Removes a saved item.
+ *
+ * @param {Object} item - Wishlist item
+ */
+function removeWishlistItem(item) {
+    const index = wishlist.indexOf(item);
+
+    if (index !== -1) {
+        wishlist.splice(index, 1);
+        saveWishlist();
+        refreshWishlistUI();
+    }
+}
+
+/**
+ * Adds a saved item's product to the cart and takes it off the wishlist.
+ * The item stays saved if nothing could be added (e.g. it sold out).
+ *
+ * @param {Object} item - Wishlist item
+ */
+function moveWishlistItemToCart(item) {
+    const product = getWishlistItemProduct(item);
+
+    if (!product) {
+        console.warn('Wishlist item is not for sale:', item.id);
+        return;
+    }
+
+    if (addToCart(product.id)) {
+        removeWishlistItem(item);
+    }
+}
+
+/**
+ * Builds a heart button that saves a work or product to the wishlist.
+ *
+ * @param {string} type - 'work' or 'product'
+ * @param {string} id - Work ID or product ID
+ * @param {string} name - Name used in the button's label
+ * @returns {HTMLButtonElement} button.wishlist-toggle
+ */
+function createWishlistToggle(type, id, name) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'wishlist-toggle';
+    button.setAttribute('data-wishlist-type', type);
+    button.setAttribute('data-wishlist-id', id);
+    button.setAttribute('data-wishlist-name', name);
+    button.innerHTML = WISHLIST_ICON;
+    updateWishlistToggle(button);
+
+    return button;
+}
+
+/**
+ * Syncs a heart button's pressed state and label with the wishlist.
+ * @param {HTMLButtonElement} button - button.wishlist-toggle
+ */
+function updateWishlistToggle(button) {
+    const saved = !!findWishlistItem(button.getAttribute('data-wishlist-type'), button.getAttribute('data-wishlist-id'));
+    const name = button.getAttribute('data-wishlist-name');
+
+    button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+    button.setAttribute('aria-label', saved ? 'Remove ' + name + ' from wishlist' : 'Save ' + name + ' to wishlist');
+}
+
+/**
+ * Adds the wishlist heart and, for works sold as prints, a "Buy Print"
+ * button under the lightbox image.
+ * Expected DOM elements:
+ *   - #lightbox-actions: Container inside the lightbox (optional)
+ *
+ * @param {Object} item - Lightbox item from getLightboxItems()
+ */
+function renderLightboxActions(item) {
+    const actions = document.getElementById('lightbox-actions');
+
+    if (!actions) {
+        return;
+    }
+
+    actions.innerHTML = '';
+
+    if (!item || !item.workId) {
+        actions.hidden = true;
+        return;
+    }
+
+    const title = item.trigger.closest('.gallery-item').querySelector('.gallery-title');
+    actions.appendChild(createWishlistToggle('work', item.workId, title ? title.textContent.trim() : item.workId));
+
+    const product = getProductsForWork(item.workId)[0];
+    if (product) {
+        const soldOut = getProductStock(product) === 0;
+        const buyButton = document.createElement('button');
+        buyButton.type = 'button';
+        buyButton.className = 'btn btn-primary btn-sm';
+        buyButton.textContent = soldOut ? 'Print Sold Out' : 'Buy Print · ' + formatStartingPrice(product);
+        buyButton.disabled = soldOut;
+        buyButton.setAttribute('aria-label', soldOut ? product.name + ' is sold out' : 'Add ' + product.name + ' to cart');
+        buyButton.addEventListener('click', function() {
+            addToCart(product.id);
+        });
+        actions.appendChild(buyButton);
+    }
+
+    actions.hidden = false;
+}
+
+/**
+ * Builds one entry of the wishlist view.
+ *
+ * @param {Object} item - Wishlist item
+ * @returns {HTMLLIElement}
+ */
+function createWishlistEntry(item) {
+    const entry = document.createElement('li');
+    entry.className = 'wishlist-item';
+
+    if (item.image) {
+        const image = document.createElement('img');
+        image.className = 'wishlist-item-image';
+        image.src = siteUrl(item.image);
+        image.alt = '';
+        image.loading = 'lazy';
+        entry.appendChild(image);
+    }
+
+    const info = document.createElement('div');
+    info.className = 'wishlist-item-info';
+
+    const name = document.createElement('p');
+    name.className = 'wishlist-item-name';
+    if (item.type === 'work') {
+        const link = document.createElement('a');
+        link.href = siteRelativeUrl('gallery.html') + getWorkHash(item.id);
+        link.textContent = item.name;
+        name.appendChild(link);
+    } else {
+        name.textContent = item.name;
+    }
+    info.appendChild(name);
+
+    const product = getWishlistItemProduct(item);
+    const soldOut = !!product && getProductStock(product) === 0;
+
+    const meta = document.createElement('p');
+    meta.className = 'wishlist-item-meta';
+    if (item.type === 'work') {
+        meta.textContent = product ? 'Artwork · print ' + (soldOut ? 'sold out' : formatStartingPrice(product)) : 'Artwork · not for sale yet';
+    } else {
+        meta.textContent = product ? (soldOut ? 'Sold out' : formatStartingPrice(product)) : 'No longer available';
+    }
+    info.appendChild(meta);
+
+    entry.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'wishlist-item-actions';
+
+    if (product && !soldOut) {
+        const moveButton = document.createElement('button');
+        moveButton.type = 'button';
+        moveButton.className = 'btn btn-primary btn-sm';
+        moveButton.textContent = 'Move to Cart';
+        moveButton.setAttribute('aria-label', 'Move ' + item.name + ' to cart');
+        moveButton.addEventListener('click', function() {
+            moveWishlistItemToCart(item);
+        });
+        actions.appendChild(moveButton);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-outline btn-sm';
+    removeButton.textContent = 'Remove';
+    removeButton.setAttribute('aria-label', 'Remove ' + item.name + ' from wishlist');
+    removeButton.addEventListener('click', function() {
+        removeWishlistItem(item);
+    });
+    actions.appendChild(removeButton);
+
+    entry.appendChild(actions);
+
+    return entry;
+}
+
+/**
+ * Renders the wishlist view.
+ * Expected DOM elements:
+ *   - #wishlist-items: List the saved items are rendered into
+ *   - #wishlist-count: Number of saved items (optional)
+ */
+function renderWishlist() {
+    const list = document.getElementById('wishlist-items');
+    const count = document.getElementById('wishlist-count');
+
+    if (count) {
+        count.textContent = wishlist.length + (wishlist.length === 1 ? ' saved item' : ' saved items');
+    }
+
+    if (!list) {
+        return;
+    }
+
+    list.innerHTML = '';
+
+    if (wishlist.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'wishlist-empty';
+        empty.textContent = 'Nothing saved yet. Use the heart on a product or a gallery work to keep it here.';
+        list.appendChild(empty);
+        return;
+    }
+
+    wishlist.forEach(function(item) {
+        list.appendChild(createWishlistEntry(item));
+    });
+}
+
+/**
+ * Updates every heart button, the lightbox actions and the wishlist view
+ * after the wishlist changes.
+ */
+function refreshWishlistUI() {
+    document.querySelectorAll('.wishlist-toggle').forEach(updateWishlistToggle);
+    renderWishlist();
+}
+
+/**
+ * Sets up the wishlist: hearts on gallery works (product cards get theirs in
+ * createProductCard()), the lightbox actions and the wishlist view. Runs once
+ * the catalog has loaded, since prints and prices come from it.
+ * Expected markup:
+ *   - .gallery-item[data-work-id] elements with a .gallery-title
+ *   - #lightbox-actions inside the lightbox (optional)
+ *   - #wishlist-items (optional)
+ */
+function initWishlist() {
+    loadWishlist();
+
+    document.querySelectorAll('.gallery-item[data-work-id]').forEach(function(galleryItem) {
+        const title = galleryItem.querySelector('.gallery-title');
+        const workId = galleryItem.getAttribute('data-work-id');
+        galleryItem.appendChild(createWishlistToggle('work', workId, title ? title.textContent.trim() : workId));
+    });
+
+    // One listener covers gallery hearts, re-rendered product cards and the lightbox
+    document.addEventListener('click', function(event) {
+        const button = event.target.closest('.wishlist-toggle');
+
+        if (button) {
+            toggleWishlistItem(button.getAttribute('data-wishlist-type'), button.getAttribute('data-wishlist-id'));
+        }
+    });
+
+    // Changes made in other tabs
+    window.addEventListener('storage', function(event) {
+        if (event.key === WISHLIST_STORAGE_KEY || event.key === null) {
+            loadWishlist();
+            refreshWishlistUI();
+        }
+    });
+
+    if (isLightboxOpen()) {
+        renderLightboxActions(lightboxState.items[lightboxState.index]);
+    }
+
+    refreshWishlistUI();
+}
+
+// ============================================================================
+// APPS (MANIFEST, PROGRESS & ROADMAP)
+// ============================================================================
+
+/**
+ * Path of the apps manifest, relative to the site root.
+ * Each app is {id, name, description, page, icon, progress, roadmap, legal}:
+ *   - icon: {viewBox, paths} drawn as a stroked inline SVG
+ *   - progress: Overall development progress, 0-100
+ *   - roadmap: List of {phase, status, date}; status is one of
+ *     ROADMAP_STATUSES, date is 'YYYY-MM' (completed for finished phases,
+ *     targeted otherwise)
+ *   - legal: List of {title, description, href, download, label} with
+ *     root-relative paths; download and label are optional
+ */
+const APPS_MANIFEST_PATH = 'data/apps.json';
+
+/**
+ * Display text for each roadmap phase status, and the prefix shown before
+ * its date (finished phases show the date alone).
+ */
+const ROADMAP_STATUSES = {
+    complete: { label: 'Complete', datePrefix: '' },
+    active: { label: 'In Progress', datePrefix: 'Target' },
+    upcoming: { label: 'Upcoming', datePrefix: 'Target' }
+};
+
+/**
+ * Pending or settled manifest request, shared by every caller of
+ * loadAppsManifest().
+ */
+let appsManifestRequest = null;
+
+/**
+ * Observer that fills progress bars as they scroll into view, created on
+ * first use. Stays null where IntersectionObserver is unsupported.
+ */
+let progressObserver = null;
+
+/**
+ * Fetches the apps manifest once per page.
+ * Resolves with the list of apps, or with null if it could not be loaded.
+ *
+ * @returns {Promise<Array<Object>|null>}
+ */
+function loadAppsManifest() {
+    if (appsManifestRequest) {
+        return appsManifestRequest;
+    }
+
+    appsManifestRequest = fetch(siteUrl(APPS_MANIFEST_PATH))
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+        })
+        .then(function(data) {
+            if (!data || !Array.isArray(data.apps)) {
+                throw new Error('manifest has no apps array');
+            }
+            return data.apps;
+        })
+        .catch(function(error) {
+            console.warn('Failed to load apps manifest:', error.message);
+            return null;
+        });
+
+    return appsManifestRequest;
+}
+
+/**
+ * Clamps an app's progress to a whole percentage.
+ *
+ * @param {*} value - Progress from the manifest
+ * @returns {number} 0-100
+ */
+function normalizeProgress(value) {
+    const progress = Math.round(Number(value));
+
+    if (!isFinite(progress)) {
+        return 0;
+    }
+
+    return Math.min(100, Math.max(0, progress));
+}
+
+/**
+ * Formats a roadmap date ('YYYY-MM') as month and year, e.g. "March 2026".
+ * Returns the raw value if it cannot be parsed.
+ *
+ * @param {string} value - Date from the manifest
+ * @returns {string}
+ */
+function formatRoadmapDate(value) {
+    const match = /^(\d{4})-(\d{2})/.exec(value || '');
+
+    if (!match) {
+        return value || '';
+    }
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+}
+
+/**
+ * Builds an app icon as a stroked inline SVG.
+ *
+ * @param {Object} app - Manifest app
+ * @param {string} className - Class for the wrapper
+ * @returns {HTMLElement} div[role="img"]
+ */
+function createAppIcon(app, className) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const wrapper = document.createElement('div');
+    wrapper.className = className;
+    wrapper.setAttribute('role', 'img');
+    wrapper.setAttribute('aria-label', app.name + ' app icon');
+
+    const icon = app.icon || {};
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', icon.viewBox || '0 0 24 24');
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke-width', '1.5');
+    svg.setAttribute('stroke-linecap', 'round');
+    svg.setAttribute('stroke-linejoin', 'round');
+    svg.setAttribute('aria-hidden', 'true');
+
+    (icon.paths || []).forEach(function(data) {
+        const path = document.createElementNS(svgNs, 'path');
+        path.setAttribute('d', data);
+        svg.appendChild(path);
+    });
+
+    wrapper.appendChild(svg);
+    return wrapper;
+}
+
+/**
+ * Builds a labelled progress bar for an app. The fill starts empty and is
+ * animated to its value by watchProgressBar(); the ARIA values always carry
+ * the real progress.
+ *
+ * @param {Object} app - Manifest app
+ * @param {string} label - Visible label, e.g. "Development progress"
+ * @param {string} [modifier] - Extra class for the wrapper
+ * @returns {HTMLElement} div.app-progress
+ */
+function createProgressBar(app, label, modifier) {
+    const progress = normalizeProgress(app.progress);
+    const labelId = app.id + '-progress-label' + (modifier ? '-' + modifier : '');
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'app-progress' + (modifier ? ' ' + modifier : '');
+
+    const labelRow = document.createElement('div');
+    labelRow.className = 'progress-label';
+
+    const labelText = document.createElement('span');
+    labelText.id = labelId;
+    labelText.textContent = label;
+    labelRow.appendChild(labelText);
+
+    const valueText = document.createElement('span');
+    valueText.textContent = progress + '%';
+    valueText.setAttribute('aria-hidden', 'true');
+    labelRow.appendChild(valueText);
+
+    wrapper.appendChild(labelRow);
+
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-labelledby', labelId);
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.setAttribute('aria-valuenow', String(progress));
+    bar.setAttribute('aria-valuetext', progress + '% complete');
+
+    const fill = document.createElement('div');
+    fill.className = 'progress-bar-fill';
+    fill.style.width = '0%';
+    fill.setAttribute('data-progress', String(progress));
+    bar.appendChild(fill);
+
+    wrapper.appendChild(bar);
+    watchProgressBar(fill);
+
+    return wrapper;
+}
+
+/**
+ * Fills a progress bar to its value.
+ *
+ * @param {HTMLElement} fill - .progress-bar-fill with data-progress
+ */
+function fillProgressBar(fill) {
+    fill.style.width = fill.getAttribute('data-progress') + '%';
+}
+
+/**
+ * Fills a progress bar once it scrolls into view, so the transition is seen.
+ * Without IntersectionObserver the bar is filled straight away.
+ *
+ * @param {HTMLElement} fill - .progress-bar-fill with data-progress
+ */
+function watchProgressBar(fill) {
+    if (!('IntersectionObserver' in window)) {
+        fillProgressBar(fill);
+        return;
+    }
+
+    if (!progressObserver) {
+        progressObserver = new IntersectionObserver(function(entries, observer) {
+            entries.forEach(function(entry) {
+                if (entry.isIntersecting) {
+                    fillProgressBar(entry.target);
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, { threshold: 0.5 });
+    }
+
+    progressObserver.observe(fill);
+}
+
+/**
+ * Builds the card for one app on apps.html.
+ *
+ * @param {Object} app - Manifest app
+ * @returns {HTMLElement} article.app-card
+ */
+function createAppCard(app) {
+    const titleId = app.id + '-title';
+
+    const card = document.createElement('article');
+    card.className = 'app-card';
+    card.setAttribute('data-app-id', app.id);
+    card.setAttribute('aria-labelledby', titleId);
+
+    card.appendChild(createAppIcon(app, 'app-card-icon'));
+
+    const title = document.createElement('h3');
+    title.id = titleId;
+    title.className = 'app-card-title';
+    title.textContent = app.name;
+    card.appendChild(title);
+
+    const description = document.createElement('p');
+    description.className = 'app-card-description';
+    description.textContent = app.description;
+    card.appendChild(description);
+
+    card.appendChild(createProgressBar(app, 'Development progress'));
+
+    const link = document.createElement('a');
+    link.href = siteRelativeUrl(app.page);
+    link.className = 'btn btn-primary';
+    link.textContent = 'View Details';
+    link.setAttribute('aria-label', 'View details for ' + app.name);
+    card.appendChild(link);
+
+    return card;
+}
+
+/**
+ * Builds the roadmap timeline for an app.
+ *
+ * @param {Object} app - Manifest app
+ * @returns {HTMLElement} ol.roadmap-timeline
+ */
+function createRoadmapTimeline(app) {
+    const timeline = document.createElement('ol');
+    timeline.className = 'roadmap-timeline';
+    timeline.setAttribute('aria-label', app.name + ' roadmap');
+
+    (app.roadmap || []).forEach(function(phase) {
+        const status = ROADMAP_STATUSES[phase.status] ? phase.status : 'upcoming';
+        const statusInfo = ROADMAP_STATUSES[status];
+
+        const item = document.createElement('li');
+        item.className = 'roadmap-item roadmap-' + status;
+        if (status === 'active') {
+            item.setAttribute('aria-current', 'step');
+        }
+
+        const marker = document.createElement('span');
+        marker.className = 'roadmap-marker';
+        marker.setAttribute('aria-hidden', 'true');
+        item.appendChild(marker);
+
+        const content = document.createElement('div');
+        content.className = 'roadmap-content-item';
+
+        const name = document.createElement('h3');
+        name.className = 'roadmap-phase';
+        name.textContent = phase.phase;
+        content.appendChild(name);
+
+        const statusText = document.createElement('p');
+        statusText.className = 'roadmap-status';
+        statusText.textContent = statusInfo.label;
+
+        if (phase.date) {
+            const time = document.createElement('time');
+            time.className = 'roadmap-date';
+            time.dateTime = phase.date;
+            time.textContent = (statusInfo.datePrefix ? statusInfo.datePrefix + ' ' : '') +
+                formatRoadmapDate(phase.date);
+            statusText.appendChild(document.createTextNode(' · '));
+            statusText.appendChild(time);
+        }
+
+        content.appendChild(statusText);
+        item.appendChild(content);
+        timeline.appendChild(item);
+    });
+
+    return timeline;
+}
+
+/**
+ * Builds the legal and compliance links for an app.
+ *
+ * @param {Object} app - Manifest app
+ * @returns {DocumentFragment} div.compliance-item for each document
+ */
+function createLegalLinks(app) {
+    const fragment = document.createDocumentFragment();
+
+    (app.legal || []).forEach(function(doc) {
+        const item = document.createElement('div');
+        item.className = 'compliance-item';
+
+        const title = document.createElement('h3');
+        title.className = 'compliance-title';
+        title.textContent = doc.title;
+        item.appendChild(title);
+
+        if (doc.description) {
+            const description = document.createElement('p');
+            description.className = 'compliance-description';
+            description.textContent = doc.description;
+            item.appendChild(description);
+        }
+
+        const links = document.createElement('div');
+        links.className = 'compliance-links';
+
+        const view = document.createElement('a');
+        view.href = siteRelativeUrl(doc.href);
+        view.className = 'btn btn-outline';
+        view.textContent = doc.label || 'View Online';
+        links.appendChild(view);
+
+        if (doc.download) {
+            const download = document.createElement('a');
+            download.href = siteRelativeUrl(doc.download);
+            download.className = 'btn btn-text';
+            download.setAttribute('download', '');
+            download.textContent = 'Download TXT';
+            links.appendChild(download);
+        }
+
+        item.appendChild(links);
+        fragment.appendChild(item);
+    });
+
+    return fragment;
+}
+
+/**
+ * Replaces a placeholder's content with an error message.
+ *
+ * @param {HTMLElement} container - Placeholder element
+ * @param {string} message - Text to show
+ */
+function showAppsMessage(container, message) {
+    container.innerHTML = '';
+
+    const text = document.createElement('p');
+    text.className = 'apps-message';
+    text.textContent = message;
+    container.appendChild(text);
+}
+
+/**
+ * Renders app content from the manifest into the page's placeholders.
+ * Expected DOM elements (all optional):
+ *   - [data-apps-list]: Filled with an .app-card for every app (apps.html)
+ *   - [data-app-roadmap="<app id>"]: Filled with the app's overall progress
+ *     bar and .roadmap-timeline
+ *   - [data-app-legal="<app id>"]: Filled with the app's legal links
+ */
+function initApps() {
+    const list = document.querySelector('[data-apps-list]');
+    const roadmaps = document.querySelectorAll('[data-app-roadmap]');
+    const legalBlocks = document.querySelectorAll('[data-app-legal]');
+
+    if (!list && roadmaps.length === 0 && legalBlocks.length === 0) {
+        return;
+    }
+
+    loadAppsManifest().then(function(apps) {
+        /**
+         * Looks up the app named by a placeholder attribute, showing an
+         * error in the placeholder if the manifest does not have it.
+         */
+        function findApp(container, attribute) {
+            const appId = container.getAttribute(attribute);
+            const app = apps && apps.find(function(entry) {
+                return entry.id === appId;
+            });
+
+            if (!app) {
+                if (apps) {
+                    console.warn('Unknown app in ' + attribute + ':', appId);
+                }
+                showAppsMessage(container, 'App details could not be loaded. Please refresh the page.');
+                return null;
+            }
+
+            container.innerHTML = '';
+            return app;
+        }
+
+        if (list) {
+            if (!apps) {
+                showAppsMessage(list, 'Apps could not be loaded. Please refresh the page.');
+            } else {
+                list.innerHTML = '';
+                apps.forEach(function(app) {
+                    list.appendChild(createAppCard(app));
+                });
+            }
+        }
+
+        roadmaps.forEach(function(container) {
+            const app = findApp(container, 'data-app-roadmap');
+            if (app) {
+                container.appendChild(createProgressBar(app, 'Overall development progress', 'progress-large'));
+                container.appendChild(createRoadmapTimeline(app));
+            }
+        });
+
+        legalBlocks.forEach(function(container) {
+            const app = findApp(container, 'data-app-legal');
+            if (app) {
+                container.appendChild(createLegalLinks(app));
+            }
+        });
+    });
+}
+
+// ============================================================================
+// TAROT DEMO (PERSONAL TAROT READER)
+// ============================================================================
+
+/**
+ * Path of the tarot data, relative to the site root. The file holds the 22
+ * major arcana, the four suits and fourteen ranks the minor arcana are built
+ * from, and the spreads with their positions and grid placement.
+ */
+const TAROT_DATA_PATH = 'data/tarot.json';
+
+/**
+ * localStorage key for saved readings ({version, entries}, newest first).
+ */
+const TAROT_JOURNAL_KEY = 'artStudioTarotJournal';
+
+registerSiteData({
+    key: TAROT_JOURNAL_KEY,
+    label: 'Tarot journal',
+    description: 'Readings and notes you saved in the Personal Tarot Reader demo.',
+    category: 'saved-items',
+    onErase: renderTarotJournal
+});
+
+/**
+ * Most readings kept in the journal; the oldest are dropped beyond this.
+ */
+const TAROT_JOURNAL_LIMIT = 100;
+
+/**
+ * Delay between card flips when a spread is revealed, in milliseconds.
+ */
+const TAROT_FLIP_STAGGER = 250;
+
+/**
+ * Demo state:
+ *   - deck: The 78 cards, or null until the data has loaded
+ *   - spreads: Spreads from the data file
+ *   - reading: The reading on screen, or null before the first draw
+ *   - flipTimers: Pending flip timeouts, cleared when a new spread is drawn
+ */
+const tarotState = {
+    deck: null,
+    spreads: [],
+    reading: null,
+    flipTimers: []
+};
+
+/**
+ * Builds the 78-card deck from the tarot data.
+ * Each card is {id, name, arcana, suit, upright, reversed}.
+ *
+ * @param {Object} data - Parsed data/tarot.json
+ * @returns {Array<Object>}
+ */
+function buildTarotDeck(data) {
+    const deck = data.major.map(function(card, index) {
+        return {
+            id: 'major-' + index,
+            name: card.name,
+            arcana: 'major',
+            suit: null,
+            upright: card.upright,
+            reversed: card.reversed
+        };
+    });
+
+    data.suits.forEach(function(suit) {
+        data.ranks.forEach(function(rank) {
+            deck.push({
+                id: slugify(rank.name + ' of ' + suit.name),
+                name: rank.name + ' of ' + suit.name,
+                arcana: 'minor',
+                suit: suit.name,
+                upright: rank.upright + ' in ' + suit.domain + '.',
+                reversed: rank.reversed + ' in ' + suit.domain + '.'
+            });
+        });
+    });
+
+    return deck;
+}
+
+/**
+ * Hashes a seed string to a 32-bit integer (FNV-1a).
+ *
+ * @param {string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Creates a random number generator (mulberry32) that always produces the
+ * same sequence for the same seed.
+ *
+ * @param {string} seed
+ * @returns {function(): number} Returns numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = hashSeed(String(seed));
+
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generates a short random seed for readings drawn without one.
+ * @returns {string}
+ */
+function generateTarotSeed() {
+    if (window.crypto && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0].toString(36);
+    }
+
+    return Math.floor(Math.random() * 4294967296).toString(36);
+}
+
+/**
+ * Returns a shuffled copy of the deck (Fisher-Yates).
+ *
+ * @param {Array<Object>} deck
+ * @param {function(): number} random - Seeded generator
+ * @returns {Array<Object>}
+ */
+function shuffleDeck(deck, random) {
+    const shuffled = deck.slice();
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const card = shuffled[i];
+        shuffled[i] = shuffled[j];
+        shuffled[j] = card;
+    }
+
+    return shuffled;
+}
+
+/**
+ * Shuffles the deck with the given seed and deals one card per position.
+ * The same seed, spread and reversed setting always give the same reading.
+ *
+ * @param {Object} spread - Spread from the tarot data
+ * @param {string} seed
+ * @param {boolean} allowReversed - Whether cards may be drawn reversed
+ * @returns {Object} Reading as {seed, spread, allowReversed, cards}, where
+ *     each card is {position, card, reversed}
+ */
+function drawTarotReading(spread, seed, allowReversed) {
+    const random = createSeededRandom(seed);
+    const shuffled = shuffleDeck(tarotState.deck, random);
+
+    return {
+        seed: seed,
+        spread: spread,
+        allowReversed: allowReversed,
+        cards: spread.positions.map(function(position, index) {
+            return {
+                position: position,
+                card: shuffled[index],
+                reversed: allowReversed && random() < 0.5
+            };
+        })
+    };
+}
+
+/**
+ * Returns the card name with its orientation, e.g. "The Tower, reversed".
+ *
+ * @param {Object} drawn - Card from a reading
+ * @returns {string}
+ */
+function getDrawnCardLabel(drawn) {
+    return drawn.card.name + (drawn.reversed ? ', reversed' : '');
+}
+
+/**
+ * Cancels flips still waiting from the previous spread.
+ */
+function clearTarotFlips() {
+    tarotState.flipTimers.forEach(function(timer) {
+        clearTimeout(timer);
+    });
+    tarotState.flipTimers = [];
+}
+
+/**
+ * Deals the reading into #tarot-layout face down, then flips the cards one
+ * after another (all at once when reduced motion is preferred).
+ *
+ * @param {Object} reading - Result of drawTarotReading()
+ */
+function renderTarotLayout(reading) {
+    const layout = document.getElementById('tarot-layout');
+
+    if (!layout) {
+        return;
+    }
+
+    clearTarotFlips();
+    layout.innerHTML = '';
+    layout.style.setProperty('--tarot-columns', String(reading.spread.columns || reading.cards.length));
+
+    const cards = reading.cards.map(function(drawn, index) {
+        const slot = document.createElement('div');
+        slot.className = 'tarot-slot' + (drawn.position.crossing ? ' tarot-slot-crossing' : '');
+        slot.style.setProperty('--tarot-column', String(drawn.position.column || index + 1));
+        slot.style.setProperty('--tarot-row', String(drawn.position.row || 1));
+
+        const number = document.createElement('span');
+        number.className = 'tarot-slot-number';
+        number.textContent = String(index + 1);
+        slot.appendChild(number);
+
+        const card = document.createElement('div');
+        card.className = 'tarot-card' + (drawn.reversed ? ' is-reversed' : '');
+
+        const inner = document.createElement('div');
+        inner.className = 'tarot-card-inner';
+
+        const back = document.createElement('div');
+        back.className = 'tarot-card-back';
+        inner.appendChild(back);
+
+        const face = document.createElement('div');
+        face.className = 'tarot-card-face';
+
+        const faceContent = document.createElement('div');
+        faceContent.className = 'tarot-card-face-content';
+
+        const arcana = document.createElement('span');
+        arcana.className = 'tarot-card-arcana';
+        arcana.textContent = drawn.card.suit || 'Major Arcana';
+        faceContent.appendChild(arcana);
+
+        const name = document.createElement('span');
+        name.className = 'tarot-card-name';
+        name.textContent = drawn.card.name;
+        faceContent.appendChild(name);
+
+        face.appendChild(faceContent);
+        inner.appendChild(face);
+        card.appendChild(inner);
+        slot.appendChild(card);
+        layout.appendChild(slot);
+
+        return card;
+    });
+
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    cards.forEach(function(card, index) {
+        // Flip on a later frame so the face-down state is painted first
+        tarotState.flipTimers.push(setTimeout(function() {
+            card.classList.add('is-flipped');
+        }, reduceMotion ? 0 : 50 + index * TAROT_FLIP_STAGGER));
+    });
+}
+
+/**
+ * Lists each position, its meaning and the card drawn into it in
+ * #tarot-reading.
+ *
+ * @param {Object} reading - Result of drawTarotReading()
+ */
+function renderTarotReading(reading) {
+    const list = document.getElementById('tarot-reading');
+
+    if (!list) {
+        return;
+    }
+
+    list.innerHTML = '';
+
+    reading.cards.forEach(function(drawn) {
+        const item = document.createElement('li');
+        item.className = 'tarot-reading-item';
+
+        const position = document.createElement('p');
+        position.className = 'tarot-reading-position';
+
+        const positionName = document.createElement('strong');
+        positionName.textContent = drawn.position.name;
+        position.appendChild(positionName);
+        position.appendChild(document.createTextNode(' — ' + drawn.position.meaning));
+        item.appendChild(position);
+
+        const card = document.createElement('p');
+        card.className = 'tarot-reading-card';
+        card.textContent = getDrawnCardLabel(drawn);
+        item.appendChild(card);
+
+        const meaning = document.createElement('p');
+        meaning.className = 'tarot-reading-meaning';
+        meaning.textContent = drawn.reversed ? drawn.card.reversed : drawn.card.upright;
+        item.appendChild(meaning);
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Reads the saved journal entries, newest first.
+ * @returns {Array<Object>}
+ */
+function readTarotJournal() {
+    const raw = readStorage(TAROT_JOURNAL_KEY);
+
+    if (!raw) {
+        return [];
+    }
+
+    try {
+        const stored = JSON.parse(raw);
+        return stored && Array.isArray(stored.entries) ? stored.entries : [];
+    } catch (error) {
+        console.warn('Invalid tarot journal in storage, discarding it:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Saves the journal, removing the key once it is empty.
+ * @param {Array<Object>} entries
+ */
+function writeTarotJournal(entries) {
+    if (entries.length === 0) {
+        removeStorage(TAROT_JOURNAL_KEY);
+        return;
+    }
+
+    writeStorage(TAROT_JOURNAL_KEY, JSON.stringify({ version: 1, entries: entries }));
+}
+
+/**
+ * Turns a reading and the visitor's notes into a plain journal entry. Card
+ * names and meanings are copied in, so entries stay readable on their own
+ * when exported.
+ *
+ * @param {Object} reading - Result of drawTarotReading()
+ * @param {string} notes
+ * @returns {Object}
+ */
+function createTarotJournalEntry(reading, notes) {
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        createdAt: new Date().toISOString(),
+        spread: { id: reading.spread.id, name: reading.spread.name },
+        seed: reading.seed,
+        reversedCards: reading.allowReversed,
+        cards: reading.cards.map(function(drawn) {
+            return {
+                position: drawn.position.name,
+                positionMeaning: drawn.position.meaning,
+                card: drawn.card.name,
+                cardId: drawn.card.id,
+                reversed: drawn.reversed,
+                meaning: drawn.reversed ? drawn.card.reversed : drawn.card.upright
+            };
+        }),
+        notes: notes
+    };
+}
+
+/**
+ * Downloads journal entries as a JSON file.
+ *
+ * @param {Array<Object>} entries
+ * @param {string} filename
+ */
+function exportTarotJournal(entries, filename) {
+    downloadJsonFile(filename, {
+        app: 'personal-tarot-reader',
+        exportedAt: new Date().toISOString(),
+        entries: entries
+    });
+}
+
+/**
+ * Removes one entry from the journal after confirmation.
+ *
+ * @param {string} entryId
+ */
+function deleteTarotJournalEntry(entryId) {
+    showConfirmDialog({
+        title: 'Delete this reading?',
+        message: 'It will be removed from the journal on this device. Export it first if you want to keep a copy.',
+        confirmLabel: 'Delete',
+        destructive: true
+    }).then(function(confirmed) {
+        if (!confirmed) {
+            return;
+        }
+
+        writeTarotJournal(readTarotJournal().filter(function(entry) {
+            return entry.id !== entryId;
+        }));
+        renderTarotJournal();
+        showToast('Reading deleted from your journal.');
+    });
+}
+
+/**
+ * Renders the saved readings into #tarot-journal-list.
+ */
+function renderTarotJournal() {
+    const list = document.getElementById('tarot-journal-list');
+    const exportButton = document.getElementById('tarot-export');
+
+    if (!list) {
+        return;
+    }
+
+    const entries = readTarotJournal();
+    list.innerHTML = '';
+
+    if (exportButton) {
+        exportButton.disabled = entries.length === 0;
+    }
+
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'tarot-journal-empty';
+        empty.textContent = 'No saved readings yet.';
+        list.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(function(entry) {
+        const item = document.createElement('li');
+        item.className = 'tarot-journal-entry';
+
+        const meta = document.createElement('p');
+        meta.className = 'tarot-journal-meta';
+
+        const time = document.createElement('time');
+        time.dateTime = entry.createdAt;
+        time.textContent = new Date(entry.createdAt).toLocaleString(undefined, {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+        meta.appendChild(time);
+        meta.appendChild(document.createTextNode(' · ' + entry.spread.name + ' · seed ' + entry.seed));
+        item.appendChild(meta);
+
+        const cards = document.createElement('p');
+        cards.className = 'tarot-journal-cards';
+        cards.textContent = entry.cards.map(function(card) {
+            return card.card + (card.reversed ? ' (reversed)' : '');
+        }).join(', ');
+        item.appendChild(cards);
+
+        if (entry.notes) {
+            const notes = document.createElement('p');
+            notes.className = 'tarot-journal-notes';
+            notes.textContent = entry.notes;
+            item.appendChild(notes);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'tarot-journal-actions';
+
+        const exportEntry = document.createElement('button');
+        exportEntry.type = 'button';
+        exportEntry.className = 'btn btn-outline btn-sm';
+        exportEntry.textContent = 'Export JSON';
+        exportEntry.addEventListener('click', function() {
+            exportTarotJournal([entry], 'tarot-reading-' + entry.createdAt.slice(0, 10) + '.json');
+        });
+        actions.appendChild(exportEntry);
+
+        const deleteEntry = document.createElement('button');
+        deleteEntry.type = 'button';
+        deleteEntry.className = 'btn btn-outline btn-sm';
+        deleteEntry.textContent = 'Delete';
+        deleteEntry.addEventListener('click', function() {
+            deleteTarotJournalEntry(entry.id);
+        });
+        actions.appendChild(deleteEntry);
+
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Draws a new reading from the current form values and shows it.
+ *
+ * @param {HTMLFormElement} form - #tarot-controls
+ */
+function handleTarotDraw(form) {
+    const spreadId = form.elements.spread.value;
+    const spread = tarotState.spreads.find(function(entry) {
+        return entry.id === spreadId;
+    });
+
+    if (!spread) {
+        console.warn('Unknown tarot spread:', spreadId);
+        return;
+    }
+
+    const seedInput = form.elements.seed;
+    let seed = seedInput.value.trim();
+
+    if (!seed) {
+        seed = generateTarotSeed();
+        seedInput.value = seed;
+    }
+
+    const reading = drawTarotReading(spread, seed, form.elements.reversed.checked);
+    tarotState.reading = reading;
+
+    renderTarotLayout(reading);
+    renderTarotReading(reading);
+
+    const status = document.getElementById('tarot-status');
+    if (status) {
+        status.textContent = spread.name + ' reading drawn with seed "' + seed + '": ' +
+            reading.cards.map(getDrawnCardLabel).join('; ') + '.';
+    }
+
+    const notes = document.getElementById('tarot-notes');
+    const saveButton = document.getElementById('tarot-save');
+    if (notes) {
+        notes.disabled = false;
+        notes.value = '';
+    }
+    if (saveButton) {
+        saveButton.disabled = false;
+    }
+}
+
+/**
+ * Saves the reading on screen, with its notes, to the journal.
+ */
+function saveTarotReading() {
+    if (!tarotState.reading) {
+        return;
+    }
+
+    const notes = document.getElementById('tarot-notes');
+    const entry = createTarotJournalEntry(tarotState.reading, notes ? notes.value.trim() : '');
+
+    writeTarotJournal([entry].concat(readTarotJournal()).slice(0, TAROT_JOURNAL_LIMIT));
+    renderTarotJournal();
+
+    // One entry per reading: draw again to save another
+    const saveButton = document.getElementById('tarot-save');
+    if (saveButton) {
+        saveButton.disabled = true;
+    }
+
+    showToast('Reading saved to your journal on this device.', { type: 'success' });
+}
+
+/**
+ * Sets up the tarot demo on the Personal Tarot Reader page.
+ * Expected DOM elements:
+ *   - #tarot-demo: Section, hidden until the demo is ready
+ *   - form#tarot-controls: Fields spread (select, filled from the data),
+ *     seed and reversed
+ *   - #tarot-status: Announces each reading
+ *   - #tarot-layout: Visual card layout
+ *   - ol#tarot-reading: Text version of the reading
+ *   - #tarot-notes, #tarot-save, #tarot-export, #tarot-journal-list: Journal
+ */
+function initTarotDemo() {
+    const section = document.getElementById('tarot-demo');
+    const form = document.getElementById('tarot-controls');
+
+    if (!section || !form) {
+        return;
+    }
+
+    fetch(siteUrl(TAROT_DATA_PATH))
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+        })
+        .then(function(data) {
+            if (!data || !Array.isArray(data.major) || !Array.isArray(data.spreads)) {
+                throw new Error('tarot data is incomplete');
+            }
+
+            tarotState.deck = buildTarotDeck(data);
+            tarotState.spreads = data.spreads;
+
+            const select = form.elements.spread;
+            data.spreads.forEach(function(spread) {
+                const option = document.createElement('option');
+                option.value = spread.id;
+                option.textContent = spread.name + ' (' + spread.positions.length +
+                    (spread.positions.length === 1 ? ' card)' : ' cards)');
+                select.appendChild(option);
+            });
+
+            form.addEventListener('submit', function(e) {
+                e.preventDefault();
+                handleTarotDraw(form);
+            });
+
+            const saveButton = document.getElementById('tarot-save');
+            if (saveButton) {
+                saveButton.addEventListener('click', saveTarotReading);
+            }
+
+            const exportButton = document.getElementById('tarot-export');
+            if (exportButton) {
+                exportButton.addEventListener('click', function() {
+                    exportTarotJournal(readTarotJournal(), 'tarot-journal-' + getFileDateStamp() + '.json');
+                });
+            }
+
+            renderTarotJournal();
+            section.hidden = false;
+        })
+        .catch(function(error) {
+            console.warn('Failed to load tarot demo:', error.message);
+        });
+}
+
+// ============================================================================
+// COLORING DEMO (COLORING WITH FRIENDS)
+// ============================================================================
+
+/**
+ * Line-art pages offered in the demo. src is relative to the site root; each
+ * SVG is drawn at the canvas size (800x600) with a transparent background.
+ */
+const COLORING_PAGES = [
+    { id: 'bloom', name: 'Bloom (mandala)', src: 'images/coloring/bloom.svg' },
+    { id: 'skyline', name: 'Skyline', src: 'images/coloring/skyline.svg' }
+];
+
+/**
+ * Palette swatches, in display order.
+ */
+const COLORING_PALETTE = [
+    { name: 'Ink', value: '#1a1a1a' },
+    { name: 'Studio blue', value: '#007acc' },
+    { name: 'Sky', value: '#7cc4ff' },
+    { name: 'Teal', value: '#1abc9c' },
+    { name: 'Leaf', value: '#6ab04c' },
+    { name: 'Sun', value: '#f9ca24' },
+    { name: 'Amber', value: '#f0932b' },
+    { name: 'Coral', value: '#eb4d4b' },
+    { name: 'Rose', value: '#e884b6' },
+    { name: 'Violet', value: '#8e6fd8' },
+    { name: 'Sand', value: '#d9c3a5' },
+    { name: 'Paper', value: '#ffffff' }
+];
+
+/**
+ * BroadcastChannel shared by every tab showing the demo.
+ */
+const COLORING_CHANNEL_NAME = 'tkchi-coloring';
+
+/**
+ * How far (per color channel, 0-255) a pixel may differ from the clicked
+ * pixel and still be filled. Lets fills cover anti-aliased brush edges.
+ */
+const COLORING_FILL_TOLERANCE = 48;
+
+/**
+ * Line-art pixels at least this opaque (0-255) stop a flood fill.
+ */
+const COLORING_LINE_ALPHA = 64;
+
+/**
+ * Demo state. The canvas is never edited directly: every change is an
+ * operation in a shared log, and the picture is the result of replaying
+ * that log in order.
+ *   - clientId: Identifies this tab's operations
+ *   - clock: Lamport clock; each new operation gets a clock above every
+ *     operation seen so far
+ *   - seq: Counter for this tab's operation ids
+ *   - ops: Every known operation, sorted by compareColoringOps()
+ *   - opIds: Ids in ops, for de-duplication
+ *   - redoStack: Ids of this tab's operations it has undone, last on top
+ *   - tool, color, size: Current tool ('fill' or 'brush'), color and brush
+ *     size
+ *   - canvas, context: The painted layer (line art is an <img> on top)
+ *   - art: Line art of the page on the canvas ({page, image, mask})
+ *   - artRequests: Line-art load promises by page id
+ *   - renderToken: Incremented by each full redraw, so stale ones stop
+ *   - rendering: True while a full redraw waits for line art
+ *   - stroke: The brush stroke being drawn, or null
+ *   - channel: BroadcastChannel, or null when unsupported
+ *   - peers: Other tabs seen on the channel, by client id
+ */
+const coloringState = {
+    clientId: '',
+    clock: 0,
+    seq: 0,
+    ops: [],
+    opIds: {},
+    redoStack: [],
+    tool: 'fill',
+    color: COLORING_PALETTE[1].value,
+    size: 12,
+    canvas: null,
+    context: null,
+    art: null,
+    artRequests: {},
+    renderToken: 0,
+    rendering: false,
+    stroke: null,
+    channel: null,
+    peers: {}
+};
+
+// ----------------------------------------------------------------------------
+// Operation log
+//
+// Operations are {id, clientId, clock, type, ...}:
+//   - {type: 'page', page}: Start over on a line-art page
+//   - {type: 'stroke', color, size, points}: Brush stroke; points is a flat
+//     [x1, y1, x2, y2, ...] list in canvas pixels
+//   - {type: 'fill', color, x, y}: Flood fill from a point
+//   - {type: 'undo' | 'redo', target}: Hide or restore a stroke or fill
+//
+// Every tab sorts the log by (clock, clientId), so tabs that have seen the
+// same operations always replay them in the same order and draw the same
+// picture, even when two people painted at the same moment.
+// ----------------------------------------------------------------------------
+
+/**
+ * Sort order of the operation log.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareColoringOps(a, b) {
+    if (a.clock !== b.clock) {
+        return a.clock - b.clock;
+    }
+    if (a.clientId !== b.clientId) {
+        return a.clientId < b.clientId ? -1 : 1;
+    }
+    return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+}
+
+/**
+ * Whether an operation changes pixels (and so can be undone).
+ *
+ * @param {Object} op
+ * @returns {boolean}
+ */
+function isColoringPaintOp(op) {
+    return op.type === 'stroke' || op.type === 'fill';
+}
+
+/**
+ * Checks the shape of an operation received from another tab.
+ *
+ * @param {*} op
+ * @returns {boolean}
+ */
+function isValidColoringOp(op) {
+    if (!op || typeof op.id !== 'string' || typeof op.clientId !== 'string' ||
+        typeof op.clock !== 'number' || !isFinite(op.clock)) {
+        return false;
+    }
+
+    switch (op.type) {
+        case 'page':
+            return COLORING_PAGES.some(function(page) {
+                return page.id === op.page;
+            });
+        case 'stroke':
+            return typeof op.color === 'string' && typeof op.size === 'number' &&
+                Array.isArray(op.points) && op.points.length >= 2;
+        case 'fill':
+            return typeof op.color === 'string' && typeof op.x === 'number' && typeof op.y === 'number';
+        case 'undo':
+        case 'redo':
+            return typeof op.target === 'string';
+        default:
+            return false;
+    }
+}
+
+/**
+ * Works out what the log currently shows: the page from the latest 'page'
+ * operation, and the strokes and fills after it that are not undone.
+ *
+ * @returns {{page: string, ops: Array<Object>}}
+ */
+function getColoringView() {
+    const undone = {};
+    let pageIndex = -1;
+
+    coloringState.ops.forEach(function(op, index) {
+        if (op.type === 'page') {
+            pageIndex = index;
+        } else if (op.type === 'undo') {
+            undone[op.target] = true;
+        } else if (op.type === 'redo') {
+            undone[op.target] = false;
+        }
+    });
+
+    return {
+        page: pageIndex === -1 ? COLORING_PAGES[0].id : coloringState.ops[pageIndex].page,
+        ops: coloringState.ops.slice(pageIndex + 1).filter(function(op) {
+            return isColoringPaintOp(op) && !undone[op.id];
+        })
+    };
+}
+
+/**
+ * Adds operations to the log, skipping ones already known, and redraws.
+ * An operation that lands at the end of the log is painted straight onto
+ * the canvas; anything that changes history (an earlier operation, an undo,
+ * a page change) replays the whole log.
+ *
+ * @param {Array<Object>} ops - Operations, from this tab or another
+ * @param {boolean} [alreadyDrawn=false] - The single op is on the canvas
+ *     already (a brush stroke drawn while the pointer moved)
+ */
+function mergeColoringOps(ops, alreadyDrawn) {
+    const added = [];
+
+    ops.forEach(function(op) {
+        if (!isValidColoringOp(op) || coloringState.opIds[op.id]) {
+            return;
+        }
+
+        let index = coloringState.ops.length;
+        while (index > 0 && compareColoringOps(coloringState.ops[index - 1], op) > 0) {
+            index--;
+        }
+
+        coloringState.ops.splice(index, 0, op);
+        coloringState.opIds[op.id] = true;
+        coloringState.clock = Math.max(coloringState.clock, op.clock);
+        added.push(op);
+    });
+
+    if (added.length === 0) {
+        return;
+    }
+
+    const op = added[0];
+    const appended = added.length === 1 && coloringState.ops[coloringState.ops.length - 1] === op;
+
+    if (appended && isColoringPaintOp(op) && !coloringState.rendering && coloringState.art &&
+        coloringState.art.page === getColoringView().page) {
+        if (!alreadyDrawn) {
+            applyColoringOp(op);
+        }
+        updateColoringControls();
+    } else {
+        renderColoring();
+    }
+}
+
+/**
+ * Creates an operation from this tab, adds it to the log and sends it to
+ * the other tabs.
+ *
+ * @param {Object} op - Operation fields (type and its data)
+ * @param {boolean} [alreadyDrawn=false] - See mergeColoringOps()
+ */
+function commitColoringOp(op, alreadyDrawn) {
+    coloringState.clock += 1;
+    coloringState.seq += 1;
+
+    op.id = coloringState.clientId + ':' + coloringState.seq;
+    op.clientId = coloringState.clientId;
+    op.clock = coloringState.clock;
+
+    if (isColoringPaintOp(op) || op.type === 'page') {
+        coloringState.redoStack = [];
+    }
+
+    mergeColoringOps([op], alreadyDrawn);
+
+    if (coloringState.channel) {
+        coloringState.channel.postMessage({ type: 'op', op: op });
+    }
+}
+
+/**
+ * Undoes this tab's latest visible stroke or fill. Each tab undoes only its
+ * own work, so one person cannot undo another's.
+ */
+function undoColoring() {
+    const ownOps = getColoringView().ops.filter(function(op) {
+        return op.clientId === coloringState.clientId;
+    });
+    const target = ownOps[ownOps.length - 1];
+
+    if (!target) {
+        return;
+    }
+
+    commitColoringOp({ type: 'undo', target: target.id });
+    coloringState.redoStack.push(target.id);
+    updateColoringControls();
+}
+
+/**
+ * Restores the stroke or fill most recently undone in this tab.
+ */
+function redoColoring() {
+    const target = coloringState.redoStack.pop();
+
+    if (!target) {
+        return;
+    }
+
+    commitColoringOp({ type: 'redo', target: target });
+    updateColoringControls();
+}
+
+// ----------------------------------------------------------------------------
+// Drawing
+// ----------------------------------------------------------------------------
+
+/**
+ * Loads a page's line art and builds its fill mask (1 for line pixels).
+ * Each page is loaded once.
+ *
+ * @param {string} pageId
+ * @returns {Promise<{page: string, image: HTMLImageElement, mask: Uint8Array}>}
+ */
+function loadColoringArt(pageId) {
+    if (coloringState.artRequests[pageId]) {
+        return coloringState.artRequests[pageId];
+    }
+
+    const page = COLORING_PAGES.find(function(entry) {
+        return entry.id === pageId;
+    });
+
+    coloringState.artRequests[pageId] = new Promise(function(resolve, reject) {
+        const image = new Image();
+
+        image.onload = function() {
+            const canvas = coloringState.canvas;
+            const scratch = document.createElement('canvas');
+            scratch.width = canvas.width;
+            scratch.height = canvas.height;
+
+            const context = scratch.getContext('2d');
+            context.drawImage(image, 0, 0, scratch.width, scratch.height);
+
+            const pixels = context.getImageData(0, 0, scratch.width, scratch.height).data;
+            const mask = new Uint8Array(scratch.width * scratch.height);
+            for (let i = 0; i < mask.length; i++) {
+                mask[i] = pixels[i * 4 + 3] >= COLORING_LINE_ALPHA ? 1 : 0;
+            }
+
+            resolve({ page: pageId, image: image, mask: mask });
+        };
+
+        image.onerror = function() {
+            reject(new Error('could not load ' + page.src));
+        };
+
+        image.src = siteUrl(page.src);
+    });
+
+    // Allow a retry after a failed load
+    coloringState.artRequests[pageId].catch(function() {
+        delete coloringState.artRequests[pageId];
+    });
+
+    return coloringState.artRequests[pageId];
+}
+
+/**
+ * Parses a #rrggbb color into [r, g, b].
+ *
+ * @param {string} color
+ * @returns {Array<number>}
+ */
+function parseHexColor(color) {
+    const match = /^#([0-9a-f]{6})$/i.exec(color);
+    const value = match ? parseInt(match[1], 16) : 0;
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Draws a brush stroke (or part of one) on the canvas.
+ *
+ * @param {Object} stroke - {color, size, points}
+ * @param {number} [from=0] - Index in points of the x to draw from
+ */
+function drawColoringStroke(stroke, from) {
+    const context = coloringState.context;
+    const points = stroke.points;
+    const start = from || 0;
+
+    context.strokeStyle = stroke.color;
+    context.fillStyle = stroke.color;
+    context.lineWidth = stroke.size;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+
+    if (points.length === 2) {
+        context.beginPath();
+        context.arc(points[0], points[1], stroke.size / 2, 0, Math.PI * 2);
+        context.fill();
+        return;
+    }
+
+    context.beginPath();
+    context.moveTo(points[start], points[start + 1]);
+    for (let i = start + 2; i < points.length; i += 2) {
+        context.lineTo(points[i], points[i + 1]);
+    }
+    context.stroke();
+}
+
+/**
+ * Flood fills the area around a point, stopping at line art and at colors
+ * that differ from the clicked pixel. Line pixels bordering the area are
+ * painted too, so no pale fringe shows along anti-aliased lines.
+ *
+ * @param {Object} fill - {color, x, y}
+ */
+function floodFillColoring(fill) {
+    const canvas = coloringState.canvas;
+    const context = coloringState.context;
+    const mask = coloringState.art.mask;
+    const width = canvas.width;
+    const height = canvas.height;
+    const x = Math.floor(fill.x);
+    const y = Math.floor(fill.y);
+
+    if (x < 0 || y < 0 || x >= width || y >= height || mask[y * width + x]) {
+        return;
+    }
+
+    const image = context.getImageData(0, 0, width, height);
+    const data = image.data;
+    const start = (y * width + x) * 4;
+    const target = [data[start], data[start + 1], data[start + 2]];
+    const color = parseHexColor(fill.color);
+    const visited = new Uint8Array(width * height);
+    const stack = [y * width + x];
+
+    /**
+     * Whether a pixel is close enough to the clicked color to be filled.
+     */
+    function matches(offset) {
+        return Math.abs(data[offset] - target[0]) <= COLORING_FILL_TOLERANCE &&
+            Math.abs(data[offset + 1] - target[1]) <= COLORING_FILL_TOLERANCE &&
+            Math.abs(data[offset + 2] - target[2]) <= COLORING_FILL_TOLERANCE;
+    }
+
+    while (stack.length > 0) {
+        const index = stack.pop();
+
+        if (visited[index]) {
+            continue;
+        }
+        visited[index] = 1;
+
+        const offset = index * 4;
+        const isLine = mask[index] === 1;
+
+        if (!isLine && !matches(offset)) {
+            continue;
+        }
+
+        data[offset] = color[0];
+        data[offset + 1] = color[1];
+        data[offset + 2] = color[2];
+        data[offset + 3] = 255;
+
+        // Lines are painted but never spread through
+        if (isLine) {
+            continue;
+        }
+
+        const px = index % width;
+        if (px > 0) {
+            stack.push(index - 1);
+        }
+        if (px < width - 1) {
+            stack.push(index + 1);
+        }
+        if (index >= width) {
+            stack.push(index - width);
+        }
+        if (index < width * (height - 1)) {
+            stack.push(index + width);
+        }
+    }
+
+    context.putImageData(image, 0, 0);
+}
+
+/**
+ * Paints one stroke or fill onto the canvas.
+ *
+ * @param {Object} op
+ */
+function applyColoringOp(op) {
+    if (op.type === 'stroke') {
+        drawColoringStroke(op);
+    } else if (op.type === 'fill') {
+        floodFillColoring(op);
+    }
+}
+
+/**
+ * Redraws the canvas from the operation log. Waits for the page's line art
+ * first; if another redraw starts meanwhile, this one is dropped.
+ */
+function renderColoring() {
+    const view = getColoringView();
+    const token = ++coloringState.renderToken;
+
+    coloringState.rendering = true;
+
+    loadColoringArt(view.page).then(function(art) {
+        if (token !== coloringState.renderToken) {
+            return;
+        }
+
+        // The log may have grown while the line art loaded
+        const current = getColoringView();
+        const canvas = coloringState.canvas;
+        const context = coloringState.context;
+
+        coloringState.art = art;
+        coloringState.rendering = false;
+
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        current.ops.forEach(applyColoringOp);
+
+        // Keep a stroke that is still being drawn on screen
+        if (coloringState.stroke) {
+            drawColoringStroke(coloringState.stroke);
+        }
+
+        const lineArt = document.getElementById('coloring-line-art');
+        if (lineArt) {
+            lineArt.src = art.image.src;
+        }
+
+        updateColoringControls();
+    }).catch(function(error) {
+        if (token === coloringState.renderToken) {
+            coloringState.rendering = false;
+            console.warn('Failed to load coloring page:', error.message);
+            showToast('This coloring page could not be loaded.', { type: 'error' });
+        }
+    });
+}
+
+// ----------------------------------------------------------------------------
+// Controls & sync
+// ----------------------------------------------------------------------------
+
+/**
+ * Syncs the toolbar with the current state: page, tool, color and the
+ * undo/redo buttons.
+ */
+function updateColoringControls() {
+    const view = getColoringView();
+
+    const pageSelect = document.getElementById('coloring-page-select');
+    if (pageSelect) {
+        pageSelect.value = view.page;
+    }
+
+    document.querySelectorAll('[data-coloring-tool]').forEach(function(button) {
+        button.setAttribute('aria-pressed', String(button.getAttribute('data-coloring-tool') === coloringState.tool));
+    });
+
+    document.querySelectorAll('.coloring-swatch').forEach(function(swatch) {
+        swatch.setAttribute('aria-pressed', String(swatch.getAttribute('data-color') === coloringState.color));
+    });
+
+    const undoButton = document.getElementById('coloring-undo');
+    if (undoButton) {
+        undoButton.disabled = !view.ops.some(function(op) {
+            return op.clientId === coloringState.clientId;
+        });
+    }
+
+    const redoButton = document.getElementById('coloring-redo');
+    if (redoButton) {
+        redoButton.disabled = coloringState.redoStack.length === 0;
+    }
+}
+
+/**
+ * Shows how many other tabs share the canvas in #coloring-status.
+ */
+function updateColoringStatus() {
+    const status = document.getElementById('coloring-status');
+
+    if (!status) {
+        return;
+    }
+
+    if (!coloringState.channel) {
+        status.textContent = 'Your browser does not support sharing between tabs, so this canvas is yours alone.';
+        return;
+    }
+
+    const peers = Object.keys(coloringState.peers).length;
+
+    if (peers === 0) {
+        status.textContent = 'Only this tab is coloring. Open this page in another tab to color together.';
+    } else {
+        status.textContent = 'Coloring together with ' + peers + ' other ' + (peers === 1 ? 'tab.' : 'tabs.');
+    }
+}
+
+/**
+ * Handles messages from other tabs:
+ *   - {type: 'hello', clientId}: A tab opened; reply with the whole log
+ *   - {type: 'sync', clientId, ops}: Another tab's log
+ *   - {type: 'op', op}: A new operation
+ *   - {type: 'bye', clientId}: A tab closed
+ *
+ * @param {MessageEvent} event
+ */
+function handleColoringMessage(event) {
+    const message = event.data;
+
+    if (!message || typeof message.type !== 'string') {
+        return;
+    }
+
+    switch (message.type) {
+        case 'hello':
+            coloringState.peers[message.clientId] = true;
+            coloringState.channel.postMessage({
+                type: 'sync',
+                clientId: coloringState.clientId,
+                ops: coloringState.ops
+            });
+            updateColoringStatus();
+            break;
+        case 'sync':
+            coloringState.peers[message.clientId] = true;
+            if (Array.isArray(message.ops)) {
+                mergeColoringOps(message.ops);
+            }
+            updateColoringStatus();
+            break;
+        case 'op':
+            mergeColoringOps([message.op]);
+            break;
+        case 'bye':
+            delete coloringState.peers[message.clientId];
+            updateColoringStatus();
+            break;
+    }
+}
+
+/**
+ * Converts a pointer position to canvas pixels.
+ *
+ * @param {PointerEvent} event
+ * @returns {Array<number>} [x, y]
+ */
+function getColoringPoint(event) {
+    const canvas = coloringState.canvas;
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = rect.width ? canvas.width / rect.width : 1;
+    const scaleY = rect.height ? canvas.height / rect.height : 1;
+
+    return [
+        Math.min(canvas.width - 1, Math.max(0, Math.round((event.clientX - rect.left) * scaleX))),
+        Math.min(canvas.height - 1, Math.max(0, Math.round((event.clientY - rect.top) * scaleY)))
+    ];
+}
+
+/**
+ * Starts a brush stroke or applies a fill where the pointer went down.
+ *
+ * @param {PointerEvent} event
+ */
+function handleColoringPointerDown(event) {
+    if (event.button !== 0 || coloringState.rendering) {
+        return;
+    }
+
+    const point = getColoringPoint(event);
+    event.preventDefault();
+
+    if (coloringState.tool === 'fill') {
+        commitColoringOp({ type: 'fill', color: coloringState.color, x: point[0], y: point[1] });
+        return;
+    }
+
+    coloringState.stroke = {
+        color: coloringState.color,
+        size: coloringState.size,
+        points: point
+    };
+
+    if (coloringState.canvas.setPointerCapture) {
+        coloringState.canvas.setPointerCapture(event.pointerId);
+    }
+
+    drawColoringStroke(coloringState.stroke);
+}
+
+/**
+ * Extends the current brush stroke.
+ *
+ * @param {PointerEvent} event
+ */
+function handleColoringPointerMove(event) {
+    const stroke = coloringState.stroke;
+
+    if (!stroke) {
+        return;
+    }
+
+    const point = getColoringPoint(event);
+    const last = stroke.points.length - 2;
+
+    if (point[0] === stroke.points[last] && point[1] === stroke.points[last + 1]) {
+        return;
+    }
+
+    stroke.points.push(point[0], point[1]);
+    drawColoringStroke(stroke, last);
+}
+
+/**
+ * Finishes the brush stroke and shares it.
+ */
+function handleColoringPointerUp() {
+    const stroke = coloringState.stroke;
+
+    if (!stroke) {
+        return;
+    }
+
+    coloringState.stroke = null;
+    commitColoringOp({
+        type: 'stroke',
+        color: stroke.color,
+        size: stroke.size,
+        points: stroke.points
+    }, true);
+}
+
+/**
+ * Starts over on a page (the same one to clear it) for every tab, after
+ * confirmation if there is work on the canvas.
+ *
+ * @param {string} pageId
+ */
+function startColoringPage(pageId) {
+    const hasWork = getColoringView().ops.length > 0;
+    const confirmation = hasWork ? showConfirmDialog({
+        title: 'Start over?',
+        message: 'The current coloring will be cleared in every tab sharing this canvas. Export it first to keep a copy.',
+        confirmLabel: 'Start Over',
+        destructive: true
+    }) : Promise.resolve(true);
+
+    confirmation.then(function(confirmed) {
+        if (confirmed) {
+            commitColoringOp({ type: 'page', page: pageId });
+        } else {
+            updateColoringControls();
+        }
+    });
+}
+
+/**
+ * Returns a file name for an export, e.g. coloring-bloom-2026-10-19.png.
+ *
+ * @param {string} extension
+ * @returns {string}
+ */
+function getColoringFileName(extension) {
+    return 'coloring-' + getColoringView().page + '-' + getFileDateStamp() + '.' + extension;
+}
+
+/**
+ * Exports the colored page, line art included, as a PNG.
+ */
+function exportColoringPng() {
+    const canvas = coloringState.canvas;
+    const art = coloringState.art;
+
+    if (!art || coloringState.rendering) {
+        return;
+    }
+
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height;
+
+    const context = output.getContext('2d');
+    context.drawImage(canvas, 0, 0);
+    context.drawImage(art.image, 0, 0, output.width, output.height);
+
+    output.toBlob(function(blob) {
+        if (blob) {
+            downloadBlob(getColoringFileName('png'), blob);
+        }
+    }, 'image/png');
+}
+
+/**
+ * Exports the colored page as an SVG: the coloring as an embedded image,
+ * with the original vector line art on top.
+ */
+function exportColoringSvg() {
+    const art = coloringState.art;
+    const canvas = coloringState.canvas;
+
+    if (!art || coloringState.rendering) {
+        return;
+    }
+
+    const page = COLORING_PAGES.find(function(entry) {
+        return entry.id === art.page;
+    });
+    const paint = canvas.toDataURL('image/png');
+
+    fetch(siteUrl(page.src))
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.text();
+        })
+        .then(function(source) {
+            const svgNs = 'http://www.w3.org/2000/svg';
+            const lineArt = new DOMParser().parseFromString(source, 'image/svg+xml').documentElement;
+
+            if (!lineArt || lineArt.nodeName !== 'svg') {
+                throw new Error('line art is not an SVG document');
+            }
+
+            const svg = document.createElementNS(svgNs, 'svg');
+            svg.setAttribute('width', String(canvas.width));
+            svg.setAttribute('height', String(canvas.height));
+            svg.setAttribute('viewBox', '0 0 ' + canvas.width + ' ' + canvas.height);
+
+            const title = document.createElementNS(svgNs, 'title');
+            title.textContent = page.name + ', colored with TKChi Art Studio';
+            svg.appendChild(title);
+
+            const image = document.createElementNS(svgNs, 'image');
+            image.setAttribute('href', paint);
+            image.setAttribute('width', String(canvas.width));
+            image.setAttribute('height', String(canvas.height));
+            svg.appendChild(image);
+
+            svg.appendChild(document.importNode(lineArt, true));
+
+            const markup = new XMLSerializer().serializeToString(svg);
+            downloadBlob(getColoringFileName('svg'), new Blob([markup], { type: 'image/svg+xml' }));
+        })
+        .catch(function(error) {
+            console.warn('Failed to export SVG:', error.message);
+            showToast('The SVG could not be created. Try the PNG export instead.', { type: 'error' });
+        });
+}
+
+/**
+ * Builds the palette swatches and the custom color picker.
+ *
+ * @param {HTMLElement} palette - #coloring-palette
+ */
+function renderColoringPalette(palette) {
+    COLORING_PALETTE.forEach(function(color) {
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
+        swatch.className = 'coloring-swatch';
+        swatch.style.backgroundColor = color.value;
+        swatch.setAttribute('data-color', color.value);
+        swatch.setAttribute('aria-label', color.name);
+        swatch.setAttribute('aria-pressed', 'false');
+        palette.appendChild(swatch);
+    });
+
+    const custom = document.createElement('label');
+    custom.className = 'coloring-custom-color';
+
+    const customInput = document.createElement('input');
+    customInput.type = 'color';
+    customInput.id = 'coloring-custom-color';
+    customInput.value = coloringState.color;
+
+    custom.appendChild(customInput);
+    custom.appendChild(document.createTextNode(' Custom'));
+    palette.appendChild(custom);
+
+    palette.addEventListener('click', function(event) {
+        const swatch = event.target.closest('.coloring-swatch');
+        if (swatch) {
+            coloringState.color = swatch.getAttribute('data-color');
+            updateColoringControls();
+        }
+    });
+
+    customInput.addEventListener('input', function() {
+        coloringState.color = customInput.value;
+        updateColoringControls();
+    });
+}
+
+/**
+ * Sets up the coloring demo on the Coloring With Friends page.
+ * Expected DOM elements:
+ *   - #coloring-demo: Section, hidden until the canvas is ready
+ *   - canvas#coloring-canvas, img#coloring-line-art: Painted layer and the
+ *     line art shown over it
+ *   - #coloring-page-select, [data-coloring-tool], #coloring-brush-size,
+ *     #coloring-palette, #coloring-undo, #coloring-redo, #coloring-clear:
+ *     Toolbar
+ *   - #coloring-export-png, #coloring-export-svg: Export buttons
+ *   - #coloring-status: Shows whether other tabs are connected
+ */
+function initColoringDemo() {
+    const section = document.getElementById('coloring-demo');
+    const canvas = document.getElementById('coloring-canvas');
+
+    if (!section || !canvas) {
+        return;
+    }
+
+    const context = canvas.getContext && canvas.getContext('2d');
+
+    if (!context) {
+        console.warn('Canvas is not supported; the coloring demo is unavailable');
+        return;
+    }
+
+    coloringState.canvas = canvas;
+    coloringState.context = context;
+    coloringState.clientId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+    const pageSelect = document.getElementById('coloring-page-select');
+    if (pageSelect) {
+        COLORING_PAGES.forEach(function(page) {
+            const option = document.createElement('option');
+            option.value = page.id;
+            option.textContent = page.name;
+            pageSelect.appendChild(option);
+        });
+
+        pageSelect.addEventListener('change', function() {
+            startColoringPage(pageSelect.value);
+        });
+    }
+
+    document.querySelectorAll('[data-coloring-tool]').forEach(function(button) {
+        button.addEventListener('click', function() {
+            coloringState.tool = button.getAttribute('data-coloring-tool');
+            updateColoringControls();
+        });
+    });
+
+    const sizeInput = document.getElementById('coloring-brush-size');
+    if (sizeInput) {
+        coloringState.size = Number(sizeInput.value) || coloringState.size;
+        sizeInput.addEventListener('input', function() {
+            coloringState.size = Number(sizeInput.value) || coloringState.size;
+        });
+    }
+
+    const palette = document.getElementById('coloring-palette');
+    if (palette) {
+        renderColoringPalette(palette);
+    }
+
+    const buttons = {
+        'coloring-undo': undoColoring,
+        'coloring-redo': redoColoring,
+        'coloring-clear': function() {
+            startColoringPage(getColoringView().page);
+        },
+        'coloring-export-png': exportColoringPng,
+        'coloring-export-svg': exportColoringSvg
+    };
+
+    Object.keys(buttons).forEach(function(id) {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', buttons[id]);
+        }
+    });
+
+    canvas.addEventListener('pointerdown', handleColoringPointerDown);
+    canvas.addEventListener('pointermove', handleColoringPointerMove);
+    canvas.addEventListener('pointerup', handleColoringPointerUp);
+    canvas.addEventListener('pointercancel', handleColoringPointerUp);
+
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+    section.addEventListener('keydown', function(event) {
+        if (!(event.ctrlKey || event.metaKey)) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undoColoring();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            redoColoring();
+        }
+    });
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        coloringState.channel = new BroadcastChannel(COLORING_CHANNEL_NAME);
+        coloringState.channel.addEventListener('message', handleColoringMessage);
+        coloringState.channel.postMessage({ type: 'hello', clientId: coloringState.clientId });
+
+        window.addEventListener('pagehide', function() {
+            coloringState.channel.postMessage({ type: 'bye', clientId: coloringState.clientId });
+        });
+    }
+
+    section.hidden = false;
+    updateColoringStatus();
+    renderColoring();
+}
+
+// ============================================================================
+// THEME
+// ============================================================================
+
+/**
+ * localStorage key for an explicit theme choice. No key means "follow the
+ * system". Must match js/theme-init.js, which applies the theme before first
+ * paint.
+ */
+const THEME_STORAGE_KEY = 'artStudioTheme';
+
+registerSiteData({
+    key: THEME_STORAGE_KEY,
+    label: 'Theme',
+    description: 'The color theme you picked in the header.',
+    category: 'preferences',
+    onErase: function() {
+        const select = document.getElementById('theme-select');
+        applyTheme('system');
+        if (select) {
+            select.value = 'system';
+        }
+    }
+});
+
+/**
+ * Choices offered by the theme switcher. 'system' follows
+ * prefers-contrast / prefers-color-scheme; the others match the
+ * :root[data-theme] blocks in style.css.
+ */
+const THEME_OPTIONS = [
+    { id: 'system', label: 'System theme' },
+    { id: 'dark', label: 'Dark' },
+    { id: 'light', label: 'Light' },
+    { id: 'high-contrast', label: 'High contrast' }
+];
+
+/**
+ * Returns the theme that matches the visitor's system settings.
+ * @returns {string} 'high-contrast', 'light' or 'dark'
+ */
+function getSystemTheme() {
+    if (window.matchMedia('(prefers-contrast: more)').matches) {
+        return 'high-contrast';
+    }
+
+    return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+}
+
+/**
+ * Returns the saved theme choice, or 'system' if there is none.
+ * @returns {string} One of the THEME_OPTIONS ids
+ */
+function getThemePreference() {
+    const stored = readStorage(THEME_STORAGE_KEY);
+
+    const known = THEME_OPTIONS.some(function(option) {
+        return option.id === stored && option.id !== 'system';
+    });
+
+    return known ? stored : 'system';
+}
+
+/**
+ * Applies a theme choice to the page.
+ * @param {string} preference - One of the THEME_OPTIONS ids
+ */
+function applyTheme(preference) {
+    document.documentElement.setAttribute('data-theme', preference === 'system' ? getSystemTheme() : preference);
+}
+
+/**
+ * Saves and applies a theme choice. Choosing 'system' forgets the saved
+ * choice so the site follows the system settings again.
+ *
+ * @param {string} preference - One of the THEME_OPTIONS ids
+ */
+function setThemePreference(preference) {
+    if (preference === 'system') {
+        removeStorage(THEME_STORAGE_KEY);
+    } else {
+        writeStorage(THEME_STORAGE_KEY, preference);
+    }
+
+    applyTheme(preference);
+}
+
+/**
+ * Builds the theme switcher shown in the site header.
+ * @returns {HTMLElement} div.theme-switcher containing select#theme-select
+ */
+function createThemeSwitcher() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'theme-switcher';
+
+    const label = document.createElement('label');
+    label.className = 'visually-hidden';
+    label.setAttribute('for', 'theme-select');
+    label.textContent = 'Theme';
+    wrapper.appendChild(label);
+
+    const select = document.createElement('select');
+    select.id = 'theme-select';
+    select.className = 'theme-select';
+
+    THEME_OPTIONS.forEach(function(option) {
+        const element = document.createElement('option');
+        element.value = option.id;
+        element.textContent = option.label;
+        select.appendChild(element);
+    });
+
+    wrapper.appendChild(select);
+    return wrapper;
+}
+
+/**
+ * Connects #theme-select and keeps the theme in step with system setting
+ * changes (while following the system) and with choices made in other tabs.
+ */
+function initThemeSwitcher() {
+    const select = document.getElementById('theme-select');
+    const preference = getThemePreference();
+
+    // Re-apply in case theme-init.js could not read storage
+    applyTheme(preference);
+
+    if (select) {
+        select.value = preference;
+        select.addEventListener('change', function() {
+            setThemePreference(select.value);
+        });
+    }
+
+    function followSystem() {
+        if (getThemePreference() === 'system') {
+            applyTheme('system');
+        }
+    }
+
+    ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach(function(query) {
+        const mediaQuery = window.matchMedia(query);
+        if (typeof mediaQuery.addEventListener === 'function') {
+            mediaQuery.addEventListener('change', followSystem);
+        } else if (typeof mediaQuery.addListener === 'function') {
+            mediaQuery.addListener(followSystem);
+        }
+    });
+
+    window.addEventListener('storage', function(event) {
+        if (event.key === THEME_STORAGE_KEY) {
+            const current = getThemePreference();
+            applyTheme(current);
+            if (select) {
+                select.value = current;
+            }
+        }
+    });
+}
+
+// ============================================================================
+// SITE SEARCH
+// ============================================================================
+
+/**
+ * Path of the search index, relative to the site root. The index is built
+ * ahead of time by tools/build-search-index.js and holds
+ * {version, entries: [...]}, where each entry is
+ * {section, title, description, url, keywords, page?, text?}. url is
+ * root-relative; legal entries link to a heading (legal/<page>.html#<id>),
+ * name their page in page and carry the heading's full text in text.
+ */
+const SEARCH_INDEX_PATH = 'data/search-index.json';
+
+/**
+ * Result groups, in display order. Entries name their group in section.
+ */
+const SEARCH_SECTIONS = [
+    { id: 'artworks', label: 'Artworks' },
+    { id: 'products', label: 'Products' },
+    { id: 'apps', label: 'Apps' },
+    { id: 'legal', label: 'Legal & Privacy' }
+];
+
+/**
+ * Score for a query word found in each field of an entry. Each word counts
+ * once, in the best field it appears in.
+ */
+const SEARCH_FIELD_WEIGHTS = {
+    title: 8,
+    keywords: 4,
+    description: 2,
+    text: 1
+};
+
+/**
+ * Most results shown in each group.
+ */
+const MAX_SEARCH_RESULTS_PER_SECTION = 5;
+
+/**
+ * Shortest query that is searched, in characters.
+ */
+const MIN_SEARCH_QUERY_LENGTH = 2;
+
+/**
+ * Characters of context kept around a match when a legal result's snippet
+ * comes from the heading's text rather than its description.
+ */
+const SEARCH_SNIPPET_CONTEXT = 60;
+
+/**
+ * Common words left out of queries, so natural questions such as
+ * "how do I delete my data" match on the words that matter.
+ */
+const SEARCH_STOP_WORDS = [
+    'a', 'an', 'and', 'are', 'at', 'be', 'can', 'do', 'does', 'for', 'from',
+    'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'the',
+    'to', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you',
+    'your'
+];
+
+/**
+ * Loaded index entries, each with their fields split into word stems
+ * ({entry, order, words: {title, keywords, description, text}}), or null
+ * until loadSearchIndex() succeeds.
+ */
+let searchDocuments = null;
+
+/**
+ * Pending or settled index request, shared by every caller of loadSearchIndex().
+ */
+let searchIndexRequest = null;
+
+/**
+ * Reduces a lowercase word to a rough stem, so that 'delete', 'deleting',
+ * 'deleted' and 'deletion' all match one another.
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+function stemSearchWord(word) {
+    if (word.length > 4 && /ies$/.test(word)) {
+        return word.slice(0, -3) + 'y';
+    }
+
+    const suffixes = ['ing', 'ion', 'ed', 'es', 's', 'e'];
+
+    for (let i = 0; i < suffixes.length; i++) {
+        const suffix = suffixes[i];
+        if (word.length - suffix.length >= 3 && word.slice(-suffix.length) === suffix) {
+            return word.slice(0, -suffix.length);
+        }
+    }
+
+    return word;
+}
+
+/**
+ * Splits text into lowercase word stems.
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function getSearchStems(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9À-ɏ]+/g) || []).map(stemSearchWord);
+}
+
+/**
+ * Turns a query into the stems that are searched for, leaving out
+ * SEARCH_STOP_WORDS. A query made only of common words is searched as typed.
+ *
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+function getSearchTerms(query) {
+    const words = String(query || '').toLowerCase().match(/[a-z0-9À-ɏ]+/g) || [];
+    const kept = words.filter(function(word) {
+        return SEARCH_STOP_WORDS.indexOf(word) === -1;
+    });
+
+    return (kept.length ? kept : words).map(stemSearchWord);
+}
+
+/**
+ * Returns true if a word stem matches one of the query's stems. Query stems
+ * match the start of a word, so results appear while a word is being typed.
+ *
+ * @param {string} stem - Stem of a word in the index
+ * @param {Array<string>} terms - Stems of the query's words
+ * @returns {boolean}
+ */
+function matchesSearchTerm(stem, terms) {
+    return terms.some(function(term) {
+        return stem.indexOf(term) === 0;
+    });
+}
+
+/**
+ * Fetches the search index once per page.
+ * Resolves with the prepared entries, or with null if the index could not be
+ * loaded (for example when the site is opened straight from the file system).
+ *
+ * @returns {Promise<Array<Object>|null>}
+ */
+function loadSearchIndex() {
+    if (searchIndexRequest) {
+        return searchIndexRequest;
+    }
+
+    searchIndexRequest = fetch(siteUrl(SEARCH_INDEX_PATH))
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+        })
+        .then(function(data) {
+            if (!data || !Array.isArray(data.entries)) {
+                throw new Error('search index has no entries array');
+            }
+
+            searchDocuments = data.entries.filter(function(entry) {
+                return entry && typeof entry.title === 'string' && typeof entry.url === 'string';
+            }).map(function(entry, order) {
+                return {
+                    entry: entry,
+                    order: order,
+                    words: {
+                        title: getSearchStems(entry.title),
+                        keywords: getSearchStems((entry.keywords || []).join(' ')),
+                        description: getSearchStems(entry.description),
+                        text: getSearchStems(entry.text)
+                    }
+                };
+            });
+            return searchDocuments;
+        })
+        .catch(function(error) {
+            console.warn('Failed to load search index:', error.message);
+            searchDocuments = null;
+            return null;
+        });
+
+    return searchIndexRequest;
+}
+
+/**
+ * Scores one entry against a query. Every query term must appear somewhere
+ * in the entry; titles count for more than keywords, descriptions and text,
+ * and titles containing the whole query get a bonus.
+ *
+ * @param {Object} prepared - Entry from searchDocuments
+ * @param {Array<string>} terms - Stems of the query's words
+ * @param {string} phrase - The whole query, lowercased
+ * @returns {number} Score, or 0 if the entry does not match
+ */
+function scoreSearchDocument(prepared, terms, phrase) {
+    let score = 0;
+
+    for (let i = 0; i < terms.length; i++) {
+        let best = 0;
+
+        Object.keys(SEARCH_FIELD_WEIGHTS).forEach(function(field) {
+            const found = prepared.words[field].some(function(stem) {
+                return stem.indexOf(terms[i]) === 0;
+            });
+            if (found) {
+                best = Math.max(best, SEARCH_FIELD_WEIGHTS[field]);
+            }
+        });
+
+        if (!best) {
+            return 0;
+        }
+        score += best;
+    }
+
+    if (prepared.entry.title.toLowerCase().indexOf(phrase) !== -1) {
+        score += SEARCH_FIELD_WEIGHTS.title;
+    }
+
+    return score;
+}
+
+/**
+ * Searches the loaded index.
+ *
+ * @param {string} query - Text typed by the visitor
+ * @returns {Array<Object>} Groups in SEARCH_SECTIONS order, each
+ *   {section, label, results: [entry, ...]}, best match first; groups
+ *   without results are left out
+ */
+function searchSite(query) {
+    const phrase = query.trim().toLowerCase().replace(/\s+/g, ' ');
+    const terms = getSearchTerms(phrase);
+
+    if (!searchDocuments || terms.length === 0) {
+        return [];
+    }
+
+    const scored = searchDocuments.map(function(prepared) {
+        return { prepared: prepared, score: scoreSearchDocument(prepared, terms, phrase) };
+    }).filter(function(result) {
+        return result.score > 0;
+    }).sort(function(a, b) {
+        return b.score - a.score || a.prepared.order - b.prepared.order;
+    });
+
+    return SEARCH_SECTIONS.map(function(section) {
+        return {
+            section: section.id,
+            label: section.label,
+            results: scored.filter(function(result) {
+                return result.prepared.entry.section === section.id;
+            }).slice(0, MAX_SEARCH_RESULTS_PER_SECTION).map(function(result) {
+                return result.prepared.entry;
+            })
+        };
+    }).filter(function(group) {
+        return group.results.length > 0;
+    });
+}
+
+/**
+ * Builds text with the words that match the query wrapped in <mark>.
+ *
+ * @param {string} text
+ * @param {Array<string>} terms - Stems of the query's words
+ * @returns {DocumentFragment}
+ */
+function createHighlightedText(text, terms) {
+    const fragment = document.createDocumentFragment();
+    const wordPattern = /[A-Za-z0-9À-ɏ]+/g;
+    let last = 0;
+    let match;
+
+    while ((match = wordPattern.exec(text)) !== null) {
+        if (!matchesSearchTerm(stemSearchWord(match[0].toLowerCase()), terms)) {
+            continue;
+        }
+
+        if (match.index > last) {
+            fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+        }
+
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        fragment.appendChild(mark);
+        last = match.index + match[0].length;
+    }
+
+    if (last < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+    }
+
+    return fragment;
+}
+
+/**
+ * Picks the text shown under a result's title: its description, or for
+ * legal headings whose description misses the query, the part of the
+ * heading's text around the first match.
+ *
+ * @param {Object} entry - Search index entry
+ * @param {Array<string>} terms - Stems of the query's words
+ * @returns {string}
+ */
+function getSearchSnippet(entry, terms) {
+    const description = entry.description || '';
+
+    if (!entry.text || getSearchStems(description).some(function(stem) {
+        return matchesSearchTerm(stem, terms);
+    })) {
+        return description;
+    }
+
+    const wordPattern = /[A-Za-z0-9À-ɏ]+/g;
+    let match;
+
+    while ((match = wordPattern.exec(entry.text)) !== null) {
+        if (matchesSearchTerm(stemSearchWord(match[0].toLowerCase()), terms)) {
+            const start = Math.max(0, entry.text.lastIndexOf(' ', Math.max(0, match.index - SEARCH_SNIPPET_CONTEXT)));
+            const end = entry.text.indexOf(' ', match.index + match[0].length + SEARCH_SNIPPET_CONTEXT);
+
+            return (start > 0 ? '…' : '') +
+                entry.text.slice(start, end === -1 ? entry.text.length : end).trim() +
+                (end === -1 ? '' : '…');
+        }
+    }
+
+    return description;
+}
+
+/**
+ * Builds one result option.
+ *
+ * @param {Object} entry - Search index entry
+ * @param {Array<string>} terms - Stems of the query's words
+ * @param {number} index - Position among all shown results, for the id
+ * @returns {HTMLElement} a.site-search-result[role=option]
+ */
+function createSearchResult(entry, terms, index) {
+    const link = document.createElement('a');
+    link.className = 'site-search-result';
+    link.id = 'site-search-option-' + index;
+    link.href = siteRelativeUrl(entry.url);
+    link.setAttribute('role', 'option');
+    link.setAttribute('aria-selected', 'false');
+    link.tabIndex = -1;
+
+    const title = document.createElement('span');
+    title.className = 'site-search-result-title';
+    title.appendChild(createHighlightedText(entry.title, terms));
+    link.appendChild(title);
+
+    if (entry.page) {
+        const page = document.createElement('span');
+        page.className = 'site-search-result-page';
+        page.textContent = entry.page;
+        link.appendChild(page);
+    }
+
+    const snippet = getSearchSnippet(entry, terms);
+    if (snippet) {
+        const text = document.createElement('span');
+        text.className = 'site-search-result-text';
+        text.appendChild(createHighlightedText(snippet, terms));
+        link.appendChild(text);
+    }
+
+    return link;
+}
+
+/**
+ * Builds the site search box shown in the site header.
+ * @returns {HTMLElement} form.site-search containing input#site-search-input
+ *   and the listbox #site-search-results
+ */
+function createSiteSearch() {
+    const form = document.createElement('form');
+    form.className = 'site-search';
+    form.setAttribute('role', 'search');
+
+    const label = document.createElement('label');
+    label.className = 'visually-hidden';
+    label.setAttribute('for', 'site-search-input');
+    label.textContent = 'Search the site';
+    form.appendChild(label);
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.id = 'site-search-input';
+    input.className = 'site-search-input';
+    input.placeholder = 'Search';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', 'site-search-results');
+    form.appendChild(input);
+
+    const results = document.createElement('div');
+    results.id = 'site-search-results';
+    results.className = 'site-search-results';
+    results.setAttribute('role', 'listbox');
+    results.setAttribute('aria-label', 'Search results');
+    results.hidden = true;
+    form.appendChild(results);
+
+    const status = document.createElement('p');
+    status.id = 'site-search-status';
+    status.className = 'visually-hidden';
+    status.setAttribute('role', 'status');
+    form.appendChild(status);
+
+    return form;
+}
+
+/**
+ * Connects the header search box.
+ * Expected DOM elements (from createSiteSearch()):
+ *   - #site-search-input: Combobox the visitor types into
+ *   - #site-search-results: Listbox filled with grouped results
+ *   - #site-search-status: Announces the number of results
+ *
+ * The index is fetched the first time the box is focused. Up and Down move
+ * through the results, Enter opens the highlighted (or first) result and
+ * Escape closes the results, then clears the box.
+ */
+function initSiteSearch() {
+    const input = document.getElementById('site-search-input');
+    const results = document.getElementById('site-search-results');
+    const status = document.getElementById('site-search-status');
+
+    if (!input || !results) {
+        return;
+    }
+
+    const form = input.form;
+    let activeIndex = -1;
+
+    function getOptions() {
+        return Array.prototype.slice.call(results.querySelectorAll('[role="option"]'));
+    }
+
+    function setStatus(message) {
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    function setActive(index) {
+        const options = getOptions();
+
+        activeIndex = options.length ? (index + options.length) % options.length : -1;
+
+        options.forEach(function(option, optionIndex) {
+            const isActive = optionIndex === activeIndex;
+            option.classList.toggle('is-active', isActive);
+            option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        if (activeIndex === -1) {
+            input.removeAttribute('aria-activedescendant');
+        } else {
+            input.setAttribute('aria-activedescendant', options[activeIndex].id);
+        }
+    }
+
+    function open() {
+        results.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+    }
+
+    function close() {
+        results.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        setActive(-1);
+    }
+
+    function showMessage(message) {
+        results.innerHTML = '';
+
+        const empty = document.createElement('p');
+        empty.className = 'site-search-message';
+        empty.textContent = message;
+        results.appendChild(empty);
+
+        setStatus(message);
+        open();
+    }
+
+    function render() {
+        const query = input.value.trim();
+
+        results.innerHTML = '';
+        activeIndex = -1;
+        input.removeAttribute('aria-activedescendant');
+
+        if (query.length < MIN_SEARCH_QUERY_LENGTH) {
+            setStatus('');
+            close();
+            return;
+        }
+
+        if (!searchDocuments) {
+            showMessage('Search isn\'t available right now. Please try again later.');
+            return;
+        }
+
+        const groups = searchSite(query);
+
+        if (groups.length === 0) {
+            showMessage('No results for “' + query + '”.');
+            return;
+        }
+
+        const terms = getSearchTerms(query);
+        let count = 0;
+
+        groups.forEach(function(group) {
+            const section = document.createElement('div');
+            section.className = 'site-search-group';
+            section.setAttribute('role', 'group');
+            section.setAttribute('aria-labelledby', 'site-search-group-' + group.section);
+
+            const heading = document.createElement('div');
+            heading.className = 'site-search-group-title';
+            heading.id = 'site-search-group-' + group.section;
+            heading.setAttribute('role', 'presentation');
+            heading.textContent = group.label;
+            section.appendChild(heading);
+
+            group.results.forEach(function(entry) {
+                section.appendChild(createSearchResult(entry, terms, count));
+                count++;
+            });
+
+            results.appendChild(section);
+        });
+
+        setStatus(count === 1 ? '1 result.' : count + ' results.');
+        open();
+    }
+
+    function update() {
+        const query = input.value;
+
+        loadSearchIndex().then(function() {
+            // Ignore answers for text the visitor has since changed
+            if (input.value === query) {
+                render();
+            }
+        });
+    }
+
+    input.addEventListener('focus', function() {
+        loadSearchIndex();
+        if (input.value.trim().length >= MIN_SEARCH_QUERY_LENGTH && results.hidden) {
+            update();
+        }
+    });
+
+    input.addEventListener('input', update);
+
+    input.addEventListener('keydown', function(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+
+            if (results.hidden) {
+                update();
+                return;
+            }
+
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            setActive(activeIndex === -1 && step === -1 ? -1 : activeIndex + step);
+        } else if (event.key === 'Escape') {
+            if (!results.hidden) {
+                event.stopPropagation();
+                close();
+            } else if (input.value) {
+                event.stopPropagation();
+                input.value = '';
+                setStatus('');
+            }
+        }
+    });
+
+    // Enter opens the highlighted result, or the first one
+    form.addEventListener('submit', function(event) {
+        event.preventDefault();
+
+        const options = getOptions();
+        const option = activeIndex === -1 ? options[0] : options[activeIndex];
+
+        if (option && !results.hidden) {
+            close();
+            window.location.href = option.href;
+        }
+    });
+
+    results.addEventListener('click', function(event) {
+        if (event.target.closest('[role="option"]')) {
+            close();
+        }
+    });
+
+    // Close when focus or a click moves elsewhere on the page
+    document.addEventListener('focusin', function(event) {
+        if (!form.contains(event.target)) {
+            close();
+        }
+    });
+
+    document.addEventListener('click', function(event) {
+        if (!form.contains(event.target)) {
+            close();
+        }
+    });
+}
+
+// ============================================================================
+// SITE LAYOUT (HEADER, FOOTER & NAVIGATION)
+// ============================================================================
+
+/**
+ * Main navigation, in display order. Paths are relative to the site root.
+ * A page is "in" an entry when its path equals the entry's path or starts
+ * with the entry's section prefix (so apps/*.html highlights Apps).
+ */
+const SITE_NAV = [
+    { label: 'Home', path: 'index.html' },
+    { label: 'Gallery', path: 'gallery.html' },
+    { label: 'Store', path: 'store.html' },
+    { label: 'Apps', path: 'apps.html', section: 'apps/' }
+];
+
+/**
+ * Footer links, in display order. Same shape as SITE_NAV.
+ */
+const FOOTER_NAV = [
+    { label: 'Contact', path: 'legal/contact.html' }
+];
+
+/**
+ * Returns true if the current page belongs to a navigation entry.
+ *
+ * @param {Object} item - SITE_NAV or FOOTER_NAV entry
+ * @param {string} pagePath - Result of getSitePagePath()
+ * @returns {boolean}
+ */
+function isCurrentNavItem(item, pagePath) {
+    return pagePath === item.path || (!!item.section && pagePath.indexOf(item.section) === 0);
+}
+
+/**
+ * Builds the links for a navigation config.
+ *
+ * @param {Array<Object>} items - SITE_NAV or FOOTER_NAV
+ * @param {string} [className] - Class for each link
+ * @returns {DocumentFragment}
+ */
+function createNavLinks(items, className) {
+    const fragment = document.createDocumentFragment();
+
+    items.forEach(function(item) {
+        const link = document.createElement('a');
+        link.href = siteRelativeUrl(item.path);
+        link.textContent = item.label;
+        link.setAttribute('data-nav-path', item.path);
+        if (className) {
+            link.className = className;
+        }
+        fragment.appendChild(link);
+    });
+
+    return fragment;
+}
+
+/**
+ * Renders the shared header and footer into the page's placeholders,
+ * replacing the static links they hold for visitors without JavaScript.
+ * Expected DOM elements:
+ *   - header[data-site-header]: Filled with the logo, main navigation
+ *     (#main-nav), site search (#site-search-input), theme switcher
+ *     (#theme-select) and hamburger button (#nav-toggle)
+ *   - footer[data-site-footer]: Filled with the copyright line, FOOTER_NAV
+ *     and the storage preferences button (#consent-settings)
+ */
+function renderSiteLayout() {
+    const header = document.querySelector('[data-site-header]');
+    const footer = document.querySelector('[data-site-footer]');
+
+    if (header) {
+        const inner = document.createElement('div');
+        inner.className = 'header-inner';
+
+        const logo = document.createElement('a');
+        logo.href = siteRelativeUrl('index.html');
+        logo.className = 'logo';
+        logo.textContent = 'TKCHI';
+        inner.appendChild(logo);
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'hamburger';
+        toggle.id = 'nav-toggle';
+        toggle.setAttribute('aria-controls', 'main-nav');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-label', 'Menu');
+        toggle.innerHTML = '<span></span><span></span><span></span>';
+
+        const nav = document.createElement('nav');
+        nav.className = 'nav';
+        nav.id = 'main-nav';
+        nav.setAttribute('aria-label', 'Main navigation');
+        nav.appendChild(createNavLinks(SITE_NAV, 'nav-link'));
+        inner.appendChild(nav);
+
+        const tools = document.createElement('div');
+        tools.className = 'header-tools';
+        tools.appendChild(createSiteSearch());
+        tools.appendChild(createThemeSwitcher());
+        tools.appendChild(toggle);
+        inner.appendChild(tools);
+
+        header.innerHTML = '';
+        header.appendChild(inner);
+    }
+
+    if (footer) {
+        const container = document.createElement('div');
+        container.className = 'container';
+
+        const content = document.createElement('div');
+        content.className = 'footer-content';
+
+        const copyright = document.createElement('p');
+        copyright.className = 'footer-copyright';
+        copyright.textContent = '© ' + new Date().getFullYear() + ' TKChi Art Studio. All rights reserved.';
+        content.appendChild(copyright);
+
+        const nav = document.createElement('nav');
+        nav.className = 'footer-nav';
+        nav.setAttribute('aria-label', 'Footer navigation');
+        nav.appendChild(createNavLinks(FOOTER_NAV));
+
+        // Reopens the storage consent banner (see initConsent())
+        const consentButton = document.createElement('button');
+        consentButton.type = 'button';
+        consentButton.className = 'footer-consent-link';
+        consentButton.id = 'consent-settings';
+        consentButton.textContent = 'Storage Preferences';
+        nav.appendChild(consentButton);
+
+        content.appendChild(nav);
+
+        container.appendChild(content);
+        footer.innerHTML = '';
+        footer.appendChild(container);
+    }
+}
+
+// ============================================================================
+// MOBILE NAVIGATION
+// ============================================================================
+
+/**
+ * Initializes mobile navigation toggle functionality.
+ * Expected DOM elements:
+ *   - #nav-toggle: The hamburger menu button
+ *   - #main-nav: The navigation menu container
+ * 
+ * Toggles 'active' class on the nav menu when hamburger is clicked.
+ * Closes menu when any nav link is clicked.
+ */
+function initMobileNav() {
+    const navToggle = document.getElementById('nav-toggle');
+    const mainNav = document.getElementById('main-nav');
+
+    if (!navToggle || !mainNav) {
+        // Mobile nav elements not found on this page - that's fine
+        return;
+    }
+
+    // Toggle menu on hamburger click
+    navToggle.addEventListener('click', function() {
+        const isExpanded = mainNav.classList.contains('active');
+        
+        mainNav.classList.toggle('active');
+        
+        // Update ARIA attribute for accessibility
+        navToggle.setAttribute('aria-expanded', !isExpanded);
+        
+        // Toggle hamburger animation class if using CSS animation
+        navToggle.classList.toggle('active');
+    });
+
+    // Escape closes the open menu and returns focus to the toggle
+    document.addEventListener('keydown', function(event) {
+        if (event.key === 'Escape' && mainNav.classList.contains('active')) {
+            mainNav.classList.remove('active');
+            navToggle.classList.remove('active');
+            navToggle.setAttribute('aria-expanded', 'false');
+            navToggle.focus();
+        }
+    });
+
+    // Close menu when a nav link is clicked
+    const navLinks = mainNav.querySelectorAll('a');
+    
+    navLinks.forEach(function(link) {
+        link.addEventListener('click', function() {
+            // Only close if mobile menu is active (visible)
+            if (mainNav.classList.contains('active')) {
+                mainNav.classList.remove('active');
+                navToggle.classList.remove('active');
+                navToggle.setAttribute('aria-expanded', 'false');
+            }
+        });
+    });
+}
+
+// ============================================================================
+// ACTIVE NAVIGATION STATE
+// ============================================================================
+
+/**
+ * Sets the active state on the current page's navigation links.
+ * Compares each link's data-nav-path (set by renderSiteLayout()) with the
+ * page's path relative to the site root, so pages in apps/ and legal/ are
+ * matched correctly. Active links get the 'active' class and
+ * aria-current="page".
+ */
+function setActiveNav() {
+    const navLinks = document.querySelectorAll('#main-nav a[data-nav-path], .footer-nav a[data-nav-path]');
+
+    if (navLinks.length === 0) {
+        return;
+    }
+
+    const pagePath = getSitePagePath();
+    const navItems = SITE_NAV.concat(FOOTER_NAV);
+
+    navLinks.forEach(function(link) {
+        const linkPath = link.getAttribute('data-nav-path');
+        const item = navItems.find(function(entry) {
+            return entry.path === linkPath;
+        });
+        const isActive = !!item && isCurrentNavItem(item, pagePath);
+
+        link.classList.toggle('active', isActive);
+
+        if (isActive) {
+            link.setAttribute('aria-current', 'page');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+}
+
+// ============================================================================
+// SMOOTH SCROLL
+// ============================================================================
+
+/**
+ * Initializes smooth scrolling for anchor links.
+ * When an anchor link is clicked, smoothly scrolls to the target element.
+ * Respects reduced motion preferences for accessibility.
+ */
+function initSmoothScroll() {
+    // Check for reduced motion preference
+    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    
+    if (prefersReducedMotion.matches) {
+        // Don't enable smooth scroll if user prefers reduced motion
+        return;
+    }
+
+    const anchorLinks = document.querySelectorAll('a[href^="#"]');
+
+    if (anchorLinks.length === 0) {
+        return;
+    }
+
+    anchorLinks.forEach(function(link) {
+        link.addEventListener('click', function(event) {
+            const href = link.getAttribute('href');
+            
+            // Skip if it's just "#" (common placeholder)
+            if (href === '#') {
+                return;
+            }
+
+            // Find the target element (route hashes like #work/... match no
+            // element and fall through to the default behaviour)
+            const target = document.getElementById(href.slice(1));
+
+            if (target) {
+                // Prevent default jump behavior
+                event.preventDefault();
+
+                // Get header height for offset (if fixed header exists)
+                const header = document.querySelector('header');
+                const headerOffset = header ? header.offsetHeight : 0;
+
+                // Calculate scroll position
+                const elementPosition = target.getBoundingClientRect().top;
+                const offsetPosition = elementPosition + window.pageYOffset - headerOffset - 20;
+
+                // Smooth scroll to target
+                window.scrollTo({
+                    top: offsetPosition,
+                    behavior: 'smooth'
+                });
+
+                // Update URL hash without jumping
+                history.pushState(null, null, href);
+            }
+        });
+    });
+}
+
+// ============================================================================
+// SITE FORMS (CONTACT & NEWSLETTER)
+// ============================================================================
+
+/**
+ * Settings for forms marked with data-form, keyed by that attribute's value.
+ * Each form posts JSON to the URL in its data-endpoint attribute.
+ *   - successMessage: Shown once the endpoint accepts the submission
+ *   - noun: What the form sends, used in offline and delivery messages
+ */
+const FORM_CONFIGS = {
+    contact: {
+        successMessage: 'Thanks for your message. We will reply by email.',
+        noun: 'message'
+    },
+    newsletter: {
+        successMessage: 'You are subscribed. We will email you when our apps launch.',
+        noun: 'newsletter signup'
+    }
+};
+
+/**
+ * Simple email shape check shared by every form: something@something.tld
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * localStorage key for submissions waiting to be sent.
+ * Stored as {version: 1, items: [{id, form, endpoint, payload, queuedAt, attempts}]}.
+ */
+const FORM_OUTBOX_KEY = 'artStudioFormOutbox';
+
+registerSiteData({
+    key: FORM_OUTBOX_KEY,
+    label: 'Unsent messages',
+    description: 'Contact and newsletter forms you submitted while offline, waiting to be sent.'
+});
+
+/**
+ * Server errors a queued submission may hit before it is dropped.
+ */
+const FORM_OUTBOX_MAX_ATTEMPTS = 5;
+
+/**
+ * True while flushFormOutbox() is sending, so retries never overlap.
+ */
+let formOutboxFlushing = false;
+
+/**
+ * Returns the text of a field's <label>, or its name if it has none.
+ * @param {HTMLElement} field - Form control
+ * @returns {string}
+ */
+function getFieldLabel(field) {
+    const label = field.id ? document.querySelector('label[for="' + field.id + '"]') : null;
+    return label ? label.textContent.trim() : field.name;
+}
+
+/**
+ * Returns the controls of a form that are validated and submitted: named
+ * inputs, selects and textareas, excluding the honeypot.
+ *
+ * @param {HTMLFormElement} form
+ * @returns {Array<HTMLElement>}
+ */
+function getFormFields(form) {
+    return Array.prototype.filter.call(form.elements, function(field) {
+        return field.name &&
+            !field.hasAttribute('data-honeypot') &&
+            ['INPUT', 'SELECT', 'TEXTAREA'].indexOf(field.tagName) !== -1 &&
+            ['submit', 'button', 'reset'].indexOf(field.type) === -1;
+    });
+}
+
+/**
+ * Checks one field against the rules declared in its markup:
+ *   - required: a value; for selects, an option with a non-empty value
+ *   - type="email": a plausible email address
+ *   - minlength: at least that many characters (after trimming)
+ *
+ * @param {HTMLElement} field - Form control
+ * @returns {string} Error message, or '' if the field is valid
+ */
+function validateField(field) {
+    const value = field.value.trim();
+    const label = getFieldLabel(field);
+
+    if (!value) {
+        if (!field.required) {
+            return '';
+        }
+        return field.tagName === 'SELECT'
+            ? 'Choose a ' + label.toLowerCase() + '.'
+            : 'Enter your ' + label.toLowerCase() + '.';
+    }
+
+    if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+        return 'Enter an email address like name@example.com.';
+    }
+
+    const minLength = parseInt(field.getAttribute('minlength'), 10);
+    if (minLength && value.length < minLength) {
+        return label + ' must be at least ' + minLength + ' characters (currently ' + value.length + ').';
+    }
+
+    return '';
+}
+
+/**
+ * Returns the inline error element for a field, creating it on first use and
+ * linking it to the field through aria-describedby.
+ *
+ * @param {HTMLElement} field - Form control with an id
+ * @returns {HTMLElement} p.field-error
+ */
+function getFieldErrorElement(field) {
+    const errorId = field.id + '-error';
+    let errorElement = document.getElementById(errorId);
+
+    if (!errorElement) {
+        errorElement = document.createElement('p');
+        errorElement.className = 'field-error';
+        errorElement.id = errorId;
+        errorElement.hidden = true;
+
+        const group = field.closest('.form-group');
+        if (group) {
+            group.appendChild(errorElement);
+        } else {
+            field.parentNode.insertBefore(errorElement, field.nextSibling);
+        }
+
+        const describedBy = field.getAttribute('aria-describedby');
+        field.setAttribute('aria-describedby', describedBy ? describedBy + ' ' + errorId : errorId);
+    }
+
+    return errorElement;
+}
+
+/**
+ * Shows or clears a field's inline error.
+ *
+ * @param {HTMLElement} field - Form control
+ * @param {string} message - Error text; empty to clear
+ */
+function setFieldError(field, message) {
+    const errorElement = getFieldErrorElement(field);
+
+    errorElement.textContent = message;
+    errorElement.hidden = !message;
+
+    if (message) {
+        field.setAttribute('aria-invalid', 'true');
+    } else {
+        field.removeAttribute('aria-invalid');
+    }
+}
+
+/**
+ * Validates every field of a form and shows the inline errors.
+ *
+ * @param {HTMLFormElement} form
+ * @returns {Array<Object>} Errors as {field, message}, in form order
+ */
+function validateForm(form) {
+    const errors = [];
+
+    getFormFields(form).forEach(function(field) {
+        const message = validateField(field);
+        setFieldError(field, message);
+        if (message) {
+            errors.push({ field: field, message: message });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Renders the error summary at the top of a form: a list of links that move
+ * focus to each invalid field. Hidden when there are no errors.
+ *
+ * @param {HTMLFormElement} form
+ * @param {Array<Object>} errors - Errors from validateForm()
+ * @returns {HTMLElement|null} The summary, or null if there is nothing to show
+ */
+function renderErrorSummary(form, errors) {
+    let summary = form.querySelector('.form-error-summary');
+
+    if (errors.length === 0) {
+        if (summary) {
+            summary.hidden = true;
+        }
+        return null;
+    }
+
+    if (!summary) {
+        const titleId = form.id + '-error-summary-title';
+
+        summary = document.createElement('div');
+        summary.className = 'form-error-summary';
+        summary.tabIndex = -1;
+        summary.setAttribute('aria-labelledby', titleId);
+
+        const title = document.createElement('p');
+        title.className = 'form-error-summary-title';
+        title.id = titleId;
+        summary.appendChild(title);
+
+        summary.appendChild(document.createElement('ul'));
+
+        summary.addEventListener('click', function(event) {
+            const link = event.target.closest('a[data-field-id]');
+            if (link) {
+                event.preventDefault();
+                const field = document.getElementById(link.getAttribute('data-field-id'));
+                if (field) {
+                    field.focus();
+                }
+            }
+        });
+
+        form.insertBefore(summary, form.firstChild);
+    }
+
+    summary.querySelector('.form-error-summary-title').textContent = errors.length === 1
+        ? 'There is a problem with 1 field'
+        : 'There are problems with ' + errors.length + ' fields';
+
+    const list = summary.querySelector('ul');
+    list.innerHTML = '';
+
+    errors.forEach(function(error) {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = '#' + error.field.id;
+        link.setAttribute('data-field-id', error.field.id);
+        link.textContent = error.message;
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+
+    summary.hidden = false;
+    return summary;
+}
+
+/**
+ * Rebuilds the error summary from the inline errors currently shown, so it
+ * stays in step as fields are corrected.
+ *
+ * @param {HTMLFormElement} form
+ */
+function refreshErrorSummary(form) {
+    const errors = getFormFields(form).filter(function(field) {
+        return field.getAttribute('aria-invalid') === 'true';
+    }).map(function(field) {
+        return { field: field, message: getFieldErrorElement(field).textContent };
+    });
+
+    renderErrorSummary(form, errors);
+}
+
+/**
+ * Shows a message in the form's .form-status element.
+ *
+ * @param {HTMLFormElement} form
+ * @param {string} [message] - Text to show; omit to hide the status
+ * @param {string} [type] - 'success', 'error' or 'info'
+ */
+function setFormStatus(form, message, type) {
+    const status = form.querySelector('.form-status');
+
+    if (!status) {
+        return;
+    }
+
+    status.textContent = message || '';
+    status.className = 'form-status' + (type ? ' form-status-' + type : '');
+    status.hidden = !message;
+}
+
+/**
+ * Toggles the sending state: marks the form busy and disables its submit
+ * button, showing "Sending…" in place of the button label.
+ *
+ * @param {HTMLFormElement} form
+ * @param {boolean} busy
+ */
+function setFormBusy(form, busy) {
+    const button = form.querySelector('[type="submit"]');
+
+    form.setAttribute('aria-busy', busy ? 'true' : 'false');
+
+    if (!button) {
+        return;
+    }
+
+    if (busy) {
+        button.setAttribute('data-label', button.textContent);
+        button.textContent = 'Sending…';
+    } else if (button.hasAttribute('data-label')) {
+        button.textContent = button.getAttribute('data-label');
+        button.removeAttribute('data-label');
+    }
+    button.disabled = busy;
+}
+
+/**
+ * Posts a submission to a form endpoint as JSON.
+ * Rejects with error.offline set when the network could not be reached, and
+ * with error.status set when the endpoint answered with an error.
+ *
+ * @param {string} endpoint - Absolute or page-relative URL
+ * @param {Object} payload - Field values
+ * @returns {Promise<Response>}
+ */
+function sendFormPayload(endpoint, payload) {
+    if (navigator.onLine === false) {
+        const offlineError = new Error('Browser is offline');
+        offlineError.offline = true;
+        return Promise.reject(offlineError);
+    }
+
+    return fetch(endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    }).then(function(response) {
+        if (!response.ok) {
+            const httpError = new Error('HTTP ' + response.status);
+            httpError.status = response.status;
+            throw httpError;
+        }
+        return response;
+    }, function(error) {
+        error.offline = true;
+        throw error;
+    });
+}
+
+/**
+ * Reads the queued submissions.
+ * @returns {Array<Object>}
+ */
+function readFormOutbox() {
+    const raw = readStorage(FORM_OUTBOX_KEY);
+
+    if (!raw) {
+        return [];
+    }
+
+    try {
+        const stored = JSON.parse(raw);
+        return stored && Array.isArray(stored.items) ? stored.items : [];
+    } catch (error) {
+        console.warn('Invalid form outbox in storage, discarding it:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Saves the queued submissions, removing the key once the outbox is empty.
+ * @param {Array<Object>} items
+ */
+function writeFormOutbox(items) {
+    if (items.length === 0) {
+        removeStorage(FORM_OUTBOX_KEY);
+        return;
+    }
+
+    writeStorage(FORM_OUTBOX_KEY, JSON.stringify({ version: 1, items: items }));
+}
+
+/**
+ * Adds a submission to the outbox to be sent once the browser is back online.
+ *
+ * @param {string} formName - data-form value of the source form
+ * @param {string} endpoint - Endpoint URL, resolved against the current page
+ * @param {Object} payload - Field values
+ */
+function queueFormSubmission(formName, endpoint, payload) {
+    const items = readFormOutbox();
+
+    items.push({
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        form: formName,
+        endpoint: new URL(endpoint, window.location.href).href,
+        payload: payload,
+        queuedAt: new Date().toISOString(),
+        attempts: 0
+    });
+
+    writeFormOutbox(items);
+}
+
+/**
+ * Sends queued submissions one at a time, oldest first.
+ * Entries stay queued while the network is unreachable. Rejected requests
+ * (4xx) are dropped straight away; server errors are retried on later
+ * flushes until FORM_OUTBOX_MAX_ATTEMPTS is reached.
+ *
+ * @returns {Promise<void>}
+ */
+function flushFormOutbox() {
+    const queued = readFormOutbox();
+
+    if (formOutboxFlushing || queued.length === 0 || navigator.onLine === false) {
+        return Promise.resolve();
+    }
+
+    formOutboxFlushing = true;
+    let sentCount = 0;
+
+    // Re-read the outbox around each send so entries queued meanwhile survive
+    function settle(item, keep) {
+        writeFormOutbox(readFormOutbox().filter(function(entry) {
+            return entry.id !== item.id;
+        }).concat(keep ? [item] : []));
+    }
+
+    return queued.reduce(function(previous, item) {
+        return previous.then(function() {
+            return sendFormPayload(item.endpoint, item.payload).then(function() {
+                sentCount++;
+                settle(item, false);
+            }, function(error) {
+                if (error.offline) {
+                    return;
+                }
+
+                item.attempts++;
+                const giveUp = (error.status >= 400 && error.status < 500) ||
+                    item.attempts >= FORM_OUTBOX_MAX_ATTEMPTS;
+
+                if (giveUp) {
+                    console.warn('Dropping queued form submission after', item.attempts, 'attempt(s):', error.message);
+                }
+                settle(item, !giveUp);
+            });
+        });
+    }, Promise.resolve()).then(function() {
+        formOutboxFlushing = false;
+
+        if (sentCount > 0) {
+            showToast(sentCount === 1
+                ? 'Your saved submission has been sent.'
+                : sentCount + ' saved submissions have been sent.', { type: 'success' });
+        }
+    });
+}
+
+/**
+ * Sends a validated form to its endpoint and reports the outcome in the
+ * form's status element. Offline submissions go to the outbox instead.
+ *
+ * @param {HTMLFormElement} form
+ */
+function submitForm(form) {
+    const formName = form.getAttribute('data-form');
+    const config = FORM_CONFIGS[formName] || {};
+    const noun = config.noun || 'submission';
+    const endpoint = form.getAttribute('data-endpoint');
+
+    if (!endpoint) {
+        console.warn('Form has no data-endpoint configured:', formName);
+        setFormStatus(form, 'Sorry, this form is not accepting submissions right now. Please email us instead.', 'error');
+        return;
+    }
+
+    const payload = { form: formName };
+    getFormFields(form).forEach(function(field) {
+        payload[field.name] = field.value.trim();
+    });
+
+    setFormBusy(form, true);
+    setFormStatus(form, '');
+
+    sendFormPayload(endpoint, payload).then(function() {
+        form.reset();
+        setFormStatus(form, config.successMessage || 'Thanks, your ' + noun + ' has been sent.', 'success');
+    }, function(error) {
+        if (error.offline) {
+            queueFormSubmission(formName, endpoint, payload);
+            form.reset();
+            setFormStatus(form, 'You appear to be offline. Your ' + noun +
+                ' is saved on this device and will be sent when you are back online.', 'info');
+            return;
+        }
+
+        console.warn('Form submission failed:', error.message);
+        setFormStatus(form, 'Sorry, your ' + noun + ' could not be sent. Please try again in a moment.', 'error');
+    }).then(function() {
+        setFormBusy(form, false);
+    });
+}
+
+/**
+ * Sets up every form marked with data-form:
+ * - Validates on submit, with inline errors and an error summary
+ * - Re-checks fields as they are corrected once a submit has been tried
+ * - Silently discards submissions that fill in the [data-honeypot] field
+ * - Sends valid submissions with submitForm()
+ * Also retries the outbox now and whenever the browser comes back online.
+ */
+function initForms() {
+    document.querySelectorAll('form[data-form]').forEach(function(form) {
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+
+            if (form.getAttribute('aria-busy') === 'true') {
+                return;
+            }
+
+            form.setAttribute('data-submit-attempted', '');
+
+            const summary = renderErrorSummary(form, validateForm(form));
+            if (summary) {
+                setFormStatus(form, '');
+                summary.focus();
+                return;
+            }
+
+            // Bots fill in every field; report success without sending anything
+            const honeypot = form.querySelector('[data-honeypot]');
+            if (honeypot && honeypot.value) {
+                form.reset();
+                setFormStatus(form, (FORM_CONFIGS[form.getAttribute('data-form')] || {}).successMessage, 'success');
+                return;
+            }
+
+            submitForm(form);
+        });
+
+        // Clear errors as soon as a field becomes valid; report new ones on change
+        function recheck(event) {
+            const field = event.target;
+
+            if (!form.hasAttribute('data-submit-attempted') || getFormFields(form).indexOf(field) === -1) {
+                return;
+            }
+
+            const message = validateField(field);
+            if (event.type === 'change' || !message) {
+                setFieldError(field, message);
+                refreshErrorSummary(form);
+            }
+        }
+
+        form.addEventListener('input', recheck);
+        form.addEventListener('change', recheck);
+    });
+
+    window.addEventListener('online', flushFormOutbox);
+    flushFormOutbox();
+}
+
+// ============================================================================
+// FORM HANDLING (OPTIONAL ENHANCEMENT)
+// ============================================================================
+
+/**
+ * Sets up form validation enhancements if forms exist on the page.
+ * Prevents form submission if required fields are empty.
+ * Forms marked data-custom-validation, and data-form forms handled by
+ * initForms(), are skipped.
+ */
+function initFormValidation() {
+    const forms = document.querySelectorAll('form');
+
+    forms.forEach(function(form) {
+        // Forms with their own validation (e.g. checkout) opt out
+        if (form.hasAttribute('data-custom-validation') || form.hasAttribute('data-form')) {
+            return;
+        }
+
+        form.addEventListener('submit', function(event) {
+            const requiredFields = form.querySelectorAll('[required]');
+            let isValid = true;
+
+            requiredFields.forEach(function(field) {
+                if (!field.value.trim()) {
+                    isValid = false;
+                    field.classList.add('error');
+                } else {
+                    field.classList.remove('error');
+                }
+            });
+
+            if (!isValid) {
+                event.preventDefault();
+                // Focus the first invalid field
+                const firstError = form.querySelector('.error');
+                if (firstError) {
+                    firstError.focus();
+                }
+            }
+        });
+    });
+}
+
+// ============================================================================
+// OFFLINE SUPPORT (SERVICE WORKER)
 // ============================================================================
 
 /**
- * Initializes mobile navigation toggle functionality.
- * Expected DOM elements:
- *   - #nav-toggle: The hamburger menu button
- *   - #main-nav: The navigation menu container
- * 
- * Toggles 'active' class on the nav menu when hamburger is clicked.
- * Closes menu when any nav link is clicked.
+ * Service worker script, relative to the site root. See sw.js for the
+ * precache list and cache versioning.
  */
-function initMobileNav() {
-    const navToggle = document.getElementById('nav-toggle');
-    const mainNav = document.getElementById('main-nav');
+const SERVICE_WORKER_PATH = 'sw.js';
 
-    if (!navToggle || !mainNav) {
-        // Mobile nav elements not found on this page - that's fine
+registerSiteData({
+    storage: 'caches',
+    key: 'tkchi-',
+    prefix: true,
+    label: 'Offline copy of the site',
+    description: 'Pages, images and data saved by the service worker so the site works offline. ' +
+        'They are saved again as you browse.'
+});
+
+/**
+ * Tells the visitor a new version of the site has been downloaded and offers
+ * a reload, which activates the waiting service worker.
+ *
+ * @param {ServiceWorker} worker - The installed worker waiting to take over
+ */
+function showUpdateNotice(worker) {
+    showToast('A new version of this site is available.', {
+        persistent: true,
+        action: {
+            label: 'Reload',
+            onClick: function() {
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        }
+    });
+}
+
+/**
+ * Registers the service worker where supported (it needs http(s), so pages
+ * opened from the file system are skipped) and watches for updates.
+ * The page reloads once a new worker takes control, so it never runs with
+ * a mix of old and new files.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
         return;
     }
 
-    // Toggle menu on hamburger click
-    navToggle.addEventListener('click', function() {
-        const isExpanded = mainNav.classList.contains('active');
-        
-        mainNav.classList.toggle('active');
-        
-        // Update ARIA attribute for accessibility
-        navToggle.setAttribute('aria-expanded', !isExpanded);
-        
-        // Toggle hamburger animation class if using CSS animation
-        navToggle.classList.toggle('active');
+    const hadController = !!navigator.serviceWorker.controller;
+    let reloading = false;
+
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+        // The very first install claims the page; there is nothing stale to replace
+        if (!hadController || reloading) {
+            return;
+        }
+        reloading = true;
+        window.location.reload();
     });
 
-    // Close menu when a nav link is clicked
-    const navLinks = mainNav.querySelectorAll('a');
-    
-    navLinks.forEach(function(link) {
-        link.addEventListener('click', function() {
-            // Only close if mobile menu is active (visible)
-            if (mainNav.classList.contains('active')) {
-                mainNav.classList.remove('active');
-                navToggle.classList.remove('active');
-                navToggle.setAttribute('aria-expanded', 'false');
+    navigator.serviceWorker.register(siteUrl(SERVICE_WORKER_PATH)).then(function(registration) {
+        // An update finished installing on an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateNotice(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', function() {
+            const worker = registration.installing;
+
+            if (!worker) {
+                return;
             }
+
+            worker.addEventListener('statechange', function() {
+                // Installed while another worker controls the page: an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateNotice(worker);
+                }
+            });
         });
+    }).catch(function(error) {
+        console.warn('Service worker registration failed:', error.message);
     });
 }
 
 // ============================================================================
-// ACTIVE NAVIGATION STATE
+// YOUR DATA (EXPORT & ERASE)
 // ============================================================================
 
 /**
- * Sets the active state on the current page's navigation link.
- * Determines current page from window.location.pathname and adds 'active'
- * class to the corresponding nav link.
+ * Headings for each storage area in the "your data" list.
  */
-function setActiveNav() {
-    const mainNav = document.getElementById('main-nav');
-    
-    if (!mainNav) {
-        return;
+const SITE_DATA_AREA_LABELS = {
+    localStorage: 'Saved in this browser (localStorage)',
+    sessionStorage: 'Saved for this tab only (sessionStorage)',
+    caches: 'Offline copies (Cache Storage)',
+    indexedDB: 'Databases (IndexedDB)'
+};
+
+/**
+ * Returns sessionStorage, or null if the browser blocks it.
+ * @returns {Storage|null}
+ */
+function getSessionStorage() {
+    try {
+        return window.sessionStorage || null;
+    } catch (error) {
+        return null;
     }
+}
 
-    const navLinks = mainNav.querySelectorAll('a');
-    
-    if (navLinks.length === 0) {
-        return;
+/**
+ * Lists the registered keys present in localStorage (or its in-memory
+ * fallback) or sessionStorage.
+ *
+ * @param {string} area - 'localStorage' or 'sessionStorage'
+ * @returns {Array<Object>|null} Items as {entry, name, value}, or null if
+ *     the area is unavailable
+ */
+function collectWebStorageData(area) {
+    let names = [];
+    let read = readStorage;
+
+    if (area === 'localStorage') {
+        const storage = storageState.fallback ? null : getLocalStorage();
+        names = storage ? Object.keys(storage) : Object.keys(storageState.memory);
+    } else {
+        const storage = getSessionStorage();
+        if (!storage) {
+            return null;
+        }
+        names = Object.keys(storage);
+        read = function(key) {
+            return storage.getItem(key);
+        };
     }
 
-    // Get current page path
-    const currentPath = window.location.pathname;
-    const currentPage = currentPath.split('/').pop() || 'index.html';
+    return names.filter(function(name) {
+        return !!findSiteDataEntry(area, name);
+    }).sort().map(function(name) {
+        return { entry: findSiteDataEntry(area, name), name: name, value: read(name) };
+    });
+}
 
-    navLinks.forEach(function(link) {
-        // Remove active class from all links first
-        link.classList.remove('active');
+/**
+ * Lists the site's caches and the URLs stored in each.
+ *
+ * @returns {Promise<Array<Object>|null>} Items as {entry, name, urls}, or
+ *     null without Cache Storage
+ */
+function collectCacheData() {
+    if (!('caches' in window)) {
+        return Promise.resolve(null);
+    }
 
-        // Get the href from the link
-        const linkHref = link.getAttribute('href') || '';
-        const linkPage = linkHref.split('/').pop() || 'index.html';
+    return caches.keys().then(function(names) {
+        return Promise.all(names.filter(function(name) {
+            return !!findSiteDataEntry('caches', name);
+        }).sort().map(function(name) {
+            return caches.open(name).then(function(cache) {
+                return cache.keys();
+            }).then(function(requests) {
+                return {
+                    entry: findSiteDataEntry('caches', name),
+                    name: name,
+                    urls: requests.map(function(request) {
+                        return request.url;
+                    })
+                };
+            });
+        }));
+    }).catch(function(error) {
+        console.warn('Could not read caches:', error.message);
+        return null;
+    });
+}
 
-        // Check if this link matches the current page
-        if (linkPage === currentPage) {
-            link.classList.add('active');
-        }
-        
-        // Special case for home page
-        if ((currentPage === '' || currentPage === '/') && 
-            (linkPage === 'index.html' || linkPage === '' || linkHref === '/')) {
-            link.classList.add('active');
-        }
+/**
+ * Reads every record of every object store in an IndexedDB database.
+ *
+ * @param {string} name - Database name (must exist, or opening creates it)
+ * @returns {Promise<Object>} Records by store name
+ */
+function readIndexedDbRecords(name) {
+    return new Promise(function(resolve, reject) {
+        const request = indexedDB.open(name);
+
+        request.onerror = function() {
+            reject(request.error);
+        };
+
+        request.onsuccess = function() {
+            const db = request.result;
+            const storeNames = Array.prototype.slice.call(db.objectStoreNames);
+            const stores = {};
+
+            if (storeNames.length === 0) {
+                db.close();
+                resolve(stores);
+                return;
+            }
+
+            const transaction = db.transaction(storeNames, 'readonly');
+
+            storeNames.forEach(function(storeName) {
+                const getAll = transaction.objectStore(storeName).getAll();
+                getAll.onsuccess = function() {
+                    stores[storeName] = getAll.result;
+                };
+            });
+
+            transaction.oncomplete = function() {
+                db.close();
+                resolve(stores);
+            };
+            transaction.onerror = function() {
+                db.close();
+                reject(transaction.error);
+            };
+        };
     });
 }
 
-// ============================================================================
-// SMOOTH SCROLL
-// ============================================================================
+/**
+ * Lists the site's IndexedDB databases with their records.
+ *
+ * @returns {Promise<Array<Object>|null>} Items as {entry, name, stores}, or
+ *     null if the browser cannot list databases
+ */
+function collectIndexedDbData() {
+    if (!window.indexedDB || typeof indexedDB.databases !== 'function') {
+        return Promise.resolve(null);
+    }
+
+    return indexedDB.databases().then(function(databases) {
+        return Promise.all(databases.filter(function(database) {
+            return !!findSiteDataEntry('indexedDB', database.name);
+        }).map(function(database) {
+            return readIndexedDbRecords(database.name).then(function(stores) {
+                return { entry: findSiteDataEntry('indexedDB', database.name), name: database.name, stores: stores };
+            });
+        }));
+    }).catch(function(error) {
+        console.warn('Could not read IndexedDB:', error.message);
+        return null;
+    });
+}
 
 /**
- * Initializes smooth scrolling for anchor links.
- * When an anchor link is clicked, smoothly scrolls to the target element.
- * Respects reduced motion preferences for accessibility.
+ * Gathers everything the site has stored in this browser.
+ *
+ * @returns {Promise<Object>} Items by storage area; an area is null when the
+ *     browser does not let the site read it
  */
-function initSmoothScroll() {
-    // Check for reduced motion preference
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
-    
-    if (prefersReducedMotion.matches) {
-        // Don't enable smooth scroll if user prefers reduced motion
-        return;
+function collectSiteData() {
+    return Promise.all([collectCacheData(), collectIndexedDbData()]).then(function(results) {
+        return {
+            localStorage: collectWebStorageData('localStorage'),
+            sessionStorage: collectWebStorageData('sessionStorage'),
+            caches: results[0],
+            indexedDB: results[1]
+        };
+    });
+}
+
+/**
+ * Parses a stored string as JSON where possible, for a readable export.
+ *
+ * @param {string} value
+ * @returns {*}
+ */
+function parseStoredValue(value) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
     }
+}
 
-    const anchorLinks = document.querySelectorAll('a[href^="#"]');
+/**
+ * Describes the size of a stored item, e.g. "1.2 KB" or "24 files".
+ *
+ * @param {string} area - Storage area
+ * @param {Object} item - Item from collectSiteData()
+ * @returns {string}
+ */
+function describeSiteDataSize(area, item) {
+    if (area === 'caches') {
+        return item.urls.length + (item.urls.length === 1 ? ' file' : ' files');
+    }
 
-    if (anchorLinks.length === 0) {
+    if (area === 'indexedDB') {
+        const count = Object.keys(item.stores).reduce(function(total, store) {
+            return total + item.stores[store].length;
+        }, 0);
+        return count + (count === 1 ? ' record' : ' records');
+    }
+
+    const bytes = (item.value || '').length * 2;
+    return bytes < 1024 ? bytes + ' bytes' : (bytes / 1024).toFixed(1) + ' KB';
+}
+
+/**
+ * Lists the stored data in #site-data-list and enables the buttons when
+ * there is anything to export or erase.
+ *
+ * @param {Object} data - Result of collectSiteData()
+ */
+function renderSiteData(data) {
+    const list = document.getElementById('site-data-list');
+    const exportButton = document.getElementById('site-data-export');
+    const eraseButton = document.getElementById('site-data-erase');
+
+    if (!list) {
         return;
     }
 
-    anchorLinks.forEach(function(link) {
-        link.addEventListener('click', function(event) {
-            const href = link.getAttribute('href');
-            
-            // Skip if it's just "#" (common placeholder)
-            if (href === '#') {
-                return;
-            }
+    list.innerHTML = '';
+    let total = 0;
 
-            // Find the target element
-            const target = document.querySelector(href);
+    SITE_DATA_STORAGES.forEach(function(area) {
+        const items = data[area];
 
-            if (target) {
-                // Prevent default jump behavior
-                event.preventDefault();
+        const heading = document.createElement('h3');
+        heading.textContent = SITE_DATA_AREA_LABELS[area];
+        list.appendChild(heading);
 
-                // Get header height for offset (if fixed header exists)
-                const header = document.querySelector('header');
-                const headerOffset = header ? header.offsetHeight : 0;
+        if (items === null) {
+            const unavailable = document.createElement('p');
+            unavailable.className = 'site-data-empty';
+            unavailable.textContent = 'Your browser does not let this page check this storage.';
+            list.appendChild(unavailable);
+            return;
+        }
 
-                // Calculate scroll position
-                const elementPosition = target.getBoundingClientRect().top;
-                const offsetPosition = elementPosition + window.pageYOffset - headerOffset - 20;
+        if (items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'site-data-empty';
+            empty.textContent = 'Nothing stored.';
+            list.appendChild(empty);
+            return;
+        }
 
-                // Smooth scroll to target
-                window.scrollTo({
-                    top: offsetPosition,
-                    behavior: 'smooth'
-                });
+        total += items.length;
 
-                // Update URL hash without jumping
-                history.pushState(null, null, href);
-            }
+        const itemList = document.createElement('ul');
+        itemList.className = 'site-data-items';
+
+        items.forEach(function(item) {
+            const entry = document.createElement('li');
+
+            const title = document.createElement('p');
+            title.className = 'site-data-item-title';
+
+            const label = document.createElement('strong');
+            label.textContent = item.entry.label;
+            title.appendChild(label);
+
+            const key = document.createElement('code');
+            key.textContent = item.name;
+            title.appendChild(document.createTextNode(' '));
+            title.appendChild(key);
+            title.appendChild(document.createTextNode(' · ' + describeSiteDataSize(area, item) +
+                ' · ' + getConsentCategory(item.entry.category).label));
+            entry.appendChild(title);
+
+            const description = document.createElement('p');
+            description.className = 'site-data-item-description';
+            description.textContent = item.entry.description;
+            entry.appendChild(description);
+
+            itemList.appendChild(entry);
         });
+
+        list.appendChild(itemList);
     });
+
+    if (exportButton) {
+        exportButton.disabled = total === 0;
+    }
+    if (eraseButton) {
+        eraseButton.disabled = total === 0;
+    }
 }
 
-// ============================================================================
-// FORM HANDLING (OPTIONAL ENHANCEMENT)
-// ============================================================================
+/**
+ * Re-reads the stored data and lists it.
+ * @returns {Promise<Object>} The collected data
+ */
+function refreshSiteData() {
+    return collectSiteData().then(function(data) {
+        renderSiteData(data);
+        return data;
+    });
+}
 
 /**
- * Sets up form validation enhancements if forms exist on the page.
- * Prevents form submission if required fields are empty.
+ * Downloads everything the site stores in this browser as one JSON file.
  */
-function initFormValidation() {
-    const forms = document.querySelectorAll('form');
+function exportSiteData() {
+    collectSiteData().then(function(data) {
+        const output = {
+            site: SITE_ROOT,
+            exportedAt: new Date().toISOString()
+        };
 
-    forms.forEach(function(form) {
-        form.addEventListener('submit', function(event) {
-            const requiredFields = form.querySelectorAll('[required]');
-            let isValid = true;
+        SITE_DATA_STORAGES.forEach(function(area) {
+            output[area] = data[area] === null ? null : data[area].map(function(item) {
+                const exported = { name: item.name, label: item.entry.label };
 
-            requiredFields.forEach(function(field) {
-                if (!field.value.trim()) {
-                    isValid = false;
-                    field.classList.add('error');
+                if (area === 'caches') {
+                    exported.urls = item.urls;
+                } else if (area === 'indexedDB') {
+                    exported.stores = item.stores;
                 } else {
-                    field.classList.remove('error');
+                    exported.value = parseStoredValue(item.value);
                 }
+
+                return exported;
             });
+        });
 
-            if (!isValid) {
-                event.preventDefault();
-                // Focus the first invalid field
-                const firstError = form.querySelector('.error');
-                if (firstError) {
-                    firstError.focus();
-                }
+        downloadJsonFile('tkchi-site-data-' + getFileDateStamp() + '.json', output);
+    });
+}
+
+/**
+ * Deletes one IndexedDB database.
+ *
+ * @param {string} name
+ * @returns {Promise}
+ */
+function deleteIndexedDb(name) {
+    return new Promise(function(resolve, reject) {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = resolve;
+        request.onerror = function() {
+            reject(request.error);
+        };
+        // Another tab has the database open; it is deleted once that closes
+        request.onblocked = resolve;
+    });
+}
+
+/**
+ * Erases everything the site stores in this browser, after confirmation,
+ * then resets the affected features on this page.
+ */
+function eraseSiteData() {
+    const status = document.getElementById('site-data-status');
+
+    showConfirmDialog({
+        title: 'Erase your data on this site?',
+        message: 'This removes your cart, settings, saved journal entries and offline copies from this browser. ' +
+            'It cannot be undone, so download your data first if you want to keep it.',
+        confirmLabel: 'Erase My Data',
+        destructive: true
+    }).then(function(confirmed) {
+        if (!confirmed) {
+            return null;
+        }
+
+        return collectSiteData().then(function(data) {
+            const erased = [];
+            const pending = [];
+
+            SITE_DATA_STORAGES.forEach(function(area) {
+                (data[area] || []).forEach(function(item) {
+                    if (area === 'localStorage') {
+                        removeStorage(item.name);
+                    } else if (area === 'sessionStorage') {
+                        getSessionStorage().removeItem(item.name);
+                    } else if (area === 'caches') {
+                        pending.push(caches.delete(item.name));
+                    } else {
+                        pending.push(deleteIndexedDb(item.name));
+                    }
+
+                    if (erased.indexOf(item.entry) === -1) {
+                        erased.push(item.entry);
+                    }
+                });
+            });
+
+            return Promise.all(pending).then(function() {
+                erased.forEach(function(entry) {
+                    if (entry.onErase) {
+                        entry.onErase();
+                    }
+                });
+
+                return refreshSiteData();
+            });
+        }).then(function() {
+            if (status) {
+                status.textContent = 'Your data on this site has been erased from this browser.';
+                status.className = 'form-status form-status-success';
+                status.hidden = false;
             }
         });
+    }).catch(function(error) {
+        console.warn('Failed to erase site data:', error.message);
+        if (status) {
+            status.textContent = 'Some data could not be erased. Please try again, or clear this site\'s data in your browser settings.';
+            status.className = 'form-status form-status-error';
+            status.hidden = false;
+        }
+        refreshSiteData();
+    });
+}
+
+/**
+ * Sets up the "your data on this site" section.
+ * Expected DOM elements:
+ *   - #site-data-list: Filled with the stored data, grouped by storage area
+ *   - #site-data-export, #site-data-erase: Download and erase buttons
+ *   - #site-data-status: Result of the last erase
+ */
+function initSiteData() {
+    const list = document.getElementById('site-data-list');
+
+    if (!list) {
+        return;
+    }
+
+    const exportButton = document.getElementById('site-data-export');
+    if (exportButton) {
+        exportButton.addEventListener('click', exportSiteData);
+    }
+
+    const eraseButton = document.getElementById('site-data-erase');
+    if (eraseButton) {
+        eraseButton.addEventListener('click', eraseSiteData);
+    }
+
+    // Changes made in other tabs
+    window.addEventListener('storage', function() {
+        refreshSiteData();
     });
+
+    refreshSiteData();
 }
 
 // ============================================================================
@@ -677,22 +10787,51 @@ function initFormValidation() {
  */
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize navigation features
+    renderSiteLayout();
+    initConsent();
+    initThemeSwitcher();
+    initSiteSearch();
     initMobileNav();
     setActiveNav();
     initSmoothScroll();
 
-    // Initialize gallery modal if gallery exists
-    initGalleryModal();
+    // Initialize gallery lightbox if gallery exists
+    // Filters first, so a deep-linked work opens within the filtered gallery
+    initGalleryFilters();
+    initLightbox();
 
-    // Initialize cart system
-    loadCart();
-    updateCartUI();
+    // Initialize store: the cart is priced from the catalog, so load that first
     initCartButtons();
     initCheckoutButton();
+    initPromoForm();
+    initCheckout();
+    initShareCart();
+    initOrderHistory();
+    loadCatalog().then(function() {
+        loadCurrencyPreference();
+        initCurrencySelector();
+        loadCart();
+        reconcileCartWithCatalog();
+        initCartSync();
+        importSharedCart();
+        renderProductGrid();
+        revealLinkedProduct();
+        updateCartUI();
+        initWishlist();
+    });
+
+    // App pages: cards and roadmaps from the apps manifest, interactive demos
+    initApps();
+    initTarotDemo();
+    initColoringDemo();
 
     // Initialize form validation if forms exist
+    initForms();
     initFormValidation();
 
+    registerServiceWorker();
+    initSiteData();
+
     // Log initialization complete (helpful for debugging)
     console.log('Art Studio site initialized');
 });
@@ -0,0 +1,44 @@
+/**
+ * Art Studio Website - Theme bootstrap
+ * ================================
+ *
+ * Loaded without defer/async in <head>, right after the stylesheet, so the
+ * visitor's theme is on <html data-theme="..."> before the first paint and
+ * the page never flashes the wrong colours.
+ *
+ * Uses the saved choice from localStorage if there is one, otherwise the
+ * system preference (prefers-contrast, then prefers-color-scheme). The
+ * theme switcher itself lives in script.js (THEME section) and must use the
+ * same storage key and theme names.
+ */
+
+(function() {
+    'use strict';
+
+    const THEME_STORAGE_KEY = 'artStudioTheme';
+    const THEMES = ['dark', 'light', 'high-contrast'];
+
+    let theme = null;
+
+    try {
+        theme = window.localStorage.getItem(THEME_STORAGE_KEY);
+    } catch (error) {
+        // Storage blocked (e.g. privacy mode) - fall back to the system preference
+    }
+
+    if (THEMES.indexOf(theme) === -1) {
+        const matches = function(query) {
+            return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+        };
+
+        if (matches('(prefers-contrast: more)')) {
+            theme = 'high-contrast';
+        } else if (matches('(prefers-color-scheme: light)')) {
+            theme = 'light';
+        } else {
+            theme = 'dark';
+        }
+    }
+
+    document.documentElement.setAttribute('data-theme', theme);
+})();
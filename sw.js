@@ -0,0 +1,220 @@
+/**
+ * Art Studio Website - Service Worker
+ * ================================
+ *
+ * Offline support for the site:
+ * - Precaches every page, the stylesheet, the scripts, the JSON data files
+ *   and the SVG artwork when the worker installs
+ * - Serves same-origin GET requests cache-first, caching anything else it
+ *   fetches successfully
+ * - Serves the catalog network-first, so stock levels are current whenever
+ *   the site is online
+ * - Falls back to offline.html for pages that are not cached
+ *
+ * Bump CACHE_VERSION whenever the site is deployed. The new worker then
+ * precaches the new files into fresh caches, the page offers a reload, and
+ * the old caches are deleted once the new worker takes over.
+ *
+ * URLs below are relative to this file, so the site works from a
+ * subdirectory (e.g. a GitHub Pages project site).
+ */
+
+'use strict';
+
+// ============================================================================
+// CACHE CONFIGURATION
+// ============================================================================
+
+/**
+ * Version of the cached site. Change on every deploy.
+ */
+const CACHE_VERSION = 'v7';
+
+/**
+ * Prefix shared by every cache this worker owns, so old versions can be
+ * found and deleted without touching caches from other scripts.
+ */
+const CACHE_PREFIX = 'tkchi-';
+
+const PRECACHE_NAME = CACHE_PREFIX + 'precache-' + CACHE_VERSION;
+const RUNTIME_CACHE_NAME = CACHE_PREFIX + 'runtime-' + CACHE_VERSION;
+
+/**
+ * Page shown for navigations that are neither cached nor reachable.
+ */
+const OFFLINE_URL = 'offline.html';
+
+/**
+ * Files cached at install time. Installation fails (and the previous worker
+ * stays in charge) if any of these cannot be fetched.
+ */
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'gallery.html',
+    'store.html',
+    'apps.html',
+    OFFLINE_URL,
+    'apps/coloring-with-friends.html',
+    'apps/personal-tarot-reader.html',
+    'legal/coloring-with-friends-privacy.html',
+    'legal/coloring-with-friends-terms.html',
+    'legal/contact.html',
+    'legal/data-deletion.html',
+    'legal/personal-tarot-reader-privacy.html',
+    'legal/personal-tarot-reader-terms.html',
+    'css/style.css',
+    'js/script.js',
+    'js/theme-init.js',
+    'data/catalog.json',
+    'data/apps.json',
+    'data/tarot.json',
+    'data/search-index.json',
+    'images/art1.svg',
+    'images/art2.svg',
+    'images/art3.svg',
+    'images/art4.svg',
+    'images/coloring/bloom.svg',
+    'images/coloring/skyline.svg',
+    'images/cwf-hero.svg',
+    'images/hero-bg.svg',
+    'images/ptr-hero.svg'
+];
+
+/**
+ * Files fetched from the network before the cache, because they change
+ * between deploys (stock levels). The cached copy is used offline.
+ */
+const NETWORK_FIRST_URLS = [
+    'data/catalog.json'
+];
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Precaches the site. The new worker then waits until the page asks it to
+ * take over (see the SKIP_WAITING message), so open tabs never mix old and
+ * new files.
+ */
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(PRECACHE_NAME).then(function(cache) {
+            // Bypass the HTTP cache so a deploy never precaches stale copies
+            return cache.addAll(PRECACHE_URLS.map(function(url) {
+                return new Request(url, { cache: 'reload' });
+            }));
+        })
+    );
+});
+
+/**
+ * Deletes caches left by previous versions and takes control of open pages.
+ */
+self.addEventListener('activate', function(event) {
+    const currentCaches = [PRECACHE_NAME, RUNTIME_CACHE_NAME];
+
+    event.waitUntil(
+        caches.keys().then(function(names) {
+            return Promise.all(names.filter(function(name) {
+                return name.indexOf(CACHE_PREFIX) === 0 && currentCaches.indexOf(name) === -1;
+            }).map(function(name) {
+                return caches.delete(name);
+            }));
+        }).then(function() {
+            return self.clients.claim();
+        })
+    );
+});
+
+/**
+ * Messages from pages:
+ *   - {type: 'SKIP_WAITING'}: Activate this waiting worker now
+ */
+self.addEventListener('message', function(event) {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ============================================================================
+// REQUEST HANDLING
+// ============================================================================
+
+/**
+ * Fetches a request from the network and stores a copy of successful
+ * same-origin responses in the runtime cache.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+function fetchAndCache(request) {
+    return fetch(request).then(function(response) {
+        if (response.ok && response.type === 'basic') {
+            const copy = response.clone();
+            caches.open(RUNTIME_CACHE_NAME).then(function(cache) {
+                cache.put(request, copy);
+            });
+        }
+        return response;
+    });
+}
+
+/**
+ * Whether a URL is one of NETWORK_FIRST_URLS.
+ *
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isNetworkFirst(url) {
+    return NETWORK_FIRST_URLS.some(function(path) {
+        return new URL(path, self.registration.scope).pathname === url.pathname;
+    });
+}
+
+/**
+ * Cache-first handling for same-origin GET requests. Page URLs ignore the
+ * query string when matching, so links such as gallery.html?year=2025 or
+ * store.html?cart=... still open offline. NETWORK_FIRST_URLS try the network
+ * and fall back to the cache.
+ */
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (isNetworkFirst(url)) {
+        event.respondWith(
+            fetchAndCache(request).catch(function(error) {
+                return caches.match(request, { ignoreSearch: true }).then(function(cached) {
+                    if (cached) {
+                        return cached;
+                    }
+                    throw error;
+                });
+            })
+        );
+        return;
+    }
+
+    const isNavigation = request.mode === 'navigate';
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: isNavigation }).then(function(cached) {
+            if (cached) {
+                return cached;
+            }
+
+            return fetchAndCache(request).catch(function(error) {
+                if (isNavigation) {
+                    return caches.match(OFFLINE_URL);
+                }
+                throw error;
+            });
+        })
+    );
+});
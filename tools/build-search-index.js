@@ -0,0 +1,326 @@
+/**
+ * Art Studio Website - Search Index Builder
+ * ================================
+ *
+ * Builds data/search-index.json, the prebuilt index behind the header search
+ * box (see SITE SEARCH in js/script.js). Run it from the site root whenever
+ * artworks, products, apps or legal pages change:
+ *
+ *     node tools/build-search-index.js
+ *
+ * Sources:
+ * - gallery.html: one entry per .gallery-item (title, caption, medium,
+ *   year, series and alt text)
+ * - data/catalog.json: one entry per product (name, description, SKU, type,
+ *   tags and option labels)
+ * - data/apps.json: one entry per app
+ * - legal/*.html: one entry per page and per h2/h3 heading with an id, with
+ *   the text up to the next heading, so clauses link straight to their heading
+ *
+ * Uses only Node's standard library; the pages are read with regular
+ * expressions, so keep gallery items and legal headings in their current
+ * markup.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+const OUTPUT_PATH = 'data/search-index.json';
+const INDEX_VERSION = 1;
+
+/**
+ * Longest description kept for a result, in characters.
+ */
+const MAX_DESCRIPTION_LENGTH = 160;
+
+/**
+ * Named entities used in the site's pages.
+ */
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' ',
+    middot: '·',
+    mdash: '—',
+    ndash: '–',
+    hellip: '…',
+    rsquo: '’',
+    lsquo: '‘',
+    rdquo: '”',
+    ldquo: '“',
+    copy: '©'
+};
+
+/**
+ * Reads a file relative to the site root.
+ *
+ * @param {string} file - Root-relative path
+ * @returns {string}
+ */
+function readSiteFile(file) {
+    return fs.readFileSync(path.join(SITE_ROOT, file), 'utf8');
+}
+
+/**
+ * Decodes the HTML entities in a piece of text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, function(match, entity) {
+        if (entity.charAt(0) === '#') {
+            const code = entity.charAt(1).toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+
+        const named = HTML_ENTITIES[entity.toLowerCase()];
+        return typeof named === 'string' ? named : match;
+    });
+}
+
+/**
+ * Turns a fragment of HTML into plain text with collapsed whitespace.
+ * Scripts, styles, noscript fallbacks and form controls are dropped.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    const text = html
+        .replace(/<(script|style|noscript|label|select|textarea|button)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<[^>]+>/g, ' ');
+
+    return decodeEntities(text)
+        .replace(/\s+/g, ' ')
+        .replace(/ ([.,;:!?])/g, '$1')
+        .trim();
+}
+
+/**
+ * Reads an attribute from an opening tag.
+ *
+ * @param {string} tag - Opening tag markup
+ * @param {string} name - Attribute name
+ * @returns {string} Decoded value, or '' if missing
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp('\\s' + name + '="([^"]*)"'));
+    return match ? decodeEntities(match[1]) : '';
+}
+
+/**
+ * Shortens text for a result description, breaking at a word.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function truncate(text) {
+    if (text.length <= MAX_DESCRIPTION_LENGTH) {
+        return text;
+    }
+
+    const cut = text.slice(0, MAX_DESCRIPTION_LENGTH);
+    return cut.slice(0, cut.lastIndexOf(' ')).replace(/[,;:.]$/, '') + '…';
+}
+
+/**
+ * Indexes the works in gallery.html.
+ *
+ * @returns {Array<Object>}
+ */
+function indexArtworks() {
+    const html = readSiteFile('gallery.html');
+    const entries = [];
+    const itemPattern = /(<figure class="gallery-item"[^>]*>)([\s\S]*?)<\/figure>/g;
+    let match;
+
+    while ((match = itemPattern.exec(html)) !== null) {
+        const tag = match[1];
+        const body = match[2];
+        const id = getAttribute(tag, 'data-work-id');
+        const title = body.match(/<h3 class="gallery-title">([\s\S]*?)<\/h3>/);
+        const caption = body.match(/<p class="gallery-description">([\s\S]*?)<\/p>/);
+        const image = body.match(/<img\b[^>]*>/);
+
+        if (!id || !title) {
+            console.warn('Skipping gallery item without an id or title');
+            continue;
+        }
+
+        entries.push({
+            section: 'artworks',
+            title: htmlToText(title[1]),
+            description: caption ? htmlToText(caption[1]) : '',
+            url: 'gallery.html#work/' + id,
+            keywords: [
+                getAttribute(tag, 'data-medium'),
+                getAttribute(tag, 'data-year'),
+                getAttribute(tag, 'data-series'),
+                image ? getAttribute(image[0], 'alt') : ''
+            ].filter(Boolean)
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Indexes the products in data/catalog.json.
+ *
+ * @returns {Array<Object>}
+ */
+function indexProducts() {
+    const catalog = JSON.parse(readSiteFile('data/catalog.json'));
+
+    return catalog.products.map(function(product) {
+        const keywords = [product.sku, product.type].concat(product.tags || []);
+
+        (product.options || []).forEach(function(group) {
+            keywords.push(group.label);
+            group.choices.forEach(function(choice) {
+                keywords.push(choice.label);
+            });
+        });
+
+        keywords.push(product.fulfillment === 'digital' ? 'digital download' : 'physical');
+
+        if (typeof product.edition === 'number') {
+            keywords.push('limited edition');
+        }
+
+        return {
+            section: 'products',
+            title: product.name,
+            description: product.description,
+            url: 'store.html#product-' + product.id,
+            keywords: keywords.filter(Boolean)
+        };
+    });
+}
+
+/**
+ * Indexes the apps in data/apps.json.
+ *
+ * @returns {Array<Object>}
+ */
+function indexApps() {
+    const manifest = JSON.parse(readSiteFile('data/apps.json'));
+
+    return manifest.apps.map(function(app) {
+        return {
+            section: 'apps',
+            title: app.name,
+            description: truncate(app.description),
+            url: app.page,
+            keywords: ['app'].concat(app.roadmap.map(function(phase) {
+                return phase.phase;
+            }))
+        };
+    });
+}
+
+/**
+ * Indexes a legal page: the page itself, then each h2/h3 with an id and the
+ * text that follows it up to the next heading.
+ *
+ * @param {string} file - Root-relative path, e.g. 'legal/data-deletion.html'
+ * @returns {Array<Object>}
+ */
+function indexLegalPage(file) {
+    const html = readSiteFile(file);
+    const titleMatch = html.match(/<title>([\s\S]*?)<\/title>/);
+    const pageTitle = titleMatch ? htmlToText(titleMatch[1]).split(' | ')[0] : file;
+    const descriptionMatch = html.match(/<meta name="description" content="([^"]*)"/);
+    const mainMatch = html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/);
+    const main = mainMatch ? mainMatch[1] : html;
+
+    const headingPattern = /<(h[1-3])\b([^>]*)>([\s\S]*?)<\/\1>/g;
+    const headings = [];
+    let match;
+
+    while ((match = headingPattern.exec(main)) !== null) {
+        headings.push({
+            level: match[1],
+            id: getAttribute(match[0], 'id'),
+            text: htmlToText(match[3]),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+
+    const entries = [{
+        section: 'legal',
+        title: pageTitle,
+        description: descriptionMatch ? truncate(decodeEntities(descriptionMatch[1])) : '',
+        url: file,
+        keywords: []
+    }];
+
+    headings.forEach(function(heading, index) {
+        if (heading.level === 'h1' || !heading.id) {
+            return;
+        }
+
+        const next = headings[index + 1];
+        const text = htmlToText(main.slice(heading.end, next ? next.start : main.length));
+
+        entries.push({
+            section: 'legal',
+            title: heading.text,
+            page: pageTitle,
+            description: truncate(text),
+            url: file + '#' + heading.id,
+            keywords: [],
+            text: text
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Indexes every page in legal/.
+ *
+ * @returns {Array<Object>}
+ */
+function indexLegalPages() {
+    return fs.readdirSync(path.join(SITE_ROOT, 'legal'))
+        .filter(function(name) {
+            return /\.html$/.test(name);
+        })
+        .sort()
+        .reduce(function(entries, name) {
+            return entries.concat(indexLegalPage('legal/' + name));
+        }, []);
+}
+
+/**
+ * Builds the index and writes it to OUTPUT_PATH.
+ */
+function buildSearchIndex() {
+    const entries = []
+        .concat(indexArtworks())
+        .concat(indexProducts())
+        .concat(indexApps())
+        .concat(indexLegalPages());
+
+    const index = {
+        version: INDEX_VERSION,
+        entries: entries
+    };
+
+    fs.writeFileSync(path.join(SITE_ROOT, OUTPUT_PATH), JSON.stringify(index, null, 4) + '\n');
+    console.log('Wrote ' + entries.length + ' entries to ' + OUTPUT_PATH);
+}
+
+buildSearchIndex();